@@ -0,0 +1,83 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadCorpus, runBenchmark } from './src/extractors/benchmark.js';
+
+// Usage: node benchmark-offers.js [--corpus file.jsonl] [--backends regex,classifier]
+//                                 [--network] [--json] [--verbose]
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CORPUS = path.join(__dirname, 'benchmarks', 'offer-corpus.jsonl');
+
+function parseArgs(argv) {
+    const options = { corpus: DEFAULT_CORPUS, backends: null, includeNetwork: false, json: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--corpus') options.corpus = argv[++i];
+        else if (arg === '--backends') options.backends = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+        else if (arg === '--network') options.includeNetwork = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--verbose') options.verbose = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+function formatRatio(value) {
+    return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(result) {
+    console.log(`\n📊 Offer extraction benchmark (${result.cases} labelled messages)\n`);
+    console.log('Backend              Precision  Recall   Exact    Missed  Spurious  Wrong  Errors');
+    result.reports.forEach(report => {
+        const { counts } = report;
+        console.log(
+            `${`${report.backend}@${report.version}`.padEnd(20)} ` +
+            `${formatRatio(report.precision).padStart(9)}  ${formatRatio(report.recall).padStart(6)}  ${formatRatio(report.exactMatch).padStart(6)}  ` +
+            `${String(counts.missed).padStart(6)}  ${String(counts.spurious).padStart(8)}  ${String(counts.wrong_value).padStart(5)}  ${String(counts.error).padStart(6)}`
+        );
+    });
+
+    result.skipped.forEach(skip => {
+        console.log(`⏭️  Skipped ${skip.backend}: ${skip.reason} (pass --network to include it)`);
+    });
+
+    result.reports.forEach(report => {
+        if (report.confusions.length === 0) return;
+        console.log(`\n❌ ${report.backend}: ${report.confusions.length} confusion case(s)`);
+        report.confusions.forEach(c => {
+            const detail = c.outcome === 'error' ? c.error : `expected ${c.expected ?? 'none'}, got ${c.predicted ?? 'none'}`;
+            console.log(`   [${c.outcome}] ${c.id} (${c.role}): "${c.message}" → ${detail}`);
+        });
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const cases = loadCorpus(options.corpus);
+
+    // Extractors log every candidate they look at; keep the report readable
+    const log = console.log;
+    if (!options.verbose) console.log = () => {};
+
+    let result;
+    try {
+        result = await runBenchmark(cases, {
+            backends: options.backends,
+            includeNetwork: options.includeNetwork
+        });
+    } finally {
+        console.log = log;
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printReport(result);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
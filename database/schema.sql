@@ -3,6 +3,22 @@
 
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Experimental sessions (pilot, classroom run, study) and their treatment conditions
+CREATE TABLE sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) UNIQUE NOT NULL, -- Short code moderators and analysts use
+    name VARCHAR(255),
+    kind VARCHAR(20) DEFAULT 'study', -- 'pilot', 'classroom', 'study'
+    assignment VARCHAR(20) DEFAULT 'random', -- How treatments are assigned: 'random' or 'block'
+    treatments JSONB DEFAULT '[]', -- [{id, label, settings}]
+    room_ids VARCHAR(100)[] DEFAULT '{}', -- Rooms the session covers (empty = all)
+    assignment_counts JSONB DEFAULT '{}', -- {treatmentId: participants assigned}
+    status VARCHAR(20) DEFAULT 'open', -- 'open', 'ended'
+    entry JSONB DEFAULT '{}', -- {requireJoinCode, completionCode, completionUrl}
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP
+);
+
 -- Users table
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -15,14 +31,37 @@ CREATE TABLE users (
     completed_deals INTEGER DEFAULT 0,
     previous_partners UUID[] DEFAULT '{}',
     role_history CHAR(1)[] DEFAULT '{}', -- 'A' for seller, 'B' for buyer
+    bench_history JSONB DEFAULT '[]', -- [{roomId, roundNumber, reason, benchedAt}] rounds sat out
     room_id VARCHAR(100),
     socket_id VARCHAR(100),
     role CHAR(1),
+    role_group CHAR(1), -- Role block group for the session: 'A' sells first, 'B' buys first
     pair_id UUID,
     is_moderator BOOLEAN DEFAULT FALSE,
+    is_bot BOOLEAN DEFAULT FALSE, -- scripted negotiator seated by the server
+    session_id UUID REFERENCES sessions(id), -- Session the participant was enrolled in
+    treatment_id VARCHAR(100), -- Treatment assigned within that session
+    external_id VARCHAR(255), -- Participant id from the study panel's entry link
+    study_id VARCHAR(255), -- Study id from the entry link
+    join_code VARCHAR(50), -- Join code the participant entered with
+    completion_code VARCHAR(50), -- Code shown when the session ended, for crediting
+    completed_at TIMESTAMP,
+    surveys_submitted JSONB DEFAULT '[]', -- [{instrument, trigger, pairId}] instruments already answered
+    pending_surveys JSONB DEFAULT '[]', -- Survey requests not answered yet, re-sent after a reload
     last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Join codes for entering a session: single-use (one participant) or shared
+CREATE TABLE join_codes (
+    code VARCHAR(50) PRIMARY KEY,
+    session_id UUID REFERENCES sessions(id) NOT NULL,
+    single_use BOOLEAN DEFAULT TRUE,
+    uses INTEGER DEFAULT 0,
+    used_by UUID REFERENCES users(id), -- Participant a single-use code belongs to
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP
+);
+
 -- Rooms table
 CREATE TABLE rooms (
     id VARCHAR(100) PRIMARY KEY,
@@ -32,6 +71,8 @@ CREATE TABLE rooms (
     products JSONB, -- Array of product objects
     current_round INTEGER DEFAULT 0,
     status VARCHAR(50) DEFAULT 'waiting', -- 'waiting', 'active', 'paused'
+    schedule JSONB, -- Session schedule: {status, currentRound, totalRounds, roleBlockRounds, autoAdvance, breakSeconds}
+    pairing_states JSONB, -- Pairing rotation per treatment: {treatment: {order, fixedPartners}}
     max_players INTEGER DEFAULT 20,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     config JSONB -- Room-specific configuration
@@ -45,11 +86,17 @@ CREATE TABLE pairs (
     user_b_id UUID REFERENCES users(id),
     round_number INTEGER NOT NULL,
     product JSONB, -- Product being negotiated
+    reservation_values JSONB, -- Private values drawn for this pair: {"A": seller cost, "B": buyer valuation}
+    briefings JSONB, -- Role briefings as rendered for this pair: {"A": text, "B": text}
     started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     ended_at TIMESTAMP,
     final_deal JSONB, -- {price, confirmed_at, success}
     latest_offers JSONB DEFAULT '{"A": null, "B": null}',
-    status VARCHAR(50) DEFAULT 'active' -- 'active', 'completed', 'abandoned'
+    status VARCHAR(50) DEFAULT 'active', -- 'active', 'completed', 'abandoned'
+    end_reason VARCHAR(100), -- Why an abandoned pair ended, e.g. 'time_expired'
+    pause_intervals JSONB DEFAULT '[]', -- [{pausedAt, resumedAt}] while the room was paused
+    session_id UUID REFERENCES sessions(id),
+    treatment_id VARCHAR(100) -- Both members share the treatment
 );
 
 -- Messages table (chat history)
@@ -62,10 +109,71 @@ CREATE TABLE messages (
     message TEXT NOT NULL,
     extracted_offer DECIMAL(10,2),
     offer_confidence DECIMAL(3,2),
+    corrected_offer DECIMAL(10,2), -- Human-corrected offer (NULL with offer_corrected = not an offer)
+    offer_corrected BOOLEAN DEFAULT FALSE,
+    is_bot BOOLEAN DEFAULT FALSE, -- sent by a scripted negotiator
+    session_id UUID REFERENCES sessions(id),
+    treatment_id VARCHAR(100),
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     metadata JSONB -- Store extraction details, context, etc.
 );
 
+-- Offer corrections audit trail (participant confirmations/edits, moderator relabels)
+CREATE TABLE offer_corrections (
+    id UUID PRIMARY KEY,
+    message_id UUID REFERENCES messages(id),
+    pair_id UUID REFERENCES pairs(id),
+    action VARCHAR(20) NOT NULL, -- 'confirm' or 'edit'
+    extracted_offer DECIMAL(10,2), -- Value produced by the extractor
+    original_offer DECIMAL(10,2), -- Value before this correction
+    corrected_offer DECIMAL(10,2), -- Value after this correction
+    corrected_by VARCHAR(255),
+    corrected_by_name VARCHAR(255),
+    corrector_type VARCHAR(20) NOT NULL, -- 'participant' or 'moderator'
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Moderator interventions (manual pairing, dissolving pairs, forced auto-pairing)
+CREATE TABLE moderator_actions (
+    id UUID PRIMARY KEY,
+    room_id VARCHAR(100) REFERENCES rooms(id),
+    pair_id UUID, -- Pair created or dissolved, if any
+    action VARCHAR(50) NOT NULL, -- 'force_auto_pair', 'manual_pair', 'dissolve_pair'
+    moderator_id VARCHAR(255), -- Socket id of the acting moderator
+    details JSONB, -- Users, roles, product, reason
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Offers table (structured offer/counter-offer protocol)
+CREATE TABLE offers (
+    id UUID PRIMARY KEY,
+    pair_id UUID REFERENCES pairs(id),
+    user_id UUID REFERENCES users(id),
+    role CHAR(1) NOT NULL, -- 'A' or 'B'
+    amount DECIMAL(10,2), -- Price (or the price term of a multi-issue proposal)
+    terms JSONB, -- Multi-issue proposals: { issueId: option }
+    status VARCHAR(50) DEFAULT 'open', -- 'open', 'superseded', 'countered', 'withdrawn', 'accepted', 'rejected'
+    parent_id UUID REFERENCES offers(id), -- Offer this one counters
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP,
+    responded_by_role CHAR(1)
+);
+
+-- Survey instrument responses: one row per user, instrument and pair (see src/surveys.js)
+CREATE TABLE survey_responses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) NOT NULL,
+    instrument VARCHAR(100) NOT NULL, -- Instrument name in the config, e.g. 'entry', 'postNegotiation', 'exit'
+    pair_id UUID REFERENCES pairs(id), -- Negotiation a post-negotiation survey is about
+    round_number INTEGER,
+    session_id UUID REFERENCES sessions(id),
+    treatment_id VARCHAR(100),
+    responses JSONB NOT NULL, -- [{questionId, answer}], answers to shown questions only
+    attention_checks_failed JSONB DEFAULT '[]', -- Ids of attention-check questions answered wrongly
+    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Game configuration table
 CREATE TABLE game_config (
     id VARCHAR(50) PRIMARY KEY,
@@ -81,18 +189,50 @@ CREATE INDEX idx_pairs_room_id ON pairs(room_id);
 CREATE INDEX idx_pairs_users ON pairs(user_a_id, user_b_id);
 CREATE INDEX idx_messages_pair_id ON messages(pair_id);
 CREATE INDEX idx_messages_timestamp ON messages(timestamp);
+CREATE INDEX idx_offers_pair_id ON offers(pair_id);
+CREATE INDEX idx_offer_corrections_message_id ON offer_corrections(message_id);
+CREATE INDEX idx_moderator_actions_room_id ON moderator_actions(room_id);
+CREATE INDEX idx_pairs_session ON pairs(session_id, treatment_id);
+CREATE INDEX idx_messages_session ON messages(session_id, treatment_id);
+CREATE UNIQUE INDEX idx_users_session_external ON users(session_id, external_id) WHERE external_id IS NOT NULL;
+CREATE INDEX idx_join_codes_session ON join_codes(session_id);
+CREATE INDEX idx_survey_responses_user ON survey_responses(user_id, instrument);
+CREATE INDEX idx_survey_responses_pair ON survey_responses(pair_id);
 
 -- Insert default game configuration
 INSERT INTO game_config (id, config) VALUES (
     'main',
     '{
-        "survey": {
-            "questions": [
-                {"id": 1, "type": "text", "question": "What is your name?", "required": true},
-                {"id": 2, "type": "number", "question": "What is your age?", "required": true, "min": 13, "max": 120},
-                {"id": 3, "type": "select", "question": "How much experience do you have with online negotiations?", "required": true, "options": ["None", "Some", "Moderate", "Extensive"]},
-                {"id": 4, "type": "textarea", "question": "What do you hope to learn from this negotiation game?", "required": false}
-            ]
+        "surveys": {
+            "entry": {
+                "title": "Pre-Game Survey",
+                "trigger": "entry",
+                "questions": [
+                    {"id": 1, "type": "text", "question": "What is your name?", "required": true},
+                    {"id": 2, "type": "number", "question": "What is your age?", "required": true, "min": 13, "max": 120},
+                    {"id": 3, "type": "select", "question": "How much experience do you have with online negotiations?", "required": true, "options": ["None", "Some", "Moderate", "Extensive"]},
+                    {"id": 4, "type": "textarea", "question": "What do you hope to learn from this negotiation game?", "required": false}
+                ]
+            },
+            "postNegotiation": {
+                "title": "About that negotiation",
+                "trigger": "pairEnd",
+                "questions": [
+                    {"id": "satisfaction", "type": "likert", "question": "How satisfied are you with the outcome?", "scale": 7, "labels": ["Very dissatisfied", "Very satisfied"], "required": true},
+                    {"id": "fairness", "type": "likert", "question": "How fair was the way your partner negotiated?", "scale": 7, "labels": ["Very unfair", "Very fair"], "required": true},
+                    {"id": "trust", "type": "slider", "question": "How much did you trust your partner?", "min": 0, "max": 100, "step": 5, "labels": ["Not at all", "Completely"], "required": true}
+                ]
+            },
+            "exit": {
+                "title": "Before you go",
+                "trigger": "sessionEnd",
+                "questions": [
+                    {"id": "enjoyment", "type": "likert", "question": "I enjoyed taking part.", "scale": 5, "labels": ["Strongly disagree", "Strongly agree"], "required": true},
+                    {"id": "attention", "type": "likert", "question": "To show you are reading carefully, please choose 2.", "scale": 5, "required": true, "correctAnswer": 2},
+                    {"id": "strategy", "type": "textarea", "question": "How did you decide what to offer and what to accept?", "required": false},
+                    {"id": "comments", "type": "textarea", "question": "Anything else you would like to tell us?", "required": false}
+                ]
+            }
         },
         "rooms": [
             {
@@ -101,9 +241,23 @@ INSERT INTO game_config (id, config) VALUES (
                 "description": "Smartphones, Laptops, Gaming Devices",
                 "image": "https://images.unsplash.com/photo-1498049794561-7780e7231661?w=300&h=200&fit=crop",
                 "products": [
-                    {"name": "iPhone 14 Pro", "sellerInfo": "Brand new, unopened box", "buyerInfo": "Great camera, latest features"},
-                    {"name": "MacBook Air M2", "sellerInfo": "Perfect for students", "buyerInfo": "Lightweight and powerful"},
-                    {"name": "PlayStation 5", "sellerInfo": "Gaming console in high demand", "buyerInfo": "Latest games available"}
+                    {"name": "iPhone 14 Pro", "sellerInfo": "Brand new, unopened box", "buyerInfo": "Great camera, latest features", "sellerCost": {"distribution": "uniform", "min": 650, "max": 800}, "buyerValue": {"distribution": "uniform", "min": 850, "max": 1000}},
+                    {"name": "MacBook Air M2", "sellerInfo": "Perfect for students", "buyerInfo": "Lightweight and powerful", "sellerCost": {"distribution": "uniform", "min": 800, "max": 950}, "buyerValue": {"distribution": "uniform", "min": 1000, "max": 1200}},
+                    {"name": "PlayStation 5", "sellerInfo": "Gaming console in high demand", "buyerInfo": "Latest games available", "sellerCost": 380, "buyerValue": 520}
+                ]
+            },
+            {
+                "id": "wholesale",
+                "name": "Wholesale Contracts",
+                "description": "Multi-issue supply deals: price, delivery, warranty, quantity",
+                "image": "https://images.unsplash.com/photo-1586528116311-ad8dd3c8310d?w=300&h=200&fit=crop",
+                "products": [
+                    {"name": "Laptop Fleet Order", "sellerInfo": "You supply business laptops", "buyerInfo": "You equip a growing office", "issues": [
+                        {"id": "price", "label": "Unit price ($)", "options": [900, 950, 1000, 1050, 1100], "points": {"A": [0, 10, 20, 30, 40], "B": [40, 30, 20, 10, 0]}},
+                        {"id": "delivery", "label": "Delivery", "options": ["4 weeks", "3 weeks", "2 weeks", "1 week"], "points": {"A": [30, 20, 10, 0], "B": [0, 5, 10, 15]}},
+                        {"id": "warranty", "label": "Warranty (months)", "options": [12, 24, 36], "points": {"A": [10, 5, 0], "B": [0, 20, 40]}},
+                        {"id": "quantity", "label": "Quantity", "options": [50, 100, 150], "points": {"A": [0, 10, 20], "B": [0, 10, 20]}}
+                    ]}
                 ]
             }
         ],
@@ -111,7 +265,17 @@ INSERT INTO game_config (id, config) VALUES (
             "totalRounds": 10,
             "buyerRounds": 5,
             "sellerRounds": 5,
-            "maxPlayersPerRoom": 20
+            "maxPlayersPerRoom": 20,
+            "roundTimeLimitSeconds": 900,
+            "timerWarningSeconds": [300, 60],
+            "timerTickSeconds": 1,
+            "roleBlockRounds": 5,
+            "autoAdvanceRounds": false,
+            "breakSeconds": 60,
+            "oddPlayerPolicy": "bench",
+            "reconnectGraceSeconds": 60,
+            "resultsDisclosure": "distribution",
+            "bot": {"strategy": "boulware", "reservationPrice": null, "responseDelaySeconds": 4}
         }
     }'
 );
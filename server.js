@@ -3,9 +3,24 @@ import http from "http";
 import { Server } from "socket.io";
 import dotenv from "dotenv";
 import { v4 as uuidv4 } from "uuid";
-import { pairUsers, assignRoles } from "./src/pairing.js";
+import { pairUsers, assignRoles, PAIRING_STRATEGIES, createPairingState, pairRoleGroups, selectBenchedPlayers } from "./src/pairing.js";
 import { persistence } from "./src/persistence.js";
+import { users, rooms, pairs, sessions, createUser, addUser, loadUser, saveUser, ensureRoom, resetRoom, saveRoom, addPair, savePair, pairsInRoom, createSession, loadSessions, findSessionByCode, openSessionForRoom, saveSession, findParticipant, saveSurveyResponse, createJoinCodes, loadJoinCodes, findJoinCode, joinCodesForSession, saveJoinCode } from "./src/gameState.js";
+import { validateSession, assignTreatment, findTreatment, treatmentKey, groupByTreatment, sameTreatment, generateCode, completionFor } from "./src/sessions.js";
+import { createUserRecord } from "./src/users.js";
+import { compileRoundResults, participantResults, RESULTS_DISCLOSURE } from "./src/results.js";
+import { getRoomOverview, getAllRoomsOverview } from "./src/moderator.js";
+import { validateInstruments, instrumentFor, surveyRequest, validateResponses, publicInstrument, hasSubmitted } from "./src/surveys.js";
 import { GameAnalytics } from "./src/analytics.js";
+import { drawReservationValues, publicProduct } from "./src/valuations.js";
+import { validateBriefings, renderBriefings } from "./src/briefings.js";
+import { PairTimerManager } from "./src/timers.js";
+import { SessionScheduler, scheduledRole, assignRoleGroups, productForRound } from "./src/scheduler.js";
+import { BotManager, BOT_STRATEGIES } from "./src/bot.js";
+import { proposeOffer, counterOffer, withdrawOffer, respondToOffer } from "./src/offers.js";
+import { applyOfferCorrection, effectiveOffer, refreshChatOffer } from "./src/corrections.js";
+import { isMultiIssue, validateIssues, validateTerms, issuesForRole } from "./src/issues.js";
+import { runExtractor, listExtractors } from "./src/extractors/index.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -56,34 +71,131 @@ app.post("/moderator/verify", (req, res) => {
 });
 
 // Survey and game config API routes
-app.get("/api/survey", async (req, res) => {
-  try {
-    const config = await persistence.getGameConfig();
-    res.json(config?.survey || gameConfig.survey);
-  } catch (error) {
-    console.error('❌ Error getting survey config:', error);
-    res.json(gameConfig.survey);
+// The entry instrument; the others are sent over the socket when they are due
+app.get("/api/survey", (req, res) => {
+  const entrySurvey = instrumentFor(gameConfig.surveys, 'entry');
+  res.json(entrySurvey ? publicInstrument(entrySurvey) : { questions: [] });
+});
+
+// Check the join code and panel ids an entry link carried
+// @returns {Object} { ok: true, session, joinCode, existing } or { ok: false, status, message }
+async function resolveEntry({ joinCode = null, participantId = null }) {
+  let session = null;
+  let code = null;
+  
+  if (joinCode) {
+    code = findJoinCode(joinCode);
+    if (!code) return { ok: false, status: 404, message: "Unknown join code" };
+    session = sessions[code.sessionId];
+    if (session?.status !== 'open') return { ok: false, status: 403, message: "This session has ended" };
+  } else {
+    const restricted = Object.values(sessions).find(open => open.status === 'open' && open.entry.requireJoinCode && open.roomIds.length === 0);
+    if (restricted) return { ok: false, status: 403, message: "A join code is required to take part" };
+  }
+  
+  // Repeat entries: the same panel id, or the same single-use code, resumes the first entry
+  let existing = participantId ? await findParticipant(session?.id || null, participantId) : null;
+  if (code?.singleUse && code.usedBy === CLAIMED) {
+    return { ok: false, status: 409, message: "This join code has already been used" };
+  }
+  if (code?.singleUse && code.usedBy) {
+    const holder = users[code.usedBy] || await loadUser(code.usedBy);
+    const sameParticipant = existing ? existing.id === code.usedBy : !participantId || holder?.externalId === participantId;
+    if (!sameParticipant) return { ok: false, status: 409, message: "This join code has already been used" };
+    existing = holder;
+  }
+  
+  return { ok: true, session, joinCode: code, existing };
+}
+
+// Holder of a single-use code whose participant is still being created
+const CLAIMED = 'claimed';
+
+// Count an entry with a join code before anything else is awaited, so a
+// second entry with the same single-use code is turned away meanwhile
+// @returns {Function} puts the code back as it was, for when the entry fails
+function claimJoinCode(code) {
+  const previous = { uses: code.uses, usedBy: code.usedBy };
+  code.uses += 1;
+  if (code.singleUse) code.usedBy = CLAIMED;
+  return () => Object.assign(code, previous);
+}
+
+// Lets the survey page send a returning participant straight back to the game
+app.post("/api/entry", async (req, res) => {
+  const { joinCode, participantId } = req.body;
+  const entry = await resolveEntry({ joinCode, participantId });
+  if (!entry.ok) {
+    return res.status(entry.status).json({ success: false, message: entry.message });
   }
+  
+  res.json({
+    success: true,
+    resumed: Boolean(entry.existing),
+    userId: entry.existing?.id || null,
+    playerName: entry.existing?.name || null,
+    sessionName: entry.session?.name || null
+  });
 });
 
 app.post("/api/survey/submit", async (req, res) => {
   try {
-    const { responses } = req.body;
-    const playerName = responses.find(r => r.questionId === 1)?.answer || 'Anonymous';
+    const { responses, joinCode = null, participantId = null, studyId = null } = req.body;
+    const entry = await resolveEntry({ joinCode, participantId });
+    if (!entry.ok) {
+      return res.status(entry.status).json({ success: false, message: entry.message });
+    }
+    if (entry.existing) {
+      return res.json({
+        success: true,
+        userId: entry.existing.id,
+        playerName: entry.existing.name,
+        resumed: true,
+        message: "Welcome back"
+      });
+    }
+
+    const releaseJoinCode = entry.joinCode ? claimJoinCode(entry.joinCode) : () => {};
     
-    const newUser = await persistence.createUser({
-      name: playerName,
-      surveyResponses: responses,
-      surveyCompleted: true
-    });
+    const entrySurvey = instrumentFor(gameConfig.surveys, 'entry');
+    const checked = entrySurvey
+      ? validateResponses(entrySurvey, responses)
+      : { errors: [], responses: responses || [], attentionChecksFailed: [] };
+    if (checked.errors.length > 0) {
+      releaseJoinCode();
+      return res.status(400).json({ success: false, message: "Please check your answers", errors: checked.errors });
+    }
     
-    // Also store in legacy format for compatibility
-    users[newUser.id] = {
-      ...newUser,
-      previousPartners: [],
-      roleHistory: [],
-      socketId: null
-    };
+    const playerName = checked.responses.find(r => r.questionId === 1)?.answer || 'Anonymous';
+    
+    let newUser;
+    try {
+      newUser = await createUser({
+        name: playerName,
+        surveyResponses: checked.responses,
+        surveyCompleted: true,
+        externalId: participantId,
+        studyId,
+        joinCode: entry.joinCode?.code || null
+      });
+    } catch (error) {
+      releaseJoinCode();
+      throw error;
+    }
+    
+    if (entry.joinCode) {
+      try {
+        await saveJoinCode(entry.joinCode.code, {
+          uses: entry.joinCode.uses,
+          usedBy: entry.joinCode.singleUse ? newUser.id : null,
+          lastUsedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('❌ Failed to update join code in database:', error);
+      }
+    }
+    if (entry.session) await enrollInSession(newUser, entry.session);
+    if (entrySurvey) await recordSurvey(newUser, entrySurvey, checked);
     
     res.json({ 
       success: true, 
@@ -103,6 +215,7 @@ app.get("/api/rooms", (req, res) => {
     const playersInRoom = Object.values(users).filter(user => user.roomId === room.id).length;
     return {
       ...room,
+      products: (room.products || []).map(publicProduct),
       playerCount: playersInRoom
     };
   });
@@ -111,14 +224,25 @@ app.get("/api/rooms", (req, res) => {
 });
 
 // Moderator configuration endpoints
+// `surveys` replaces every instrument; the older `survey` form only sets the entry questions
 app.post("/moderator/updateSurvey", (req, res) => {
-  const { token, survey } = req.body;
+  const { token, survey, surveys } = req.body;
   
   if (token !== MODERATOR_TOKEN) {
     return res.status(401).json({ success: false, message: "Unauthorized" });
   }
   
-  gameConfig.survey = survey;
+  const { name: entryName = 'entry', ...entry } = instrumentFor(gameConfig.surveys, 'entry') || {};
+  const updated = surveys || {
+    ...gameConfig.surveys,
+    [entryName]: { ...entry, ...survey, trigger: 'entry' }
+  };
+  const problems = validateInstruments(updated);
+  if (problems.length > 0) {
+    return res.status(400).json({ success: false, message: "Invalid survey", errors: problems });
+  }
+  
+  gameConfig.surveys = updated;
   res.json({ success: true, message: "Survey updated successfully" });
 });
 
@@ -129,10 +253,51 @@ app.post("/moderator/updateRooms", (req, res) => {
     return res.status(401).json({ success: false, message: "Unauthorized" });
   }
   
+  // Multi-issue products must have a complete point schedule for both roles,
+  // and briefing templates may only use known variables
+  const problems = (rooms || []).flatMap(room =>
+    (room.products || []).flatMap(product => [
+      ...(product.issues ? validateIssues(product.issues) : []),
+      ...validateBriefings(product)
+    ].map(problem => `${room.id}/${product.name}: ${problem}`))
+  );
+  (rooms || []).forEach(room => {
+    if (room.pairing && !PAIRING_STRATEGIES.includes(room.pairing.strategy)) {
+      problems.push(`${room.id}: unknown pairing strategy "${room.pairing.strategy}"`);
+    }
+    if (room.oddPlayerPolicy && !['bench', 'bot'].includes(room.oddPlayerPolicy)) {
+      problems.push(`${room.id}: unknown odd-player policy "${room.oddPlayerPolicy}"`);
+    }
+    if (room.bot?.strategy && !BOT_STRATEGIES[room.bot.strategy]) {
+      problems.push(`${room.id}: unknown bot strategy "${room.bot.strategy}"`);
+    }
+    if (room.resultsDisclosure && !RESULTS_DISCLOSURE.includes(room.resultsDisclosure)) {
+      problems.push(`${room.id}: unknown results disclosure "${room.resultsDisclosure}"`);
+    }
+  });
+  if (problems.length > 0) {
+    return res.status(400).json({ success: false, message: "Invalid room configuration", errors: problems });
+  }
+  
   gameConfig.rooms = rooms;
   res.json({ success: true, message: "Rooms updated successfully" });
 });
 
+app.post("/moderator/updateOfferExtraction", (req, res) => {
+  const { token, backend } = req.body;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  if (!listExtractors().some(extractor => extractor.name === backend)) {
+    return res.status(400).json({ success: false, message: `Unknown extractor backend: ${backend}` });
+  }
+  
+  gameConfig.offerExtraction = { ...gameConfig.offerExtraction, backend };
+  res.json({ success: true, message: `Offer extraction now uses ${backend}` });
+});
+
 app.get("/moderator/config", (req, res) => {
   const { token } = req.query;
   
@@ -142,10 +307,134 @@ app.get("/moderator/config", (req, res) => {
   
   res.json({
     success: true,
-    config: gameConfig
+    config: gameConfig,
+    extractors: listExtractors()
+  });
+});
+
+// Experimental sessions and their treatments
+app.get("/moderator/sessions", (req, res) => {
+  const { token } = req.query;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  res.json({ success: true, data: Object.values(sessions) });
+});
+
+app.post("/moderator/sessions", async (req, res) => {
+  const { token, session } = req.body;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  const problems = validateSession(session);
+  if (session && findSessionByCode(session.code)) {
+    problems.push(`code: session ${session.code} already exists`);
+  }
+  // A room can only enroll new players into one session at a time
+  const overlapping = Object.values(sessions).find(open => open.status === 'open' && (
+    open.roomIds.length === 0 || !session?.roomIds?.length || session.roomIds.some(roomId => open.roomIds.includes(roomId))
+  ));
+  if (overlapping) {
+    problems.push(`rooms: session ${overlapping.code} is still open for the same rooms`);
+  }
+  if (problems.length > 0) {
+    return res.status(400).json({ success: false, message: "Invalid session", errors: problems });
+  }
+  
+  const created = await createSession(session, { allowOffline: true });
+  console.log(`🧪 Session ${created.code} opened (${created.treatments.map(t => t.id).join(', ')}, ${created.assignment} assignment)`);
+  broadcastToModerators('moderator:activity', {
+    message: `🧪 Session ${created.code} opened with treatments ${created.treatments.map(t => t.label).join(', ')}`,
+    type: 'success'
+  });
+  res.json({ success: true, data: created });
+});
+
+app.post("/moderator/sessions/:code/end", async (req, res) => {
+  const { token } = req.body;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  const session = findSessionByCode(req.params.code);
+  if (!session) {
+    return res.status(404).json({ success: false, message: `Unknown session: ${req.params.code}` });
+  }
+  if (session.status !== 'open') {
+    return res.status(400).json({ success: false, message: `Session ${session.code} has already ended` });
+  }
+  
+  try {
+    await saveSession(session.id, { status: 'ended', endedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ Failed to update session in database:', error);
+  }
+  await Promise.all(Object.values(users)
+    .filter(user => user.sessionId === session.id)
+    .map(user => endOfSession(user)));
+  console.log(`🧪 Session ${session.code} ended`);
+  broadcastToModerators('moderator:activity', { message: `🧪 Session ${session.code} ended`, type: 'info' });
+  res.json({ success: true, data: session });
+});
+
+// Join codes: single-use codes are handed out one per participant, a shared code goes in one link for everyone
+app.get("/moderator/sessions/:code/joinCodes", (req, res) => {
+  const { token } = req.query;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  const session = findSessionByCode(req.params.code);
+  if (!session) {
+    return res.status(404).json({ success: false, message: `Unknown session: ${req.params.code}` });
+  }
+  
+  res.json({ success: true, data: joinCodesForSession(session.id) });
+});
+
+app.post("/moderator/sessions/:code/joinCodes", async (req, res) => {
+  const { token, count = 1, singleUse = true } = req.body;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  const session = findSessionByCode(req.params.code);
+  if (!session) {
+    return res.status(404).json({ success: false, message: `Unknown session: ${req.params.code}` });
+  }
+  if (session.status !== 'open') {
+    return res.status(400).json({ success: false, message: `Session ${session.code} has already ended` });
+  }
+  if (!Number.isInteger(count) || count < 1 || count > 500) {
+    return res.status(400).json({ success: false, message: "count must be a whole number from 1 to 500" });
+  }
+  
+  const created = await createJoinCodes(session.id, { count, singleUse: Boolean(singleUse), allowOffline: true });
+  console.log(`🎟️ ${created.length} ${singleUse ? 'single-use' : 'shared'} join code(s) for session ${session.code}`);
+  broadcastToModerators('moderator:activity', {
+    message: `🎟️ ${created.length} ${singleUse ? 'single-use' : 'shared'} join code(s) created for session ${session.code}`,
+    type: 'success'
   });
+  res.json({ success: true, data: created });
 });
 
+// Analytics can be limited to one session (?session=CODE) and/or treatment (?treatment=ID)
+function analyticsFilters(query) {
+  const filters = { sessionId: null, treatmentId: query.treatment || null };
+  if (!query.session) return { filters };
+  
+  const session = findSessionByCode(query.session);
+  if (!session) return { error: `Unknown session: ${query.session}` };
+  return { filters: { ...filters, sessionId: session.id } };
+}
+
 // Analytics endpoints
 app.get("/moderator/analytics/deals", async (req, res) => {
   const { token } = req.query;
@@ -154,18 +443,26 @@ app.get("/moderator/analytics/deals", async (req, res) => {
     return res.status(401).json({ success: false, message: "Unauthorized" });
   }
   
+  const { filters, error } = analyticsFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
   try {
-    const [stats, deals, patterns, initialOffers, offerPatterns] = await Promise.all([
-      GameAnalytics.getDealStats(),
-      GameAnalytics.getDealsWithDuration(),
-      GameAnalytics.getNegotiationPatterns(),
-      GameAnalytics.getInitialOffers(),
-      GameAnalytics.getOfferPatterns()
+    const [stats, deals, patterns, initialOffers, offerPatterns, offerSignals, integrative, treatments] = await Promise.all([
+      GameAnalytics.getDealStats(filters),
+      GameAnalytics.getDealsWithDuration(filters),
+      GameAnalytics.getNegotiationPatterns(filters),
+      GameAnalytics.getInitialOffers(filters),
+      GameAnalytics.getOfferPatterns(filters),
+      GameAnalytics.getOfferSignalComparison(filters),
+      GameAnalytics.getIntegrativeOutcomes(filters),
+      GameAnalytics.getTreatmentOutcomes(filters)
     ]);
     
     res.json({
       success: true,
-      data: { stats, deals, patterns, initialOffers, offerPatterns }
+      data: { stats, deals, patterns, initialOffers, offerPatterns, offerSignals, integrative, treatments }
     });
   } catch (error) {
     console.error('❌ Analytics error:', error);
@@ -173,6 +470,80 @@ app.get("/moderator/analytics/deals", async (req, res) => {
   }
 });
 
+app.get("/moderator/analytics/corrections", async (req, res) => {
+  const { token } = req.query;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  const { filters, error } = analyticsFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
+  try {
+    const corrections = await GameAnalytics.getOfferCorrections(filters);
+    res.json({ success: true, data: corrections });
+  } catch (error) {
+    console.error('❌ Analytics error:', error);
+    res.status(500).json({ success: false, message: "Analytics error" });
+  }
+});
+
+app.get("/moderator/analytics/surveys", async (req, res) => {
+  const { token, instrument } = req.query;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  const { filters, error } = analyticsFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
+  try {
+    const responses = await GameAnalytics.getSurveyResponses(instrument || null, filters);
+    res.json({ success: true, data: responses });
+  } catch (error) {
+    console.error('❌ Analytics error:', error);
+    res.status(500).json({ success: false, message: "Analytics error" });
+  }
+});
+
+app.get("/moderator/analytics/interventions", async (req, res) => {
+  const { token, roomId } = req.query;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  const { filters, error } = analyticsFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
+  try {
+    const interventions = await GameAnalytics.getModeratorInterventions(roomId || null, filters);
+    res.json({ success: true, data: interventions });
+  } catch (error) {
+    console.error('❌ Analytics error:', error);
+    res.status(500).json({ success: false, message: "Analytics error" });
+  }
+});
+
+// Live state of one room (roomId) or all rooms
+app.get("/moderator/overview", (req, res) => {
+  const { token, roomId } = req.query;
+  
+  if (token !== MODERATOR_TOKEN) {
+    return res.status(401).json({ success: false, message: "Unauthorized" });
+  }
+  
+  res.json({ success: true, data: roomId ? getRoomOverview(roomId) : getAllRoomsOverview() });
+});
+
 app.get("/moderator/analytics/timeline", async (req, res) => {
   const { token } = req.query;
   
@@ -180,8 +551,13 @@ app.get("/moderator/analytics/timeline", async (req, res) => {
     return res.status(401).json({ success: false, message: "Unauthorized" });
   }
   
+  const { filters, error } = analyticsFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  
   try {
-    const timeline = await GameAnalytics.getDealTimeline();
+    const timeline = await GameAnalytics.getDealTimeline(filters);
     res.json({ success: true, data: timeline });
   } catch (error) {
     console.error('❌ Timeline analytics error:', error);
@@ -189,43 +565,111 @@ app.get("/moderator/analytics/timeline", async (req, res) => {
   }
 });
 
-// In-memory stores
-const rooms = {}; // { roomId: { users: [], pairs: [] } }
-const users = {}; // { userId: { id, name, socketId, roomId, role, pairId } }
-const pairs = {}; // { pairId: { id, roomId, userA, userB, messages: [] } }
+// Live rooms, users and pairs are kept in src/gameState.js
 
 // Game configuration (moderator configurable)
 const gameConfig = {
-  survey: {
-    questions: [
-      {
-        id: 1,
-        type: 'text',
-        question: 'What is your name?',
-        required: true
-      },
-      {
-        id: 2,
-        type: 'number',
-        question: 'What is your age?',
-        required: true,
-        min: 13,
-        max: 120
-      },
-      {
-        id: 3,
-        type: 'select',
-        question: 'How much experience do you have with online negotiations?',
-        required: true,
-        options: ['None', 'Some', 'Moderate', 'Extensive']
-      },
-      {
-        id: 4,
-        type: 'textarea',
-        question: 'What do you hope to learn from this negotiation game?',
-        required: false
-      }
-    ]
+  // Survey instruments by name, see src/surveys.js
+  surveys: {
+    entry: {
+      title: 'Pre-Game Survey',
+      trigger: 'entry',
+      questions: [
+        {
+          id: 1,
+          type: 'text',
+          question: 'What is your name?',
+          required: true
+        },
+        {
+          id: 2,
+          type: 'number',
+          question: 'What is your age?',
+          required: true,
+          min: 13,
+          max: 120
+        },
+        {
+          id: 3,
+          type: 'select',
+          question: 'How much experience do you have with online negotiations?',
+          required: true,
+          options: ['None', 'Some', 'Moderate', 'Extensive']
+        },
+        {
+          id: 4,
+          type: 'textarea',
+          question: 'What do you hope to learn from this negotiation game?',
+          required: false
+        }
+      ]
+    },
+    postNegotiation: {
+      title: 'About that negotiation',
+      trigger: 'pairEnd',
+      questions: [
+        {
+          id: 'satisfaction',
+          type: 'likert',
+          question: 'How satisfied are you with the outcome?',
+          scale: 7,
+          labels: ['Very dissatisfied', 'Very satisfied'],
+          required: true
+        },
+        {
+          id: 'fairness',
+          type: 'likert',
+          question: 'How fair was the way your partner negotiated?',
+          scale: 7,
+          labels: ['Very unfair', 'Very fair'],
+          required: true
+        },
+        {
+          id: 'trust',
+          type: 'slider',
+          question: 'How much did you trust your partner?',
+          min: 0,
+          max: 100,
+          step: 5,
+          labels: ['Not at all', 'Completely'],
+          required: true
+        }
+      ]
+    },
+    exit: {
+      title: 'Before you go',
+      trigger: 'sessionEnd',
+      questions: [
+        {
+          id: 'enjoyment',
+          type: 'likert',
+          question: 'I enjoyed taking part.',
+          scale: 5,
+          labels: ['Strongly disagree', 'Strongly agree'],
+          required: true
+        },
+        {
+          id: 'attention',
+          type: 'likert',
+          question: 'To show you are reading carefully, please choose 2.',
+          scale: 5,
+          required: true,
+          correctAnswer: 2
+        },
+        {
+          id: 'strategy',
+          type: 'textarea',
+          question: 'How did you decide what to offer and what to accept?',
+          required: false
+        },
+        {
+          id: 'comments',
+          type: 'textarea',
+          question: 'Anything else you would like to tell us?',
+          required: false
+        }
+      ]
+    }
   },
   rooms: [
     {
@@ -234,9 +678,17 @@ const gameConfig = {
       description: 'Smartphones, Laptops, Gaming Devices',
       image: 'https://images.unsplash.com/photo-1498049794561-7780e7231661?w=300&h=200&fit=crop',
       products: [
-        { name: 'iPhone 14 Pro', sellerInfo: 'Brand new, unopened box', buyerInfo: 'Great camera, latest features' },
-        { name: 'MacBook Air M2', sellerInfo: 'Perfect for students', buyerInfo: 'Lightweight and powerful' },
-        { name: 'PlayStation 5', sellerInfo: 'Gaming console in high demand', buyerInfo: 'Latest games available' }
+        {
+          name: 'iPhone 14 Pro', sellerInfo: 'Brand new, unopened box', buyerInfo: 'Great camera, latest features',
+          sellerCost: { distribution: 'uniform', min: 650, max: 800 },
+          buyerValue: { distribution: 'uniform', min: 850, max: 1000 }
+        },
+        {
+          name: 'MacBook Air M2', sellerInfo: 'Perfect for students', buyerInfo: 'Lightweight and powerful',
+          sellerCost: { distribution: 'uniform', min: 800, max: 950 },
+          buyerValue: { distribution: 'uniform', min: 1000, max: 1200 }
+        },
+        { name: 'PlayStation 5', sellerInfo: 'Gaming console in high demand', buyerInfo: 'Latest games available', sellerCost: 380, buyerValue: 520 }
       ]
     },
     {
@@ -245,9 +697,13 @@ const gameConfig = {
       description: 'Furniture, Appliances, Decor',
       image: 'https://images.unsplash.com/photo-1586023492125-27b2c045efd7?w=300&h=200&fit=crop',
       products: [
-        { name: 'Coffee Table', sellerInfo: 'Solid wood construction', buyerInfo: 'Perfect for living room' },
-        { name: 'Stand Mixer', sellerInfo: 'Professional grade', buyerInfo: 'Great for baking enthusiasts' },
-        { name: 'Garden Tools Set', sellerInfo: 'Durable steel tools', buyerInfo: 'Essential for gardening' }
+        {
+          name: 'Coffee Table', sellerInfo: 'Solid wood construction', buyerInfo: 'Perfect for living room',
+          sellerCost: { distribution: 'uniform', min: 120, max: 180 },
+          buyerValue: { distribution: 'uniform', min: 200, max: 280 }
+        },
+        { name: 'Stand Mixer', sellerInfo: 'Professional grade', buyerInfo: 'Great for baking enthusiasts', sellerCost: 220, buyerValue: 330 },
+        { name: 'Garden Tools Set', sellerInfo: 'Durable steel tools', buyerInfo: 'Essential for gardening', sellerCost: 60, buyerValue: 110 }
       ]
     },
     {
@@ -256,9 +712,34 @@ const gameConfig = {
       description: 'Clothing, Shoes, Accessories',
       image: 'https://images.unsplash.com/photo-1441986300917-64674bd600d8?w=300&h=200&fit=crop',
       products: [
-        { name: 'Designer Handbag', sellerInfo: 'Authentic luxury brand', buyerInfo: 'Timeless style piece' },
-        { name: 'Running Shoes', sellerInfo: 'Limited edition colorway', buyerInfo: 'Comfortable for daily wear' },
-        { name: 'Leather Jacket', sellerInfo: 'Genuine leather, well-maintained', buyerInfo: 'Classic style statement' }
+        {
+          name: 'Designer Handbag', sellerInfo: 'Authentic luxury brand', buyerInfo: 'Timeless style piece',
+          sellerCost: { distribution: 'normal', mean: 900, sd: 80, min: 700, max: 1100 },
+          buyerValue: { distribution: 'normal', mean: 1150, sd: 80, min: 950, max: 1350 }
+        },
+        { name: 'Running Shoes', sellerInfo: 'Limited edition colorway', buyerInfo: 'Comfortable for daily wear', sellerCost: 90, buyerValue: 160 },
+        {
+          name: 'Leather Jacket', sellerInfo: 'Genuine leather, well-maintained', buyerInfo: 'Classic style statement',
+          sellerCost: { distribution: 'uniform', min: 150, max: 220 },
+          buyerValue: { distribution: 'uniform', min: 250, max: 330 }
+        }
+      ]
+    },
+    {
+      id: 'wholesale',
+      name: 'Wholesale Contracts',
+      description: 'Multi-issue supply deals: price, delivery, warranty, quantity',
+      image: 'https://images.unsplash.com/photo-1586528116311-ad8dd3c8310d?w=300&h=200&fit=crop',
+      products: [
+        {
+          name: 'Laptop Fleet Order', sellerInfo: 'You supply business laptops', buyerInfo: 'You equip a growing office',
+          issues: [
+            { id: 'price', label: 'Unit price ($)', options: [900, 950, 1000, 1050, 1100], points: { A: [0, 10, 20, 30, 40], B: [40, 30, 20, 10, 0] } },
+            { id: 'delivery', label: 'Delivery', options: ['4 weeks', '3 weeks', '2 weeks', '1 week'], points: { A: [30, 20, 10, 0], B: [0, 5, 10, 15] } },
+            { id: 'warranty', label: 'Warranty (months)', options: [12, 24, 36], points: { A: [10, 5, 0], B: [0, 20, 40] } },
+            { id: 'quantity', label: 'Quantity', options: [50, 100, 150], points: { A: [0, 10, 20], B: [0, 10, 20] } }
+          ]
+        }
       ]
     }
   ],
@@ -266,144 +747,32 @@ const gameConfig = {
     totalRounds: 10,
     buyerRounds: 5,
     sellerRounds: 5,
-    maxPlayersPerRoom: 20
-  }
-};
-
-// --- Improved offer extraction with contextual analysis ---
-function extractNumbersWithRegex(text, role) {
-  const regex = /\$?\d+/g;
-  const matches = text.match(regex) || [];
-  const lowered = text.toLowerCase();
-
-  // Product/model indicators
-  const productWords = ["iphone", "galaxy", "series", "model", "version", "mark", "pro", "max", "mini", "plus"];
-  
-  // Offer context indicators (strong signals for actual offers)
-  const offerPhrases = [
-    "i can offer", "i offer", "offer you", "willing to pay", "i'll pay", "i can pay",
-    "thinking more like", "how about", "what about", "i was thinking",
-    "the least i can take", "i can take", "lowest i'll go", "minimum is",
-    "my final offer", "best i can do", "i'll accept", "deal at",
-    "counter offer", "counteroffer", "i propose"
-  ];
-
-  // Rejection context indicators
-  const rejectionPhrases = [
-    "too high", "too expensive", "too much", "can't afford", "way too",
-    "below asking", "far below", "not enough", "too low"
-  ];
-
-  const numbers = matches.map((match, index) => {
-    const value = parseFloat(match.replace("$", ""));
-    let confidence = 0.3; // Base confidence
-    let context = "neutral";
-
-    // Get surrounding text (30 chars before and after)
-    const matchIndex = text.indexOf(match);
-    const before = text.substring(Math.max(0, matchIndex - 30), matchIndex).toLowerCase();
-    const after = text.substring(matchIndex + match.length, matchIndex + match.length + 30).toLowerCase();
-    const surrounding = before + " " + match.toLowerCase() + " " + after;
-
-    // Check if it's likely a model number
-    let isLikelyModel = false;
-    for (const product of productWords) {
-      // Check if product word appears right before the number
-      if (before.endsWith(product + " ") || before.includes(product + " " + match.toLowerCase())) {
-        isLikelyModel = true;
-        confidence = 0.05;
-        context = "model_number";
-        console.log(`⚠️ Detected model number: ${value} (near "${product}")`);
-        break;
-      }
-    }
-
-    if (!isLikelyModel) {
-      // Check for strong offer context
-      for (const phrase of offerPhrases) {
-        if (surrounding.includes(phrase)) {
-          confidence = 0.9;
-          context = "offer_phrase";
-          console.log(`✅ Strong offer context: ${value} (phrase: "${phrase}")`);
-          break;
-        }
-      }
-
-      // Check for rejection context (still might be a reference price)
-      if (confidence < 0.9) {
-        for (const phrase of rejectionPhrases) {
-          if (surrounding.includes(phrase)) {
-            // If it's in rejection context, lower confidence but don't eliminate
-            confidence = Math.max(confidence * 0.7, 0.2);
-            context = "rejection_context";
-            console.log(`⚠️ Rejection context: ${value} (phrase: "${phrase}")`);
-            break;
-          }
-        }
-      }
-
-      // Boost confidence for dollar signs
-      if (match.startsWith("$")) {
-        confidence *= 1.3;
-        console.log(`💰 Dollar sign boost: ${value}`);
-      }
-
-      // Reasonable price range check
-      if (value >= 50 && value <= 10000) {
-        confidence *= 1.2;
-      } else if (value < 10) {
-        confidence *= 0.3; // Very low numbers are unlikely to be prices
-      } else if (value > 10000) {
-        confidence *= 0.7; // Very high numbers might be less likely
-      }
-    }
-
-    return { value, context, confidence, surrounding: surrounding.trim() };
-  });
-
-  // Find the best offer based on confidence and context
-  let offer = null;
-  if (numbers.length) {
-    // Sort by confidence, then by contextual relevance
-    const validNumbers = numbers.filter(n => n.confidence > 0.1);
-    
-    if (validNumbers.length > 0) {
-      // First, try to find numbers with strong offer context
-      const strongOffers = validNumbers.filter(n => n.context === "offer_phrase");
-      
-      if (strongOffers.length > 0) {
-        // Use the offer with highest confidence from strong offers
-        offer = strongOffers.reduce((best, current) => 
-          current.confidence > best.confidence ? current : best
-        ).value;
-      } else {
-        // No strong offers, use role-based logic with confidence weighting
-        const sortedByConfidence = validNumbers.sort((a, b) => b.confidence - a.confidence);
-        
-        if (role === "A") {
-          // Seller: prefer higher values among confident ones
-          const topConfident = sortedByConfidence.filter(n => n.confidence >= sortedByConfidence[0].confidence * 0.8);
-          offer = Math.max(...topConfident.map(n => n.value));
-        } else if (role === "B") {
-          // Buyer: prefer lower values among confident ones
-          const topConfident = sortedByConfidence.filter(n => n.confidence >= sortedByConfidence[0].confidence * 0.8);
-          offer = Math.min(...topConfident.map(n => n.value));
-        } else {
-          // No role: use most confident
-          offer = sortedByConfidence[0].value;
-        }
-      }
-      
-      console.log(`🎯 Final offer: ${offer} (from ${validNumbers.length} candidates)`);
+    maxPlayersPerRoom: 20,
+    roundTimeLimitSeconds: 900, // per-pair deadline; 0 disables the timer
+    timerWarningSeconds: [300, 60], // remaining-time warnings pushed to the pair
+    timerTickSeconds: 1,
+    roleBlockRounds: 5, // roles flip after this many rounds
+    autoAdvanceRounds: false, // start the next round on its own after a break
+    breakSeconds: 60,
+    oddPlayerPolicy: 'bench', // 'bench' (rotate who sits out) | 'bot' (scripted partner)
+    reconnectGraceSeconds: 60, // how long a pair waits for a disconnected member; 0 waits forever
+    resultsDisclosure: 'distribution', // round debrief: 'none' | 'own' | 'distribution'
+    bot: {
+      strategy: 'boulware', // 'boulware' | 'conceder' | 'tit_for_tat'
+      reservationPrice: null, // null = the value drawn for the bot's seat
+      responseDelaySeconds: 4
     }
+  },
+  offerExtraction: {
+    backend: 'regex' // 'regex' | 'classifier' | 'manual' | 'huggingface'
   }
+};
 
-  return { numbersFound: numbers, offer, rawModelOutput: null, errorCause: "regex_only" };
-}
-
-// Always use regex now
-async function extractOffer(message, role) {
-  return extractNumbersWithRegex(message, role);
+// --- Offer extraction (backend chosen by gameConfig.offerExtraction) ---
+// Ranges and relative offers ("50 less") are resolved against the pair's standing offers
+async function extractOffer(message, role, pair = null) {
+  const context = pair ? { latestOffers: pair.latestOffers, chatOffers: pair.chatOffers } : {};
+  return runExtractor(gameConfig.offerExtraction?.backend, message, role, context);
 }
 
 // --- Helper functions ---
@@ -416,933 +785,2626 @@ function getUserPair(userId) {
   return user?.pairId ? pairs[user.pairId] : null;
 }
 
-function getGameStats() {
-  const totalUsers = Object.keys(users).length;
-  const activeRooms = Object.keys(rooms).filter(roomId => rooms[roomId] && rooms[roomId].users.length > 0).length;
-  const activePairs = Object.keys(pairs).length;
-  const completedDeals = Object.values(pairs).filter(pair => pair.finalDeal).length;
-  
-  return { totalUsers, activeRooms, activePairs, completedDeals };
+// Server-enforced negotiation deadlines
+const pairTimers = new PairTimerManager({
+  onTick: (pairId, remainingSeconds, totalSeconds) => {
+    io.to(`pair:${pairId}`).emit("timerTick", { pairId, remainingSeconds, totalSeconds });
+  },
+  onWarning: (pairId, remainingSeconds, thresholdSeconds) => {
+    io.to(`pair:${pairId}`).emit("timerWarning", {
+      pairId,
+      remainingSeconds,
+      thresholdSeconds,
+      message: `${GameAnalytics.formatDuration(remainingSeconds)} left to reach a deal`
+    });
+  },
+  onExpire: (pairId) => {
+    closePairAsImpasse(pairId, 'time_expired');
+  }
+});
+
+// Deadline for a pair: its treatment may set its own limit
+function pairTimeLimit(pair) {
+  const treatment = findTreatment(sessions[pair.sessionId], pair.treatmentId);
+  return treatment?.settings.roundTimeLimitSeconds ?? gameConfig.gameSettings.roundTimeLimitSeconds;
 }
 
-function getRoomDetails(roomId) {
-  if (!rooms[roomId]) {
-    return { roomId, users: [], waitingUsers: [], pairedUsers: [], pairs: [] };
-  }
+function startPairTimer(pair, durationSeconds = pairTimeLimit(pair)) {
+  const { timerWarningSeconds, timerTickSeconds } = gameConfig.gameSettings;
+  pairTimers.start(pair.id, {
+    durationSeconds,
+    // A resumed countdown skips warnings for time already gone
+    warningSeconds: (timerWarningSeconds || []).filter(seconds => seconds < durationSeconds),
+    tickSeconds: timerTickSeconds || 1
+  });
+}
 
-  const room = rooms[roomId];
-  const waitingUsers = room.users.filter(user => !user.pairId && user.socketId);
-  const pairedUsers = room.users.filter(user => user.pairId);
-  const roomPairs = Object.values(pairs).filter(pair => pair.roomId === roomId);
+const IMPASSE_MESSAGES = {
+  time_expired: 'Time is up! The negotiation ended without a deal.',
+  partner_disconnected: 'Your partner left and did not come back in time. The negotiation ended without a deal.'
+};
 
-  return {
-    roomId,
-    totalUsers: room.users.length,
-    users: room.users.map(u => ({
-      id: u.id,
-      name: u.name,
-      status: u.pairId ? 'paired' : 'waiting',
-      pairId: u.pairId,
-      role: u.role,
-      online: !!u.socketId
-    })),
-    waitingUsers: waitingUsers.map(u => ({
-      id: u.id,
-      name: u.name,
-      joinedAt: u.joinedAt || 'unknown'
-    })),
-    pairedUsers: pairedUsers.map(u => ({
-      id: u.id,
-      name: u.name,
-      pairId: u.pairId,
-      role: u.role
-    })),
-    pairs: roomPairs.map(pair => ({
-      id: pair.id,
-      userA: { name: pair.userA.name, role: pair.userA.role },
-      userB: { name: pair.userB.name, role: pair.userB.role },
-      product: pair.product?.name,
-      startedAt: pair.startedAt,
-      finalDeal: pair.finalDeal
-    }))
-  };
+// Close a negotiation without a deal (deadline passed, etc.)
+async function closePairAsImpasse(pairId, reason) {
+  const pair = pairs[pairId];
+  if (!pair || pair.status !== 'active') return;
+
+  pairTimers.stop(pairId);
+  botManager.stop(pairId);
+  pair.status = 'abandoned';
+  pair.endedAt = new Date().toISOString();
+  pair.endReason = reason;
+  pair.userA.confirmPrice = null;
+  pair.userB.confirmPrice = null;
+
+  // 💾 Record the impasse
+  try {
+    await savePair(pairId, {
+      status: 'abandoned',
+      endedAt: pair.endedAt,
+      endReason: reason
+    });
+  } catch (error) {
+    console.error('❌ Failed to save impasse to database:', error);
+  }
+
+  io.to(`pair:${pairId}`).emit("negotiationImpasse", {
+    pairId,
+    reason,
+    message: IMPASSE_MESSAGES[reason] || 'The negotiation ended without a deal.'
+  });
+
+  console.log(`⌛ Pair ${pairId} closed as impasse (${reason})`);
+  [pair.userA, pair.userB].forEach(member => requestSurvey(member, 'pairEnd', { pairId, roundNumber: pair.roundNumber ?? null }));
+
+  broadcastToModerators('moderator:activity', {
+    message: `⌛ Pair ${pair.userA.name} & ${pair.userB.name} in ${pair.roomId} ended without a deal (${reason})`,
+    type: 'warning'
+  });
+
+  broadcastToModerators('moderator:gameData', {
+    stats: getGameStats(),
+    pairs: getActivePairs()
+  });
+
+  checkRoundComplete(pair.roomId);
 }
 
-function shouldPlayerBeBuyer(user) {
-  // Count how many times this user has been buyer vs seller
-  const buyerCount = user.roleHistory?.filter(role => role === 'B').length || 0;
-  const sellerCount = user.roleHistory?.filter(role => role === 'A').length || 0;
-  const totalGames = buyerCount + sellerCount;
-  
-  // For first-time players, completely random
-  if (totalGames === 0) {
-    return Math.random() < 0.5;
+// Multi-round session schedule (round count, role blocks, breaks between rounds)
+const sessionScheduler = new SessionScheduler({
+  onAutoStart: async (roomId, roundNumber) => {
+    const result = await startRound(roomId);
+    if (!result.ok) {
+      console.error(`❌ Could not auto-start round ${roundNumber} in ${roomId}: ${result.error}`);
+      broadcastToModerators('moderator:activity', {
+        message: `❌ Round ${roundNumber} in ${roomId} did not auto-start: ${result.error}`,
+        type: 'error'
+      });
+    }
+  },
+  onChange: (roomId, schedule) => {
+    io.to(roomId).emit("scheduleUpdate", schedule);
+    broadcastToModerators('moderator:schedule', schedule);
+
+    // 💾 Keep the schedule so a restart resumes the session at the same round
+    saveRoom(roomId, { schedule: sessionScheduler.record(roomId) })
+      .catch(error => console.error('❌ Failed to save schedule to database:', error));
   }
-  
-  // For experienced players, balance their roles
-  if (buyerCount < sellerCount) {
-    return true; // Prefer buyer to balance
-  } else if (sellerCount < buyerCount) {
-    return false; // Prefer seller to balance
+});
+
+// Start the next scheduled round in a room: pair everyone with their block role
+async function startRound(roomId) {
+  const room = rooms[roomId];
+  if (!room) return { ok: false, error: 'Room not found' };
+  if (room.users.length < 2) return { ok: false, error: 'Need at least 2 players to start a round' };
+
+  if (room.status === 'paused') return { ok: false, error: 'Room is paused' };
+
+  const settings = gameConfig.gameSettings;
+  const check = sessionScheduler.canStartRound(roomId, settings);
+  if (!check.ok) return check;
+
+  // Pairs left over from earlier rounds (e.g. auto-pairs) make way for the new round
+  const leftovers = pairsInRoom(roomId).filter(pair => pair.status === 'active');
+  for (const pair of leftovers) {
+    await dissolvePair(pair.id, 'superseded');
   }
-  
-  // If perfectly balanced, random
-  return Math.random() < 0.5;
+
+  const roundNumber = sessionScheduler.beginRound(roomId, settings);
+  const schedule = sessionScheduler.get(roomId);
+
+  room.status = 'active';
+  room.currentRound = roundNumber;
+
+  // 💾 Update room in database (the row is created on first use)
+  try {
+    await persistence.ensureRoom(roomId);
+    await saveRoom(roomId, {
+      status: 'active',
+      currentRound: room.currentRound,
+      schedule: sessionScheduler.record(roomId)
+    });
+  } catch (error) {
+    console.error('❌ Failed to update room in database:', error);
+  }
+
+  // Role groups are fixed for the session and balanced within each treatment;
+  // roles flip every block of rounds
+  groupByTreatment(room.users).forEach(players => assignRoleGroups(players));
+  await balanceWithBots(roomId);
+  const pairing = createScheduledPairs(roomId, roundNumber, schedule);
+  const userPairs = pairing.pairs;
+  await benchPlayers(roomId, roundNumber, pairing.benched);
+
+  // 💾 Save the pairing rotation so later rounds keep to it after a restart
+  try {
+    await saveRoom(roomId, { pairingStates: room.pairingStates });
+  } catch (error) {
+    console.error('❌ Failed to save pairing state to database:', error);
+  }
+
+  const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
+  const products = roomConfig?.products || [{ name: 'Generic Item', sellerInfo: '', buyerInfo: '' }];
+  const currentProduct = productForRound(products, roundNumber);
+
+  // Create pair objects and join pair rooms
+  const roundPairs = await Promise.all(userPairs.map(([userA, userB]) => {
+    userA.currentRound = roundNumber;
+    userB.currentRound = roundNumber;
+
+    return createNegotiationPair({
+      roomId,
+      userA,
+      userB,
+      product: {
+        ...currentProduct,
+        round: roundNumber,
+        itemId: `${roomId}-${roundNumber}`,
+      },
+      roundNumber
+    });
+  }));
+
+  room.pairs = roundPairs.map(pair => ({
+    pairId: pair.id,
+    users: [pair.userA, pair.userB],
+    product: publicProduct(pair.product),
+    latestOffers: { A: null, B: null },
+    finalDeal: null,
+  }));
+
+  // Send pair assignments first so clients know their new role when the round starts
+  roundPairs.forEach(pair => {
+    [pair.userA, pair.userB].forEach(user => {
+      const userSocket = io.sockets.sockets.get(user.socketId);
+      if (userSocket) {
+        userSocket.emit('pairAssigned', {
+          ...getPairAssignment(pair, user),
+          roundNumber
+        });
+      }
+    });
+  });
+
+  // Emit round start with product and role info
+  io.to(roomId).emit("roundStart", {
+    roomId,
+    roundNumber,
+    product: publicProduct(currentProduct),
+    totalRounds: schedule.totalRounds,
+    schedule: sessionScheduler.snapshot(roomId)
+  });
+
+  console.log(`🎮 Round ${roundNumber}/${schedule.totalRounds} started in ${roomId} with ${roundPairs.length} pairs`);
+
+  broadcastToModerators('moderator:activity', {
+    message: `🎮 Round ${roundNumber}/${schedule.totalRounds} started in ${roomId} with ${roundPairs.length} pairs`,
+    type: 'success'
+  });
+
+  // Tell moderators when the room's pairing strategy could not be honoured
+  broadcastToModerators('moderator:pairingReport', {
+    roomId,
+    roundNumber,
+    strategy: pairing.strategy,
+    violations: pairing.violations,
+    benched: pairing.benched.map(({ user, reason }) => ({ id: user.id, name: user.name, reason }))
+  });
+  pairing.violations.forEach(violation => {
+    console.log(`⚠️ Pairing (${pairing.strategy}) round ${roundNumber} in ${roomId}: ${violation}`);
+    broadcastToModerators('moderator:activity', {
+      message: `⚠️ ${pairing.strategy} pairing, round ${roundNumber}: ${violation}`,
+      type: 'warning'
+    });
+  });
+
+  broadcastToModerators('moderator:gameData', {
+    stats: getGameStats(),
+    pairs: getActivePairs()
+  });
+
+  return { ok: true, roundNumber, pairs: roundPairs.length, violations: pairing.violations };
 }
 
-function findOptimalPartner(user, availableUsers) {
-  // Find users who haven't been paired with this user before
-  const eligibleUsers = availableUsers.filter(other => 
-    other.id !== user.id && 
-    !user.previousPartners.includes(other.id) &&
-    !other.previousPartners.includes(user.id)
-  );
-  
-  if (eligibleUsers.length === 0) {
-    // If no new partners available, allow re-pairing
-    console.log(`⚠️ No new partners for ${user.name}, allowing re-pairing`);
-    return availableUsers.find(other => other.id !== user.id);
+// Close the scheduled round and tell the room what happens next
+function finishScheduledRound(roomId) {
+  const status = sessionScheduler.finishRound(roomId);
+  const schedule = sessionScheduler.snapshot(roomId);
+
+  io.to(roomId).emit("roundEnd", { roomId, roundNumber: schedule.currentRound, schedule });
+  const roundResults = compileRoundResults(roomId, schedule.currentRound);
+  broadcastToModerators('moderator:roundResults', roundResults);
+  sendRoundDebriefs(roomId, roundResults);
+
+  if (status === 'completed') {
+    io.to(roomId).emit("sessionComplete", { roomId, totalRounds: schedule.totalRounds });
+    (rooms[roomId]?.users || []).forEach(user => endOfSession(user));
+    console.log(`🏁 Session complete in ${roomId} after ${schedule.totalRounds} rounds`);
+  } else {
+    console.log(`🔔 Round ${schedule.currentRound} finished in ${roomId} (${status})`);
   }
-  
-  // Return random eligible user
-  return eligibleUsers[Math.floor(Math.random() * eligibleUsers.length)];
+
+  broadcastToModerators('moderator:activity', {
+    message: status === 'completed'
+      ? `🏁 All ${schedule.totalRounds} rounds played in ${roomId}`
+      : `🔔 Round ${schedule.currentRound} finished in ${roomId}${status === 'break' ? `, next round in ${schedule.breakRemainingSeconds}s` : ''}`,
+    type: 'info'
+  });
 }
 
-function createGamePairs(roomUsers) {
-  console.log(`🎯 createGamePairs called with ${roomUsers.length} users:`, roomUsers.map(u => u.name));
-  
-  const availableUsers = [...roomUsers];
-  const pairs = [];
-  
-  // Initialize role history for new users
-  availableUsers.forEach(user => {
-    if (!user.roleHistory) {
-      user.roleHistory = [];
-    }
+function resultsDisclosureFor(roomId) {
+  const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
+  return roomConfig?.resultsDisclosure || gameConfig.gameSettings.resultsDisclosure || 'distribution';
+}
+
+// Each player gets their own debrief, trimmed to what the moderator chose to reveal
+function sendRoundDebriefs(roomId, roundResults) {
+  const disclosure = resultsDisclosureFor(roomId);
+  (rooms[roomId]?.users || []).filter(user => !user.isBot).forEach(user => {
+    const userSocket = io.sockets.sockets.get(user.socketId);
+    if (userSocket) userSocket.emit("roundResults", participantResults(roundResults, user.id, disclosure));
   });
-  
-  // Shuffle users for random pairing
-  for (let i = availableUsers.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [availableUsers[i], availableUsers[j]] = [availableUsers[j], availableUsers[i]];
+}
+
+// Freeze one pair: stop its clock, bot and dropout grace, and open a pause interval
+// (excluded from deal durations)
+function pausePair(pair, pausedAt) {
+  pairTimers.pause(pair.id);
+  botManager.pause(pair.id);
+  pauseDropoutGrace(pair.id);
+  if (!pair.pauseIntervals) pair.pauseIntervals = [];
+  pair.pauseIntervals.push({ pausedAt, resumedAt: null });
+}
+
+function resumePair(pair, resumedAt) {
+  const open = pair.pauseIntervals?.find(interval => !interval.resumedAt);
+  if (open) open.resumedAt = resumedAt;
+  pairTimers.resume(pair.id);
+  botManager.resume(pair.id);
+  resumeDropoutGrace(pair.id);
+}
+
+// Pause or resume every negotiation in a room and tell all its clients
+async function setRoomPaused(roomId, paused) {
+  const room = rooms[roomId];
+  if (!room) return { ok: false, error: 'Room not found' };
+  if (paused === (room.status === 'paused')) {
+    return { ok: false, error: paused ? 'Room is already paused' : 'Room is not paused' };
   }
-  
-  console.log(`🔀 Shuffled users:`, availableUsers.map(u => u.name));
-  
-  while (availableUsers.length >= 2) {
-    const userA = availableUsers.pop();
-    const userB = findOptimalPartner(userA, availableUsers) || availableUsers.pop();
-    
-    if (userB) {
-      // Remove userB from available users
-      const index = availableUsers.indexOf(userB);
-      if (index > -1) {
-        availableUsers.splice(index, 1);
-      }
-      
-      // Smart role assignment - ensure one buyer, one seller per pair
-      const userA_ShouldBeBuyer = shouldPlayerBeBuyer(userA);
-      const userB_ShouldBeBuyer = shouldPlayerBeBuyer(userB);
-      
-      console.log(`🎲 Role assignment: ${userA.name} prefers ${userA_ShouldBeBuyer ? 'BUYER' : 'SELLER'}, ${userB.name} prefers ${userB_ShouldBeBuyer ? 'BUYER' : 'SELLER'}`);
-      console.log(`📊 ${userA.name} history: ${userA.roleHistory.length} games, ${userB.name} history: ${userB.roleHistory.length} games`);
-      
-      // If both want same role, assign based on who needs it more
-      if (userA_ShouldBeBuyer === userB_ShouldBeBuyer) {
-        const userA_BuyerCount = userA.roleHistory.filter(role => role === 'B').length;
-        const userB_BuyerCount = userB.roleHistory.filter(role => role === 'B').length;
-        
-        console.log(`⚖️ Same preference conflict - using buyer counts: ${userA.name}=${userA_BuyerCount}, ${userB.name}=${userB_BuyerCount}`);
-        
-        if (userA_BuyerCount <= userB_BuyerCount) {
-          userA.role = 'B'; // Buyer
-          userB.role = 'A'; // Seller
-        } else {
-          userA.role = 'A'; // Seller
-          userB.role = 'B'; // Buyer
-        }
-      } else {
-        // Different preferences - assign accordingly
-        userA.role = userA_ShouldBeBuyer ? 'B' : 'A';
-        userB.role = userB_ShouldBeBuyer ? 'B' : 'A';
-        console.log(`✅ Different preferences - assigning as preferred`);
-      }
-      
-      // Record role history
-      userA.roleHistory.push(userA.role);
-      userB.roleHistory.push(userB.role);
-      
-      // Update previous partners
-      userA.previousPartners.push(userB.id);
-      userB.previousPartners.push(userA.id);
-      
-      pairs.push([userA, userB]);
-      
-      console.log(`👥 Paired: ${userA.name} (${userA.role === 'A' ? 'SELLER' : 'BUYER'}) with ${userB.name} (${userB.role === 'A' ? 'SELLER' : 'BUYER'})`);
-    }
+
+  const at = new Date().toISOString();
+  const roomPairs = pairsInRoom(roomId).filter(pair => pair.status === 'active');
+
+  if (paused) {
+    room.statusBeforePause = room.status || 'waiting';
+    room.status = 'paused';
+    roomPairs.forEach(pair => pausePair(pair, at));
+    // A break countdown between rounds waits as well
+    room.pausedSchedule = sessionScheduler.snapshot(roomId)?.paused === false && sessionScheduler.pause(roomId).ok;
+  } else {
+    room.status = room.statusBeforePause || 'active';
+    delete room.statusBeforePause;
+    roomPairs.forEach(pair => resumePair(pair, at));
+    if (room.pausedSchedule) sessionScheduler.resume(roomId);
+    delete room.pausedSchedule;
   }
-  
-  return pairs;
-}
 
-function getActivePairs() {
-  return Object.values(pairs).map(pair => {
-    // Find latest offer from messages
-    const latestMessage = pair.messages
-      .filter(msg => msg.offer !== null && msg.offer !== undefined)
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-    
-    return {
-      id: pair.id,
-      roomId: pair.roomId,
-      userA: { id: pair.userA.id, name: pair.userA.name },
-      userB: { id: pair.userB.id, name: pair.userB.name },
-      item: pair.roomId, // Use room as item for now
-      latestOffer: latestMessage ? {
-        amount: latestMessage.offer,
-        role: latestMessage.role,
-        timestamp: latestMessage.timestamp
-      } : null,
-      finalDeal: pair.finalDeal
-    };
+  // 💾 Persist room status and pause intervals
+  try {
+    await saveRoom(roomId, { status: room.status });
+    await Promise.all(roomPairs.map(pair =>
+      savePair(pair.id, { pauseIntervals: pair.pauseIntervals })
+    ));
+  } catch (error) {
+    console.error('❌ Failed to save room pause to database:', error);
+  }
+
+  io.to(roomId).emit(paused ? "gamePaused" : "gameResumed", {
+    roomId,
+    at,
+    message: paused ? 'The moderator has paused the game.' : 'The game has been resumed.'
+  });
+
+  console.log(`${paused ? '⏸️' : '▶️'} Room ${roomId} ${paused ? 'paused' : 'resumed'} (${roomPairs.length} active pairs)`);
+
+  broadcastToModerators('moderator:activity', {
+    message: `${paused ? '⏸️' : '▶️'} Room ${roomId} ${paused ? 'paused' : 'resumed'}`,
+    type: paused ? 'warning' : 'info'
+  });
+
+  broadcastToModerators('moderator:gameData', {
+    stats: getGameStats(),
+    pairs: getActivePairs()
   });
+
+  return { ok: true };
 }
 
-function broadcastToModerators(event, data) {
-  // Send to all authenticated moderators
-  io.sockets.sockets.forEach(socket => {
-    if (socket.data?.isModerator && socket.data?.authenticated) {
-      socket.emit(event, data);
-    }
+// A scheduled round ends once none of its pairs is still negotiating
+function checkRoundComplete(roomId) {
+  const schedule = sessionScheduler.snapshot(roomId);
+  if (!schedule || schedule.status !== 'running') return;
+
+  const roundPairs = Object.values(pairs).filter(pair =>
+    pair.roomId === roomId && !pair.isAutoPair && pair.roundNumber === schedule.currentRound
+  );
+  if (roundPairs.some(pair => pair.status === 'active')) return;
+
+  finishScheduledRound(roomId);
+}
+
+// Lock in a deal for a pair, persist it and tell each side its own outcome
+async function lockDeal(pair, price, details = {}) {
+  // The pair may have been dissolved, abandoned or closed while a caller was awaiting
+  if (pair.status !== 'active') return;
+
+  const dealData = {
+    ...GameAnalytics.createDealData(pair, price, details.terms || null),
+    ...details
+  };
+
+  pairTimers.stop(pair.id);
+  botManager.stop(pair.id);
+  pair.finalDeal = dealData;
+  pair.status = 'completed';
+  pair.endedAt = dealData.confirmedAt;
+  pair.userA.confirmPrice = null;
+  pair.userB.confirmPrice = null;
+
+  // 💾 Save deal to database
+  try {
+    await savePair(pair.id, { 
+      finalDeal: dealData,
+      status: 'completed',
+      endedAt: pair.endedAt
+    });
+    console.log(`💾 Deal saved to database: pair ${pair.id} at $${price}`);
+  } catch (error) {
+    console.error(`❌ Failed to save deal to database:`, error);
+  }
+
+  // Each side only learns its own surplus
+  [pair.userA, pair.userB].forEach(member => {
+    const memberSocket = io.sockets.sockets.get(member.socketId);
+    if (memberSocket) {
+      memberSocket.emit("dealConfirmed", {
+        price,
+        pairId: pair.id,
+        duration: dealData.durationFormatted,
+        durationSeconds: dealData.durationSeconds,
+        mySurplus: dealData.surplus?.[member.role] ?? null,
+        terms: dealData.terms,
+        myPoints: dealData.points?.[member.role] ?? null,
+        message: dealData.terms
+          ? `Deal confirmed: ${describeOffer(dealData)} (took ${dealData.durationFormatted})`
+          : `Deal confirmed at $${price}! (took ${dealData.durationFormatted})`
+      });
+    }
+  });
+
+  console.log(`🤝 Deal confirmed in pair ${pair.id}: ${dealData.terms ? describeOffer(dealData) : `$${price}`} (duration: ${dealData.durationFormatted})`);
+  [pair.userA, pair.userB].forEach(member => requestSurvey(member, 'pairEnd', { pairId: pair.id, roundNumber: pair.roundNumber ?? null }));
+  checkRoundComplete(pair.roomId);
+  return dealData;
+}
+
+// Confirm/correct a chat-extracted offer, persist the audit record and tell everyone who needs to know
+async function recordOfferCorrection(pair, input) {
+  const result = applyOfferCorrection(pair, input);
+  if (!result.ok) return result;
+
+  const { correction } = result;
+  try {
+    await persistence.saveOfferCorrection(correction);
+  } catch (error) {
+    console.error('❌ Failed to save offer correction to database:', error);
+  }
+
+  io.to(`pair:${pair.id}`).emit("offerCorrected", {
+    messageId: correction.messageId,
+    action: correction.action,
+    correctedOffer: correction.correctedOffer,
+    originalOffer: correction.originalOffer,
+    correctorType: correction.correctorType,
+    chatOffers: pair.chatOffers
+  });
+
+  const label = correction.correctedOffer === null ? 'no offer' : `$${correction.correctedOffer}`;
+  console.log(`✏️ Offer ${correction.action} in pair ${pair.id} by ${correction.correctorType} ${correction.correctedByName}: ${correction.originalOffer ?? 'none'} → ${label}`);
+
+  broadcastToModerators('moderator:activity', {
+    message: `✏️ ${correction.correctedByName} (${correction.correctorType}) ${correction.action === 'confirm' ? 'confirmed' : 'corrected'} an offer in ${pair.roomId}: ${correction.originalOffer ?? 'none'} → ${label}`,
+    type: 'info'
+  });
+
+  broadcastToModerators('moderator:gameData', {
+    stats: getGameStats(),
+    pairs: getActivePairs()
+  });
+
+  return result;
+}
+
+// Scripted bot negotiators speak through the same chat and deal-confirmation paths as people
+const botManager = new BotManager({
+  onSay: (pairId, botUserId, text) => {
+    postChatMessage(users[botUserId], text, (event, data) => {
+      if (event === 'error') console.log(`🤖 Bot message not sent in pair ${pairId}: ${data.message}`);
+    });
+  },
+  onConfirm: (pairId, botUserId, price) => {
+    confirmDealPrice(users[botUserId], price, (event, data) => {
+      if (event === 'error') console.log(`🤖 Bot confirmation not sent in pair ${pairId}: ${data.message}`);
+    });
+  }
+});
+
+// Enroll a player in an open session and draw their treatment; players
+// keep the session and treatment they already have while it is open
+async function enrollInSession(user, session) {
+  if (user.isBot || user.isModerator) return;
+  if (!session || sessions[user.sessionId]?.status === 'open') return;
+
+  const treatmentId = assignTreatment(session);
+  try {
+    await saveUser(user.id, { sessionId: session.id, treatmentId });
+  } catch (error) {
+    console.error('❌ Failed to save treatment assignment to database:', error);
+  }
+  try {
+    await saveSession(session.id, { assignmentCounts: session.assignmentCounts });
+  } catch (error) {
+    console.error('❌ Failed to update session in database:', error);
+  }
+  console.log(`🧪 ${user.name} enrolled in session ${session.code} (${treatmentId})`);
+}
+
+// Rooms of a session that requires join codes only admit that session's participants
+function entryRefusal(user, roomId) {
+  const session = openSessionForRoom(roomId);
+  if (!session?.entry.requireJoinCode || user.isModerator || user.isBot) return null;
+  if (user.sessionId === session.id) return null;
+  return `This room is reserved for participants of session ${session.code}. Please use the link from your invitation.`;
+}
+
+// Give a session participant their completion code (and the link back to the
+// study panel, if configured); the code is kept so it is the same on every reload
+async function issueCompletion(user) {
+  const session = sessions[user.sessionId];
+  if (!session || user.isBot) return;
+  
+  if (!user.completionCode) {
+    try {
+      await saveUser(user.id, {
+        completionCode: session.entry.completionCode || generateCode(),
+        completedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Failed to save completion code to database:', error);
+    }
+    console.log(`🎓 ${user.name} completed session ${session.code}`);
+  }
+  
+  const userSocket = io.sockets.sockets.get(user.socketId);
+  if (userSocket) userSocket.emit("sessionCompletion", completionFor(session, user));
+}
+
+// Ask a player to fill in the survey instrument due at a trigger; false when
+// there is none or it has already been answered
+function requestSurvey(user, trigger, context = {}) {
+  const instrument = instrumentFor(gameConfig.surveys, trigger);
+  if (!instrument || user.isBot || hasSubmitted(user, instrument.name, context.pairId ?? null)) return false;
+
+  const request = surveyRequest(instrument, context);
+  if (!user.pendingSurveys.some(pending => pending.instrument === request.instrument && pending.pairId === request.pairId)) {
+    user.pendingSurveys.push(request);
+    // Kept with the user so the request survives a restart
+    saveUser(user.id, { pendingSurveys: user.pendingSurveys })
+      .catch(error => console.error('❌ Failed to save survey request to database:', error));
+  }
+  const userSocket = io.sockets.sockets.get(user.socketId);
+  if (userSocket) userSocket.emit("surveyRequest", request);
+  return true;
+}
+
+// A player's rounds or session are over: exit survey first, then the completion code
+async function endOfSession(user) {
+  if (!requestSurvey(user, 'sessionEnd')) await issueCompletion(user);
+}
+
+// `checked` is the outcome of validateResponses: the accepted answers and failed attention checks
+async function recordSurvey(user, instrument, checked, { pairId = null, roundNumber = null } = {}) {
+  try {
+    await saveSurveyResponse(user, {
+      instrument: instrument.name,
+      trigger: instrument.trigger,
+      pairId,
+      roundNumber,
+      responses: checked.responses,
+      attentionChecksFailed: checked.attentionChecksFailed
+    });
+  } catch (error) {
+    console.error('❌ Failed to save survey response to database:', error);
+  }
+  const failed = checked.attentionChecksFailed.length;
+  console.log(`📝 ${instrument.name} survey submitted by ${user.name}${failed ? ` (${failed} attention check(s) failed)` : ''}`);
+}
+
+// Create a bot participant; it is stored like any user, flagged is_bot
+async function createBotUser(roomId, botConfig = {}) {
+  const config = { ...gameConfig.gameSettings.bot, ...botConfig };
+  if (!BOT_STRATEGIES[config.strategy]) throw new Error(`Unknown bot strategy: ${config.strategy}`);
+
+  const name = `Bot (${config.strategy.replace(/_/g, ' ')})`;
+  const bot = await createUser({ name, surveyCompleted: true, roomId, isBot: true }, { allowOffline: true });
+  bot.botConfig = config;
+  rooms[roomId]?.users.push(bot);
+  console.log(`🤖 ${name} joined ${roomId}`);
+  return bot;
+}
+
+// Start the bot's negotiation if one of the pair's seats is a bot
+function seatBot(pair) {
+  const bot = [pair.userA, pair.userB].find(member => member.isBot);
+  if (!bot) return;
+
+  if (isMultiIssue(pair.product)) {
+    console.log(`⚠️ Bots only negotiate on price; ${bot.name} stays silent in pair ${pair.id}`);
+    return;
+  }
+
+  const reservationPrice = bot.botConfig.reservationPrice ?? pair.reservationValues?.[bot.role];
+  if (typeof reservationPrice !== 'number') {
+    console.log(`⚠️ ${bot.name} has no reservation price in pair ${pair.id}`);
+    return;
+  }
+
+  botManager.attach(pair.id, bot.id, {
+    role: bot.role,
+    reservationPrice,
+    strategy: bot.botConfig.strategy,
+    responseDelaySeconds: bot.botConfig.responseDelaySeconds
+  });
+}
+
+// Keep every moderator pairing intervention for the research record
+async function logModeratorAction(socket, { action, roomId, pairId = null, details = {} }) {
+  const record = {
+    id: uuidv4(),
+    roomId,
+    pairId,
+    action,
+    moderatorId: socket.id,
+    details,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    await persistence.saveModeratorAction(record);
+  } catch (error) {
+    console.error('❌ Failed to save moderator action to database:', error);
+  }
+
+  console.log(`🛡️ Moderator action ${action} in ${roomId}${pairId ? ` (pair ${pairId})` : ''}`);
+  return record;
+}
+
+// A user can be paired when they are not in a negotiation that is still running
+function isUserAvailable(user) {
+  return !user.pairId || pairs[user.pairId]?.status !== 'active';
+}
+
+// Free a member of an ended pair; the cleared seat is persisted so a restart does not restore it
+async function releasePairMember(member, pairId) {
+  member.confirmPrice = null;
+  if (member.pairId !== pairId) return;
+  member.pairId = null;
+  try {
+    await saveUser(member.id, { pairId: null });
+  } catch (error) {
+    console.error('❌ Failed to update user in database:', error);
+  }
+}
+
+const DISSOLVE_MESSAGES = {
+  dissolved_by_moderator: 'The moderator has ended this pairing. You will be paired with someone new.',
+  superseded: 'A new round is starting. You will be paired with someone new.'
+};
+
+// End a pairing (without a deal if still negotiating) and free both members
+async function dissolvePair(pairId, reason = 'dissolved_by_moderator') {
+  const pair = pairs[pairId];
+  if (!pair) return;
+
+  await closePairAsImpasse(pairId, reason);
+  await Promise.all([pair.userA, pair.userB].map(member => releasePairMember(member, pairId)));
+
+  [pair.userA, pair.userB].forEach(member => {
+    const memberSocket = io.sockets.sockets.get(member.socketId);
+    if (memberSocket) {
+      memberSocket.leave(`pair:${pairId}`);
+      memberSocket.emit("pairDissolved", {
+        pairId,
+        reason,
+        message: DISSOLVE_MESSAGES[reason]
+      });
+    }
+  });
+}
+
+// Partner dropout: a disconnected member has reconnectGraceSeconds to come back
+const dropoutTimers = new Map(); // userId -> { pairId, timeout, dueAt, remainingMs }
+
+function startDropoutGrace(user) {
+  const pair = pairs[user.pairId];
+  if (!pair || pair.status !== 'active' || dropoutTimers.has(user.id)) return;
+
+  const graceSeconds = gameConfig.gameSettings.reconnectGraceSeconds ?? 60;
+  io.to(`pair:${pair.id}`).emit("partnerDisconnected", {
+    pairId: pair.id,
+    partnerName: user.name,
+    graceSeconds: graceSeconds || null,
+    message: graceSeconds
+      ? `${user.name} disconnected. Waiting ${graceSeconds}s for them to come back.`
+      : `${user.name} disconnected. Waiting for them to come back.`
+  });
+
+  broadcastToModerators('moderator:activity', {
+    message: `📴 ${user.name} disconnected from pair in ${pair.roomId}`,
+    type: 'warning'
+  });
+
+  const dropout = { pairId: pair.id, timeout: null, dueAt: null, remainingMs: graceSeconds ? graceSeconds * 1000 : null };
+  dropoutTimers.set(user.id, dropout);
+  // In a paused room the window only starts running on resume
+  if (rooms[pair.roomId]?.status !== 'paused') scheduleDropout(user.id, dropout);
+}
+
+function scheduleDropout(userId, dropout) {
+  if (dropout.remainingMs === null) return;
+  dropout.dueAt = Date.now() + dropout.remainingMs;
+  dropout.timeout = setTimeout(() => abandonPair(dropout.pairId, userId), dropout.remainingMs);
+}
+
+// A paused room keeps what is left of its members' grace windows
+function pauseDropoutGrace(pairId) {
+  dropoutTimers.forEach(dropout => {
+    if (dropout.pairId !== pairId || !dropout.timeout) return;
+    clearTimeout(dropout.timeout);
+    dropout.timeout = null;
+    dropout.remainingMs = Math.max(0, dropout.dueAt - Date.now());
+  });
+}
+
+function resumeDropoutGrace(pairId) {
+  dropoutTimers.forEach((dropout, userId) => {
+    if (dropout.pairId === pairId && !dropout.timeout) scheduleDropout(userId, dropout);
+  });
+}
+
+// Cancel a pending dropout once the member is back
+function endDropoutGrace(user, socket) {
+  const dropout = dropoutTimers.get(user.id);
+  if (!dropout) return;
+  clearTimeout(dropout.timeout);
+  dropoutTimers.delete(user.id);
+
+  const pair = pairs[dropout.pairId];
+  if (!pair || pair.status !== 'active') return;
+  socket.to(`pair:${pair.id}`).emit("partnerReconnected", {
+    pairId: pair.id,
+    partnerName: user.name,
+    message: `${user.name} is back.`
+  });
+}
+
+// Grace window over: close the pair and offer the remaining member a new partner or a bot
+async function abandonPair(pairId, droppedUserId) {
+  dropoutTimers.delete(droppedUserId);
+  const pair = pairs[pairId];
+  if (!pair || pair.status !== 'active') return;
+
+  const dropped = users[droppedUserId];
+  await closePairAsImpasse(pairId, 'partner_disconnected');
+  await Promise.all([pair.userA, pair.userB].map(member => releasePairMember(member, pairId)));
+
+  // Bots only negotiate on price
+  const botOffered = !isMultiIssue(pair.product);
+  [pair.userA, pair.userB].forEach(member => {
+    const memberSocket = io.sockets.sockets.get(member.socketId);
+    if (!memberSocket) return;
+    memberSocket.leave(`pair:${pairId}`);
+    if (member.id !== droppedUserId && !member.isBot) {
+      memberSocket.emit("pairAbandoned", {
+        pairId,
+        reason: 'partner_disconnected',
+        options: botOffered ? ['repair', 'bot'] : ['repair'],
+        message: botOffered
+          ? `${dropped?.name || 'Your partner'} did not come back. You can wait for a new partner or negotiate with a bot.`
+          : `${dropped?.name || 'Your partner'} did not come back. Please wait for a new partner.`
+      });
+    }
+  });
+
+  console.log(`📴 Pair ${pairId} abandoned: ${dropped?.name} did not reconnect`);
+}
+
+// Rebuild a pair lost from memory (server restart) from its database rows
+async function restorePair(pairId, restored = null) {
+  try {
+    restored = restored || await persistence.getPair(pairId);
+  } catch (error) {
+    console.error('❌ Failed to load pair from database:', error);
+    return null;
+  }
+  if (!restored || !restored.userA || !restored.userB) return null;
+
+  // Members must be the same objects as in the user map
+  const [userA, userB] = [restored.userA, restored.userB].map(member => {
+    if (!users[member.id]) addUser(createUserRecord(member));
+    return users[member.id];
+  });
+
+  const pair = {
+    ...restored,
+    userA,
+    userB,
+    offers: restored.offers || [],
+    latestOffers: restored.latestOffers || { A: null, B: null },
+    chatOffers: { A: null, B: null }
+  };
+  ['A', 'B'].forEach(role => refreshChatOffer(pair, role));
+  pairs[pair.id] = pair;
+
+  const room = ensureRoom(pair.roomId);
+  if (pair.status === 'active') room.status = 'active';
+  room.currentRound = Math.max(room.currentRound || 0, pair.roundNumber || 0);
+  [userA, userB].forEach(member => {
+    member.roomId = pair.roomId;
+    if (pair.status === 'active') member.pairId = pair.id;
+    else if (member.pairId === pair.id) member.pairId = null;
+    if (!room.users.some(user => user.id === member.id)) room.users.push(member);
+  });
+
+  // Pick the deadline up where it was, minus the time the room spent paused
+  const limit = pairTimeLimit(pair);
+  if (pair.status === 'active' && limit) {
+    const now = new Date().toISOString();
+    const elapsed = (Date.now() - new Date(pair.startedAt).getTime()) / 1000 - GameAnalytics.pausedSeconds(pair.pauseIntervals, now);
+    const remaining = Math.round(limit - elapsed);
+    if (remaining > 0) {
+      startPairTimer(pair, remaining);
+    } else {
+      await closePairAsImpasse(pair.id, 'time_expired');
+    }
+  }
+
+  // A bot seat starts over from its opening offer
+  const bot = [userA, userB].find(member => member.isBot);
+  if (bot && pair.status === 'active') {
+    const roomConfig = gameConfig.rooms.find(r => r.id === pair.roomId);
+    bot.botConfig = bot.botConfig || { ...gameConfig.gameSettings.bot, ...roomConfig?.bot };
+    seatBot(pair);
+  }
+
+  console.log(`♻️ Restored pair ${pair.id} (${userA.name} & ${userB.name}) from the database`);
+  return pair;
+}
+
+// Bring back the negotiations that were running when the server stopped
+async function rehydrateSessions() {
+  const activePairs = await persistence.getActivePairs();
+  for (const stored of activePairs) {
+    const pair = await restorePair(stored.id, stored);
+    // Nobody is connected yet: members get the usual grace period to come back
+    if (pair?.status === 'active') {
+      [pair.userA, pair.userB].filter(member => !member.isBot).forEach(startDropoutGrace);
+    }
+  }
+
+  const roomIds = new Set(activePairs.map(pair => pair.roomId));
+  console.log(`♻️ Rehydrated ${activePairs.length} active pairs in ${roomIds.size} rooms`);
+
+  // Session schedules come back once every pair is in place, so the rounds
+  // that were running can still finish and later rounds keep their roles
+  const storedRooms = (await persistence.getRooms()).filter(stored => stored.schedule);
+  storedRooms.forEach(stored => {
+    const room = ensureRoom(stored.id);
+    room.currentRound = Math.max(room.currentRound || 0, stored.currentRound);
+    room.pairingStates = stored.pairingStates;
+    const schedule = sessionScheduler.restore(stored.id, stored.schedule);
+    console.log(`♻️ Restored schedule in ${stored.id}: round ${schedule.currentRound}/${schedule.totalRounds} (${schedule.status})`);
+  });
+  // Pairs that ran out of time during the restart may have closed the round
+  storedRooms.forEach(stored => checkRoundComplete(stored.id));
+}
+
+// Everything a member needs to redraw the negotiation after a reload
+function getPairState(pair, user) {
+  const schedule = sessionScheduler.snapshot(pair.roomId);
+  return {
+    pairId: pair.id,
+    status: pair.status,
+    roundNumber: pair.roundNumber ?? pair.product?.round ?? null,
+    roundRunning: schedule?.status === 'running',
+    messages: pair.messages,
+    offers: pair.offers || [],
+    latestOffers: pair.latestOffers,
+    chatOffers: pair.chatOffers,
+    confirmPrice: {
+      [pair.userA.role]: pair.userA.confirmPrice ?? null,
+      [pair.userB.role]: pair.userB.confirmPrice ?? null
+    },
+    myRole: user.role,
+    remainingSeconds: pairTimers.getRemaining(pair.id),
+    paused: pairTimers.isPaused(pair.id),
+    dealPrice: pair.finalDeal?.price ?? null
+  };
+}
+
+// Moderator-chosen pair: who sells, who buys and which product
+async function createManualPair({ roomId, sellerId, buyerId, productIndex = null, force = false }) {
+  const room = rooms[roomId];
+  if (!room) return { ok: false, error: 'Room not found' };
+  if (sellerId === buyerId) return { ok: false, error: 'Pick two different players' };
+
+  const seller = room.users.find(user => user.id === sellerId);
+  const buyer = room.users.find(user => user.id === buyerId);
+  if (!seller || !buyer) return { ok: false, error: 'Both players must be in this room' };
+
+  // A bot takes on its partner's treatment, see createNegotiationPair
+  if (!seller.isBot && !buyer.isBot && !sameTreatment(seller, buyer) && !force) {
+    return { ok: false, error: `${seller.name} and ${buyer.name} are in different treatments` };
+  }
+
+  const busy = [seller, buyer].filter(user => !isUserAvailable(user));
+  if (busy.length && !force) {
+    return { ok: false, error: `${busy.map(user => user.name).join(' and ')} ${busy.length > 1 ? 'are' : 'is'} still negotiating` };
+  }
+
+  const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
+  const products = roomConfig?.products || [{ name: 'Generic Item', sellerInfo: '', buyerInfo: '' }];
+  const roundNumber = room.currentRound || 1;
+  const product = productIndex === null ? productForRound(products, roundNumber) : products[productIndex];
+  if (!product) return { ok: false, error: 'Unknown product' };
+
+  // Re-pairing: the players' current negotiations end first
+  const dissolved = [...new Set(busy.map(user => user.pairId))];
+  for (const pairId of dissolved) {
+    await dissolvePair(pairId);
+  }
+
+  seller.role = 'A';
+  buyer.role = 'B';
+  [seller, buyer].forEach(user => {
+    if (!user.roleHistory) user.roleHistory = [];
+    user.roleHistory.push(user.role);
+  });
+  seller.previousPartners.push(buyer.id);
+  buyer.previousPartners.push(seller.id);
+
+  const pair = await createNegotiationPair({
+    roomId,
+    userA: seller,
+    userB: buyer,
+    product: {
+      ...product,
+      round: roundNumber,
+      itemId: `${roomId}-manual-${roundNumber}`,
+    },
+    roundNumber,
+    isManualPair: true
+  });
+
+  [seller, buyer].forEach(user => {
+    const userSocket = io.sockets.sockets.get(user.socketId);
+    if (userSocket) {
+      userSocket.emit('pairAssigned', {
+        ...getPairAssignment(pair, user),
+        roundNumber,
+        message: 'The moderator has paired you. Negotiation can begin.'
+      });
+    }
+  });
+
+  return { ok: true, pair, dissolved };
+}
+
+// Create a pair, draw its private reservation values and persist it
+async function createNegotiationPair({ roomId, userA, userB, product, roundNumber, isAutoPair = false, isManualPair = false }) {
+  const pairId = uuidv4();
+
+  // A price confirmed in an earlier negotiation must not carry over
+  [userA, userB].forEach(user => {
+    user.pairId = pairId;
+    user.confirmPrice = null;
+  });
+
+  const pair = {
+    id: pairId,
+    roomId,
+    userA,
+    userB,
+    messages: [],
+    product,
+    reservationValues: drawReservationValues(product),
+    offers: [],
+    latestOffers: { A: null, B: null },
+    chatOffers: { A: null, B: null },
+    finalDeal: null,
+    status: 'active',
+    startedAt: new Date().toISOString(),
+    pauseIntervals: []
+  };
+  if (isAutoPair) {
+    pair.isAutoPair = true;
+  }
+  if (isManualPair) {
+    pair.isManualPair = true;
+  }
+  pair.roundNumber = roundNumber;
+
+  // Members share a treatment; a bot seat takes its partner's
+  const tagged = [userA, userB].find(user => user.sessionId) || {};
+  pair.sessionId = tagged.sessionId || null;
+  pair.treatmentId = tagged.treatmentId || null;
+  [userA, userB].filter(user => user.isBot).forEach(bot => {
+    bot.sessionId = pair.sessionId;
+    bot.treatmentId = pair.treatmentId;
+  });
+
+  // What each role reads, kept with the pair for analysis
+  pair.briefings = renderBriefings(product, {
+    reservationValues: pair.reservationValues,
+    roundNumber,
+    timeLimitSeconds: pairTimeLimit(pair),
+    treatment: findTreatment(sessions[pair.sessionId], pair.treatmentId)
+  });
+
+  // 💾 Register the pair and save it to the database
+  try {
+    await addPair(pair);
+    console.log(`💾 Pair ${pairId} saved to database`);
+  } catch (error) {
+    console.error('❌ Failed to save pair to database:', error);
+  }
+
+  // Seat and role are needed to put the pair back together after a restart
+  try {
+    await Promise.all([userA, userB].map(user => saveUser(user.id, {
+      roomId,
+      pairId,
+      role: user.role,
+      roleGroup: user.roleGroup || null,
+      roleHistory: user.roleHistory || [],
+      previousPartners: user.previousPartners || [],
+      sessionId: user.sessionId || null,
+      treatmentId: user.treatmentId || null
+    })));
+  } catch (error) {
+    console.error('❌ Failed to save pair members to database:', error);
+  }
+
+  // Join pair-specific rooms
+  const socketA = io.sockets.sockets.get(userA.socketId);
+  const socketB = io.sockets.sockets.get(userB.socketId);
+  if (socketA) socketA.join(`pair:${pairId}`);
+  if (socketB) socketB.join(`pair:${pairId}`);
+
+  startPairTimer(pair);
+  seatBot(pair);
+  if (rooms[roomId]?.status === 'paused') {
+    pausePair(pair, new Date().toISOString());
+  }
+
+  return pair;
+}
+
+// Pair info as seen by one participant - only their own reservation value
+function getPairAssignment(pair, user) {
+  const partner = pair.userA.id === user.id ? pair.userB : pair.userA;
+
+  return {
+    myRole: user.role,
+    partner: { id: partner.id, name: partner.name, role: partner.role },
+    product: publicProduct(pair.product),
+    reservationValue: pair.reservationValues?.[user.role] ?? null,
+    briefing: pair.briefings?.[user.role] ?? null,
+    // Multi-issue pairs: options plus this role's own private point schedule
+    issues: issuesForRole(pair.product, user.role)
+  };
+}
+
+// Human-readable summary of an offer (price or multi-issue package)
+function describeOffer(offer) {
+  if (!offer.terms) return `$${offer.amount}`;
+  return Object.entries(offer.terms).map(([issue, value]) => `${issue}: ${value}`).join(', ');
+}
+
+// Multi-issue pairs propose packages of terms; single-issue pairs propose a price
+function readProposal(pair, { amount, terms }) {
+  if (!isMultiIssue(pair.product)) {
+    return { ok: true, amount: Number(amount), terms: null };
+  }
+
+  const validation = validateTerms(pair.product, terms);
+  if (!validation.ok) return validation;
+
+  const price = validation.terms.price;
+  return { ok: true, amount: typeof price === 'number' ? price : null, terms: validation.terms };
+}
+
+function getGameStats() {
+  const totalUsers = Object.keys(users).length;
+  const activeRooms = Object.keys(rooms).filter(roomId => rooms[roomId] && rooms[roomId].users.length > 0).length;
+  const activePairs = Object.keys(pairs).length;
+  const completedDeals = Object.values(pairs).filter(pair => pair.finalDeal).length;
+  
+  return { totalUsers, activeRooms, activePairs, completedDeals };
+}
+
+function getRoomDetails(roomId) {
+  if (!rooms[roomId]) {
+    return { roomId, users: [], waitingUsers: [], pairedUsers: [], pairs: [] };
+  }
+
+  const room = rooms[roomId];
+  const waitingUsers = room.users.filter(user => !user.pairId && user.socketId);
+  const pairedUsers = room.users.filter(user => user.pairId);
+  const roomPairs = pairsInRoom(roomId);
+
+  return {
+    roomId,
+    totalUsers: room.users.length,
+    users: room.users.map(u => ({
+      id: u.id,
+      name: u.name,
+      status: u.pairId ? 'paired' : 'waiting',
+      pairId: u.pairId,
+      role: u.role,
+      online: !!u.socketId
+    })),
+    waitingUsers: waitingUsers.map(u => ({
+      id: u.id,
+      name: u.name,
+      joinedAt: u.joinedAt || 'unknown'
+    })),
+    pairedUsers: pairedUsers.map(u => ({
+      id: u.id,
+      name: u.name,
+      pairId: u.pairId,
+      role: u.role
+    })),
+    pairs: roomPairs.map(pair => ({
+      id: pair.id,
+      userA: { id: pair.userA.id, name: pair.userA.name, role: pair.userA.role },
+      userB: { id: pair.userB.id, name: pair.userB.name, role: pair.userB.role },
+      product: pair.product?.name,
+      status: pair.status,
+      isManualPair: !!pair.isManualPair,
+      startedAt: pair.startedAt,
+      finalDeal: pair.finalDeal
+    })),
+    products: (gameConfig.rooms.find(r => r.id === roomId)?.products || []).map(product => product.name)
+  };
+}
+
+function shouldPlayerBeBuyer(user) {
+  // Count how many times this user has been buyer vs seller
+  const buyerCount = user.roleHistory?.filter(role => role === 'B').length || 0;
+  const sellerCount = user.roleHistory?.filter(role => role === 'A').length || 0;
+  const totalGames = buyerCount + sellerCount;
+  
+  // For first-time players, completely random
+  if (totalGames === 0) {
+    return Math.random() < 0.5;
+  }
+  
+  // For experienced players, balance their roles
+  if (buyerCount < sellerCount) {
+    return true; // Prefer buyer to balance
+  } else if (sellerCount < buyerCount) {
+    return false; // Prefer seller to balance
+  }
+  
+  // If perfectly balanced, random
+  return Math.random() < 0.5;
+}
+
+function findOptimalPartner(user, availableUsers) {
+  // Find users who haven't been paired with this user before
+  const eligibleUsers = availableUsers.filter(other => 
+    other.id !== user.id && 
+    !user.previousPartners.includes(other.id) &&
+    !other.previousPartners.includes(user.id)
+  );
+  
+  if (eligibleUsers.length === 0) {
+    // If no new partners available, allow re-pairing
+    console.log(`⚠️ No new partners for ${user.name}, allowing re-pairing`);
+    return availableUsers.find(other => other.id !== user.id);
+  }
+  
+  // Return random eligible user
+  return eligibleUsers[Math.floor(Math.random() * eligibleUsers.length)];
+}
+
+// Pair the role groups with the room's pairing strategy; roles follow the session schedule.
+// Players only meet others of their own treatment, so each treatment is paired on its own.
+function createScheduledPairs(roomId, roundNumber, schedule) {
+  const room = rooms[roomId];
+  const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
+  const config = roomConfig?.pairing || { strategy: 'random' };
+  if (!room.pairingStates) room.pairingStates = {};
+
+  const pairs = [];
+  const violations = [];
+  const benched = [];
+  groupByTreatment(room.users).forEach(players => {
+    const key = treatmentKey(players[0]);
+    if (!room.pairingStates[key]) room.pairingStates[key] = createPairingState();
+
+    const result = pairTreatmentGroup(players, roundNumber, schedule, config, room.pairingStates[key]);
+    pairs.push(...result.pairs);
+    violations.push(...result.violations.map(violation => key ? `${players[0].treatmentId}: ${violation}` : violation));
+    benched.push(...result.benched);
+  });
+
+  return { pairs, strategy: config.strategy || 'random', violations, benched };
+}
+
+function pairTreatmentGroup(players, roundNumber, schedule, config, pairingState) {
+  // Odd counts: the surplus of the larger role group sits out, in rotation
+  // (with the "bot" policy, balanceWithBots has already evened the groups)
+  const bench = selectBenchedPlayers(
+    players.filter(user => user.roleGroup === 'A'),
+    players.filter(user => user.roleGroup === 'B')
+  );
+
+  const result = pairRoleGroups({
+    groupA: bench.groupA,
+    groupB: bench.groupB,
+    roundNumber,
+    totalRounds: schedule.totalRounds,
+    config,
+    state: pairingState
+  });
+
+  const pairs = result.pairs.map(([groupA, groupB]) => {
+    const [seller, buyer] = scheduledRole('A', roundNumber, schedule.roleBlockRounds) === 'A'
+      ? [groupA, groupB]
+      : [groupB, groupA];
+
+    seller.role = 'A';
+    buyer.role = 'B';
+    [seller, buyer].forEach(user => {
+      if (!user.roleHistory) user.roleHistory = [];
+      user.roleHistory.push(user.role);
+    });
+    seller.previousPartners.push(buyer.id);
+    buyer.previousPartners.push(seller.id);
+
+    console.log(`👥 Paired: ${seller.name} (SELLER) with ${buyer.name} (BUYER)`);
+    return [seller, buyer];
+  });
+
+  const benched = [
+    ...bench.benched.map(user => ({ user, reason: 'odd_player' })),
+    ...result.unpaired.map(user => ({ user, reason: 'no_partner' }))
+  ];
+  return { pairs, violations: result.violations, benched };
+}
+
+// Scripted bots only negotiate on price, so rooms with multi-issue products keep them out
+function botsCanNegotiate(roomConfig) {
+  return !(roomConfig?.products || []).some(product => isMultiIssue(product));
+}
+
+// "bot" odd-player policy: scripted partners fill the smaller role group so nobody sits out
+async function balanceWithBots(roomId) {
+  const room = rooms[roomId];
+  const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
+  const policy = roomConfig?.oddPlayerPolicy || gameConfig.gameSettings.oddPlayerPolicy || 'bench';
+  if (policy !== 'bot') return;
+
+  if (!botsCanNegotiate(roomConfig)) {
+    console.log(`⚠️ Bots only negotiate on price; ${roomId} benches odd players instead`);
+    return;
+  }
+
+  // Treatments are paired separately, so each one is evened out on its own
+  for (const players of groupByTreatment(room.users)) {
+    const humans = players.filter(user => !user.isBot);
+    const countA = humans.filter(user => user.roleGroup === 'A').length;
+    const countB = humans.length - countA;
+    const needed = humans.length ? Math.abs(countA - countB) : 0;
+    const group = countA > countB ? 'B' : 'A';
+
+    // Reuse bots from earlier rounds, drop the ones no longer needed
+    const bots = players.filter(user => user.isBot);
+    bots.slice(needed).forEach(bot => {
+      room.users = room.users.filter(user => user.id !== bot.id);
+      bot.roomId = null;
+      console.log(`🤖 ${bot.name} left ${roomId}`);
+    });
+    bots.slice(0, needed).forEach(bot => { bot.roleGroup = group; });
+
+    for (let i = bots.length; i < needed; i++) {
+      const bot = await createBotUser(roomId, roomConfig?.bot);
+      bot.roleGroup = group;
+      bot.sessionId = humans[0].sessionId || null;
+      bot.treatmentId = humans[0].treatmentId || null;
+    }
+  }
+}
+
+// Record and announce the players sitting out a round
+async function benchPlayers(roomId, roundNumber, benched) {
+  for (const { user, reason } of benched) {
+    if (!user.benchHistory) user.benchHistory = [];
+    user.benchHistory.push({ roomId, roundNumber, reason, benchedAt: new Date().toISOString() });
+
+    // 💾 Persist bench history with the user
+    try {
+      await saveUser(user.id, { benchHistory: user.benchHistory, roleGroup: user.roleGroup || null });
+    } catch (error) {
+      console.error('❌ Failed to save bench history to database:', error);
+    }
+
+    const userSocket = io.sockets.sockets.get(user.socketId);
+    if (userSocket) {
+      userSocket.emit("benched", {
+        roomId,
+        roundNumber,
+        reason,
+        benchCount: user.benchHistory.length,
+        message: `You sit out round ${roundNumber}. You'll be paired again in a later round.`
+      });
+    }
+
+    console.log(`🪑 ${user.name} sits out round ${roundNumber} in ${roomId} (${reason})`);
+  }
+}
+
+function createGamePairs(roomUsers) {
+  console.log(`🎯 createGamePairs called with ${roomUsers.length} users:`, roomUsers.map(u => u.name));
+  
+  const availableUsers = [...roomUsers];
+  const pairs = [];
+  
+  // Initialize role history for new users
+  availableUsers.forEach(user => {
+    if (!user.roleHistory) {
+      user.roleHistory = [];
+    }
+  });
+  
+  // Shuffle users for random pairing
+  for (let i = availableUsers.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [availableUsers[i], availableUsers[j]] = [availableUsers[j], availableUsers[i]];
+  }
+  
+  console.log(`🔀 Shuffled users:`, availableUsers.map(u => u.name));
+  
+  while (availableUsers.length >= 2) {
+    const userA = availableUsers.pop();
+    const userB = findOptimalPartner(userA, availableUsers) || availableUsers.pop();
+    
+    if (userB) {
+      // Remove userB from available users
+      const index = availableUsers.indexOf(userB);
+      if (index > -1) {
+        availableUsers.splice(index, 1);
+      }
+      
+      // Smart role assignment - ensure one buyer, one seller per pair
+      const userA_ShouldBeBuyer = shouldPlayerBeBuyer(userA);
+      const userB_ShouldBeBuyer = shouldPlayerBeBuyer(userB);
+      
+      console.log(`🎲 Role assignment: ${userA.name} prefers ${userA_ShouldBeBuyer ? 'BUYER' : 'SELLER'}, ${userB.name} prefers ${userB_ShouldBeBuyer ? 'BUYER' : 'SELLER'}`);
+      console.log(`📊 ${userA.name} history: ${userA.roleHistory.length} games, ${userB.name} history: ${userB.roleHistory.length} games`);
+      
+      // If both want same role, assign based on who needs it more
+      if (userA_ShouldBeBuyer === userB_ShouldBeBuyer) {
+        const userA_BuyerCount = userA.roleHistory.filter(role => role === 'B').length;
+        const userB_BuyerCount = userB.roleHistory.filter(role => role === 'B').length;
+        
+        console.log(`⚖️ Same preference conflict - using buyer counts: ${userA.name}=${userA_BuyerCount}, ${userB.name}=${userB_BuyerCount}`);
+        
+        if (userA_BuyerCount <= userB_BuyerCount) {
+          userA.role = 'B'; // Buyer
+          userB.role = 'A'; // Seller
+        } else {
+          userA.role = 'A'; // Seller
+          userB.role = 'B'; // Buyer
+        }
+      } else {
+        // Different preferences - assign accordingly
+        userA.role = userA_ShouldBeBuyer ? 'B' : 'A';
+        userB.role = userB_ShouldBeBuyer ? 'B' : 'A';
+        console.log(`✅ Different preferences - assigning as preferred`);
+      }
+      
+      // Record role history
+      userA.roleHistory.push(userA.role);
+      userB.roleHistory.push(userB.role);
+      
+      // Update previous partners
+      userA.previousPartners.push(userB.id);
+      userB.previousPartners.push(userA.id);
+      
+      pairs.push([userA, userB]);
+      
+      console.log(`👥 Paired: ${userA.name} (${userA.role === 'A' ? 'SELLER' : 'BUYER'}) with ${userB.name} (${userB.role === 'A' ? 'SELLER' : 'BUYER'})`);
+    }
+  }
+  
+  return pairs;
+}
+
+function getActivePairs() {
+  return Object.values(pairs).map(pair => {
+    // Structured offers are authoritative; chat extraction is shown separately
+    const latestOffer = pair.offers?.[pair.offers.length - 1];
+    const latestMessage = pair.messages
+      .filter(msg => effectiveOffer(msg) !== null)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+    
+    return {
+      id: pair.id,
+      roomId: pair.roomId,
+      userA: { id: pair.userA.id, name: pair.userA.name },
+      userB: { id: pair.userB.id, name: pair.userB.name },
+      item: pair.roomId, // Use room as item for now
+      reservationValues: pair.reservationValues,
+      status: pair.status,
+      timeRemaining: pairTimers.getRemaining(pair.id),
+      latestOffer: latestOffer ? {
+        amount: latestOffer.amount,
+        terms: latestOffer.terms || null,
+        role: latestOffer.role,
+        status: latestOffer.status,
+        timestamp: latestOffer.createdAt
+      } : null,
+      latestChatOffer: latestMessage ? {
+        amount: effectiveOffer(latestMessage),
+        corrected: Boolean(latestMessage.offerCorrected),
+        role: latestMessage.role,
+        timestamp: latestMessage.timestamp
+      } : null,
+      latestOffers: pair.latestOffers,
+      finalDeal: pair.finalDeal
+    };
+  });
+}
+
+function broadcastToModerators(event, data) {
+  // Send to all authenticated moderators
+  io.sockets.sockets.forEach(socket => {
+    if (socket.data?.isModerator && socket.data?.authenticated) {
+      socket.emit(event, data);
+    }
+  });
+}
+
+// Post a chat message for a participant (human or bot); `reply` reaches the sender only
+async function postChatMessage(user, message, reply) {
+  if (!user || !user.pairId) {
+    reply("error", { message: "Not in a pair" });
+    return;
+  }
+
+  const pair = pairs[user.pairId];
+  if (!pair) {
+    reply("error", { message: "Pair not found" });
+    return;
+  }
+
+  if (pair.status !== 'active') {
+    reply("error", { message: "This negotiation has ended" });
+    return;
+  }
+
+  if (rooms[pair.roomId]?.status === 'paused') {
+    reply("error", { message: "The game is paused" });
+    return;
+  }
+
+  const role = user.role;
+  const offerData = await extractOffer(message, role, pair);
+
+  const payload = {
+    id: uuidv4(),
+    userId: user.id,
+    userName: user.name,
+    isBot: !!user.isBot,
+    role,
+    message,
+    ...offerData,
+    timestamp: new Date().toISOString(),
+  };
+
+  // Store message in pair
+  pair.messages.push(payload);
+
+  // Chat-extracted offers are a lower-trust signal, kept apart from the
+  // structured offers that drive latestOffers
+  if (offerData.offer !== null) {
+    pair.chatOffers[role] = offerData.offer;
+  }
+
+  // 💾 Save message to database
+  try {
+    await persistence.saveMessage({
+      id: payload.id,
+      pairId: user.pairId,
+      userId: user.id,
+      userName: user.name,
+      role,
+      message,
+      isBot: !!user.isBot,
+      sessionId: pair.sessionId || null,
+      treatmentId: pair.treatmentId || null,
+      extractedOffer: offerData.offer,
+      offerConfidence: offerData.confidence || null,
+      metadata: {
+        numbersFound: offerData.numbersFound,
+        errorCause: offerData.errorCause,
+        rawModelOutput: offerData.rawModelOutput,
+        extractor: offerData.extractor,
+        offerSpan: offerData.offerSpan || null,
+        offerRange: offerData.offerRange || null,
+        resolution: offerData.resolution || null,
+        confidence: offerData.confidence ?? null
+      }
+    });
+    console.log(`💾 Message saved to database: ${user.name} in pair ${user.pairId}`);
+  } catch (error) {
+    console.error('❌ Failed to save message to database:', error);
+  }
+
+  // Send only to the pair participants
+  io.to(`pair:${user.pairId}`).emit("chatLog", payload);
+  
+  // The sender is asked to confirm or fix whatever offer we read from the message
+  reply("chatMessageAck", {
+    ok: true,
+    messageId: payload.id,
+    sent: message,
+    needsConfirmation: offerData.offer !== null || offerData.resolution?.type === 'unresolved_relative',
+    extractedOffer: offerData.offer,
+    offerSpan: offerData.offerSpan || null,
+    offerRange: offerData.offerRange || null,
+    resolution: offerData.resolution || null,
+    errorCause: offerData.errorCause,
+    extractor: offerData.extractor,
+  });
+
+  console.log(`💬 Message in pair ${user.pairId}: ${user.name} (${role}): ${message}`);
+  
+  // Broadcast activity to moderators
+  broadcastToModerators('moderator:activity', {
+    message: `💬 ${user.name} (${role === "A" ? "SELLER" : "BUYER"}) in ${pair.roomId}: ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`,
+    type: 'chat'
+  });
+  
+  // Send updated game data to moderators if there was an offer
+  if (offerData.offer !== null) {
+    broadcastToModerators('moderator:gameData', {
+      stats: getGameStats(),
+      pairs: getActivePairs()
+    });
+  }
+
+  const partner = pair.userA.id === user.id ? pair.userB : pair.userA;
+  if (partner.isBot && !user.isBot) {
+    botManager.partnerMessage(pair.id, offerData.offer);
+  }
+}
+
+// Confirm a deal price for a participant (human or bot); both sides must confirm the same price
+async function confirmDealPrice(user, price, reply) {
+  if (!user || !user.pairId) {
+    reply("error", { message: "Not in a pair" });
+    return;
+  }
+
+  if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+    reply("error", { message: "Please confirm a price above zero" });
+    return;
+  }
+
+  const pair = pairs[user.pairId];
+  if (!pair) {
+    reply("error", { message: "Pair not found" });
+    return;
+  }
+
+  if (pair.status !== 'active') {
+    reply("error", { message: "This negotiation has ended" });
+    return;
+  }
+
+  if (rooms[pair.roomId]?.status === 'paused') {
+    reply("error", { message: "The game is paused" });
+    return;
+  }
+
+  if (isMultiIssue(pair.product)) {
+    reply("error", { message: "This negotiation covers several issues - accept a proposal to close the deal" });
+    return;
+  }
+
+  // Store the user's confirmation
+  user.confirmPrice = price;
+  
+  // Check if both users have confirmed the same price
+  const otherUser = pair.userA.id === user.id ? pair.userB : pair.userA;
+  
+  if (otherUser.confirmPrice === price) {
+    // Both agreed on same price - deal confirmed!
+    await lockDeal(pair, price, { source: 'confirmation' });
+  } else {
+    reply("dealPending", {
+      yourPrice: price,
+      waitingFor: otherUser.name,
+      message: `Waiting for ${otherUser.name} to confirm $${price}`
+    });
+
+    if (otherUser.isBot) {
+      botManager.partnerConfirmed(pair.id, price);
+    }
+
+    // Notify the other user about the confirmation attempt
+    const otherSocket = io.sockets.sockets.get(otherUser.socketId);
+    if (otherSocket) {
+      otherSocket.emit("partnerConfirming", {
+        partnerName: user.name,
+        price,
+        message: `${user.name} wants to confirm a deal at $${price}`
+      });
+    }
+
+    console.log(`⏳ ${user.name} confirmed $${price}, waiting for ${otherUser.name}`);
+  }
+  
+  // Broadcast updated pair data to moderators
+  broadcastToModerators('moderator:gameData', {
+    stats: getGameStats(),
+    pairs: getActivePairs()
+  });
+}
+
+// --- Socket.io handlers ---
+io.on("connection", (socket) => {
+  console.log("✅ A user connected:", socket.id);
+
+  // New room joining system
+  socket.on("joinRoom", async ({ userId, roomId, playerName }) => {
+    const user = users[userId] || await loadUser(userId);
+    if (!user) {
+      socket.emit("error", { message: "User not found. Please complete survey first." });
+      return;
+    }
+
+    const refusal = entryRefusal(user, roomId);
+    if (refusal) {
+      socket.emit("error", { message: refusal });
+      return;
+    }
+    
+    // Initialize room if doesn't exist
+    ensureRoom(roomId);
+    await enrollInSession(user, openSessionForRoom(roomId));
+
+    // Update user info
+    user.socketId = socket.id;
+    user.roomId = roomId;
+    user.status = 'ready';
+    endDropoutGrace(user, socket);
+
+    // Add user to room if not already there
+    const roomUsers = rooms[roomId].users;
+    if (!roomUsers.find(u => u.id === userId)) {
+      roomUsers.push(user);
+      console.log(`➕ Added ${user.name} to room ${roomId} (now ${roomUsers.length} users)`);
+    } else {
+      console.log(`♻️ ${user.name} already in room ${roomId}`);
+    }
+
+    // Store user data in socket
+    socket.data = { userId, roomId };
+    socket.join(roomId);
+
+    // Get all players in room
+    const playersInRoom = roomUsers.map(u => ({
+      id: u.id,
+      name: u.name,
+      status: u.status || 'ready',
+      currentRound: u.currentRound || 0,
+      completedDeals: u.completedDeals || 0
+    }));
+
+    socket.emit("roomJoined", { 
+      user: {
+        ...user
+        // Remove nextRole - roles are only assigned during pairing
+      }, 
+      players: playersInRoom 
+    });
+
+    // Notify others that player joined
+    socket.to(roomId).emit("playerJoined", { 
+      newPlayer: { id: user.id, name: user.name }, 
+      players: playersInRoom 
+    });
+
+    console.log(`👥 ${user.name} joined room ${roomId} (${playersInRoom.length} players total)`);
+    
+    // Auto-pair players if possible (with slight delay to ensure all updates are complete)
+    setTimeout(() => {
+      checkForAutoPairing(roomId);
+    }, 100);
+  });
+
+  async function checkForAutoPairing(roomId) {
+    if (!rooms[roomId]) {
+      console.log(`❌ Room ${roomId} not found for auto-pairing`);
+      return [];
+    }
+    
+    const room = rooms[roomId];
+    console.log(`🏪 Room ${roomId} has ${room.users.length} total users`);
+    
+    const availablePlayers = room.users.filter(user => {
+      const isAvailable = !user.pairId && user.socketId;
+      console.log(`👤 ${user.name}: pairId=${user.pairId}, socketId=${user.socketId ? 'connected' : 'disconnected'}, available=${isAvailable}`);
+      return isAvailable;
+    });
+    
+    console.log(`🔍 Auto-pairing check for ${roomId}: ${availablePlayers.length} available players out of ${room.users.length} total`);
+    
+    // Need at least 2 players to create a pair
+    if (availablePlayers.length >= 2) {
+      console.log(`✅ Attempting to create pairs from ${availablePlayers.length} available players`);
+      
+      // Create pairs automatically, never across treatments
+      const userPairs = groupByTreatment(availablePlayers).flatMap(players => createGamePairs(players));
+      
+      console.log(`📋 Created ${userPairs.length} pairs`);
+      
+      if (userPairs.length > 0) {
+        // Get current product for this room
+        const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
+        const products = roomConfig?.products || [{ name: 'Generic Item', sellerInfo: '', buyerInfo: '' }];
+        const currentProduct = products[0]; // Use first product for auto-pairing
+        
+        // Create all pairs at once so every user is marked paired before any await
+        const newPairs = await Promise.all(userPairs.map(([userA, userB]) => createNegotiationPair({
+          roomId,
+          userA,
+          userB,
+          product: {
+            ...currentProduct,
+            round: 1,
+            itemId: `${roomId}-auto-1`,
+          },
+          roundNumber: 1,
+          isAutoPair: true
+        })));
+
+        newPairs.forEach(pair => {
+          const { userA, userB } = pair;
+
+          // Send pair assignments to players
+          [userA, userB].forEach(user => {
+            const userSocket = io.sockets.sockets.get(user.socketId);
+            if (userSocket) {
+              userSocket.emit('autoPairAssigned', {
+                ...getPairAssignment(pair, user),
+                message: 'You\'ve been automatically paired! Negotiation can begin.'
+              });
+            }
+          });
+
+          console.log(`🤖 Auto-paired: ${userA.name} (${userA.role === 'A' ? 'SELLER' : 'BUYER'}) with ${userB.name} (${userB.role === 'A' ? 'SELLER' : 'BUYER'})`);
+        });
+        
+        // Broadcast to moderators
+        broadcastToModerators('moderator:activity', {
+          message: `🤖 Auto-paired ${userPairs.length} pairs in ${roomId}`,
+          type: 'success'
+        });
+        
+        broadcastToModerators('moderator:gameData', {
+          stats: getGameStats(),
+          pairs: getActivePairs()
+        });
+        return newPairs;
+      } else {
+        console.log(`❌ No pairs were created despite having ${availablePlayers.length} available players`);
+      }
+    } else {
+      console.log(`⏳ Not enough players for pairing: ${availablePlayers.length}/2 needed`);
+      if (availablePlayers.length === 1) {
+        console.log(`👤 ${availablePlayers[0].name} is waiting for another player`);
+      }
+    }
+    return [];
+  }
+
+  socket.on("leaveRoom", ({ roomId }) => {
+    if (!socket.data?.userId) return;
+    
+    const user = users[socket.data.userId];
+    if (!user || !rooms[roomId]) return;
+
+    // Remove user from room
+    rooms[roomId].users = rooms[roomId].users.filter(u => u.id !== user.id);
+    user.roomId = null;
+    user.socketId = null;
+
+    const remainingPlayers = rooms[roomId].users.map(u => ({
+      id: u.id,
+      name: u.name,
+      status: u.status || 'ready'
+    }));
+
+    // Notify others
+    socket.to(roomId).emit("playerLeft", { 
+      leftPlayer: { id: user.id, name: user.name }, 
+      players: remainingPlayers 
+    });
+
+    socket.leave(roomId);
+    console.log(`👋 ${user.name} left room ${roomId}`);
+  });
+
+  // Legacy register handler for backwards compatibility
+  socket.on("register", async ({ roomId, name, userId: existingUserId, moderatorToken }) => {
+    // Create or restore user identity
+    let userId = existingUserId;
+    let user = users[userId] || await loadUser(userId);
+
+    const refusal = entryRefusal({ ...user, isModerator: moderatorToken === MODERATOR_TOKEN }, roomId);
+    if (refusal) {
+      socket.emit("error", { message: refusal });
+      return;
+    }
+
+    ensureRoom(roomId);
+    
+    if (!user) {
+      userId = uuidv4();
+      user = addUser(createUserRecord({
+        id: userId,
+        name,
+        roomId,
+        socketId: socket.id,
+        isModerator: moderatorToken === MODERATOR_TOKEN
+      }));
+      rooms[roomId].users.push(user);
+    } else {
+      // User reconnecting - update socket
+      user.socketId = socket.id;
+      user.isModerator = moderatorToken === MODERATOR_TOKEN;
+      if (!rooms[roomId].users.some(u => u.id === userId)) rooms[roomId].users.push(user);
+    }
+
+    await enrollInSession(user, openSessionForRoom(roomId));
+
+    // Store user data in socket for quick access
+    socket.data = { userId, roomId, isModerator: user.isModerator };
+    socket.join(roomId);
+
+    // Rejoin pair room if already paired
+    if (user.pairId) {
+      socket.join(`pair:${user.pairId}`);
+    }
+
+    socket.emit("registered", { userId, roomId, isModerator: user.isModerator });
+    console.log(`ℹ️ User ${user.isModerator ? '(MODERATOR)' : ''} registered to ${roomId}:`, user);
+  });
+
+  socket.on("chatMessage", async ({ message }) => {
+    if (!socket.data?.userId) {
+      socket.emit("error", { message: "Not registered" });
+      return;
+    }
+
+    await postChatMessage(users[socket.data.userId], message, (event, data) => socket.emit(event, data));
+  });
+
+  socket.on("moderator:startRound", async ({ roomId }) => {
+    // Check moderator authorization
+    if (!socket.data?.isModerator) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
+      return;
+    }
+
+    if (!rooms[roomId]) return;
+
+    const result = await startRound(roomId);
+    if (!result.ok) {
+      socket.emit("error", { message: result.error });
+    }
+  });
+
+  // Game interface connection
+  socket.on("joinGameInterface", async ({ userId }) => {
+    // Loading from the database is async; requestPairingStatus waits for it
+    const user = users[userId] || await (socket.data.userLoading = loadUser(userId));
+    if (!user) {
+      socket.emit("error", { message: "User not found. Please rejoin the room." });
+      return;
+    }
+
+    user.socketId = socket.id; // Update socket ID
+    socket.data = { userId, roomId: user.roomId };
+    
+    // Join the user's room and pair room if they have one
+    if (user.roomId) {
+      socket.join(user.roomId);
+    }
+    if (user.pairId) {
+      socket.join(`pair:${user.pairId}`);
+    }
+    endDropoutGrace(user, socket);
+
+    // Replay the conversation so a reloaded page picks up where it left off
+    const pair = pairs[user.pairId];
+    if (pair) {
+      socket.emit("pairState", getPairState(pair, user));
+    }
+    user.pendingSurveys.forEach(request => socket.emit("surveyRequest", request));
+    if (user.completionCode && sessions[user.sessionId]) {
+      socket.emit("sessionCompletion", completionFor(sessions[user.sessionId], user));
+    }
+    
+    console.log(`🎮 ${user.name} connected to game interface`);
+  });
+
+  // Game interface pairing status request
+  socket.on("requestPairingStatus", async () => {
+    if (socket.data?.userLoading) await socket.data.userLoading;
+    if (!socket.data?.userId) {
+      socket.emit("error", { message: "Not registered" });
+      return;
+    }
+
+    const user = users[socket.data.userId];
+    if (!user) {
+      socket.emit("error", { message: "User not found" });
+      return;
+    }
+
+    console.log(`🔍 ${user.name} requesting pairing status: pairId=${user.pairId}, role=${user.role}`);
+
+    if (user.pairId && !pairs[user.pairId]) {
+      const restored = await restorePair(user.pairId);
+      if (restored) socket.join(`pair:${restored.id}`);
+    }
+
+    if (user.pairId && pairs[user.pairId]) {
+      const pair = pairs[user.pairId];
+      const partner = pair.userA.id === user.id ? pair.userB : pair.userA;
+      
+      console.log(`✅ Found pairing for ${user.name}: paired with ${partner.name}, user role=${user.role}, partner role=${partner.role}`);
+      
+      socket.emit("pairingStatus", {
+        paired: true,
+        ...getPairAssignment(pair, user),
+        roundNumber: pair.product?.round || 1
+      });
+      socket.emit("pairState", getPairState(pair, user));
+    } else {
+      console.log(`❌ No pairing found for ${user.name}`);
+      socket.emit("pairingStatus", {
+        paired: false,
+        message: "Not currently paired"
+      });
+    }
+  });
+
+  // After a partner dropout: wait for a new partner or negotiate with a bot
+  socket.on("dropoutChoice", async ({ choice }) => {
+    if (!socket.data?.userId) {
+      socket.emit("error", { message: "Not registered" });
+      return;
+    }
+
+    const user = users[socket.data.userId];
+    if (!user?.roomId || !rooms[user.roomId]) return;
+    if (user.pairId && pairs[user.pairId]?.status === 'active') {
+      socket.emit("error", { message: "You are already negotiating" });
+      return;
+    }
+
+    if (choice === 'bot') {
+      const roomConfig = gameConfig.rooms.find(r => r.id === user.roomId);
+      if (!botsCanNegotiate(roomConfig)) {
+        socket.emit("error", { message: "Bots only negotiate on price - please wait for a new partner" });
+        return;
+      }
+
+      let bot;
+      try {
+        bot = await createBotUser(user.roomId, roomConfig?.bot);
+      } catch (error) {
+        socket.emit("error", { message: error.message });
+        return;
+      }
+
+      // Keep the seat the player had; the bot takes the other one
+      const [sellerId, buyerId] = user.role === 'B' ? [bot.id, user.id] : [user.id, bot.id];
+      const result = await createManualPair({ roomId: user.roomId, sellerId, buyerId });
+      if (!result.ok) {
+        rooms[user.roomId].users = rooms[user.roomId].users.filter(member => member.id !== bot.id);
+        socket.emit("error", { message: result.error });
+        return;
+      }
+      console.log(`🤖 ${user.name} chose a bot partner after a dropout`);
+    } else {
+      console.log(`🔄 ${user.name} is waiting for a new partner after a dropout`);
+      checkForAutoPairing(user.roomId);
+    }
+
+    broadcastToModerators('moderator:gameData', {
+      stats: getGameStats(),
+      pairs: getActivePairs()
+    });
+  });
+
+  // Answers to a survey the server asked for (surveyRequest)
+  socket.on("submitSurvey", async ({ instrument: name, pairId = null, responses }) => {
+    if (!socket.data?.userId) {
+      socket.emit("error", { message: "Not registered" });
+      return;
+    }
+
+    const user = users[socket.data.userId];
+    if (!user) return;
+
+    const pending = user.pendingSurveys.find(request => request.instrument === name && request.pairId === pairId);
+    const instrument = gameConfig.surveys[name];
+    if (!pending || !instrument) {
+      socket.emit("error", { message: "This survey is not open for you" });
+      return;
+    }
+
+    // Per-question errors go back to the form; nothing is stored until they are fixed
+    const checked = validateResponses(instrument, responses);
+    if (checked.errors.length > 0) {
+      socket.emit("surveyAck", { ok: false, instrument: name, pairId, errors: checked.errors });
+      return;
+    }
+
+    await recordSurvey(user, { ...instrument, name }, checked, pending);
+    socket.emit("surveyAck", { ok: true, instrument: name, pairId });
+    if (instrument.trigger === 'sessionEnd') await issueCompletion(user);
+  });
+
+  // Older clients: the entry and exit instruments without a request
+  socket.on("submitPreSurvey", async ({ responses }) => {
+    const user = users[socket.data?.userId];
+    const instrument = instrumentFor(gameConfig.surveys, 'entry');
+    if (!user || !instrument) {
+      socket.emit("error", { message: "Not registered" });
+      return;
+    }
+
+    const checked = validateResponses(instrument, responses);
+    if (checked.errors.length > 0) {
+      socket.emit("preSurveyAck", { ok: false, userId: user.id, errors: checked.errors });
+      return;
+    }
+    if (!hasSubmitted(user, instrument.name)) await recordSurvey(user, instrument, checked);
+    socket.emit("preSurveyAck", { ok: true, userId: user.id });
+  });
+
+  socket.on("submitPostSurvey", async ({ responses }) => {
+    const user = users[socket.data?.userId];
+    const instrument = instrumentFor(gameConfig.surveys, 'sessionEnd');
+    if (!user || !instrument) {
+      socket.emit("error", { message: "Not registered" });
+      return;
+    }
+
+    const checked = validateResponses(instrument, responses);
+    if (checked.errors.length > 0) {
+      socket.emit("postSurveyAck", { ok: false, userId: user.id, errors: checked.errors });
+      return;
+    }
+    if (!hasSubmitted(user, instrument.name)) await recordSurvey(user, instrument, checked);
+    socket.emit("postSurveyAck", { ok: true, userId: user.id });
+    await issueCompletion(user);
+  });
+
+  // Structured offer protocol: propose, counter, withdraw, accept, reject
+  const offerActions = {
+    "offer:propose": (pair, user, payload) => {
+      const proposal = readProposal(pair, payload);
+      if (!proposal.ok) return proposal;
+      return proposeOffer(pair, { role: user.role, userId: user.id, amount: proposal.amount, terms: proposal.terms });
+    },
+    "offer:counter": (pair, user, payload) => {
+      const proposal = readProposal(pair, payload);
+      if (!proposal.ok) return proposal;
+      return counterOffer(pair, { role: user.role, userId: user.id, offerId: payload.offerId, amount: proposal.amount, terms: proposal.terms });
+    },
+    "offer:withdraw": (pair, user, { offerId }) =>
+      withdrawOffer(pair, { role: user.role, offerId }),
+    "offer:accept": (pair, user, { offerId }) =>
+      respondToOffer(pair, { role: user.role, offerId, response: 'accepted' }),
+    "offer:reject": (pair, user, { offerId }) =>
+      respondToOffer(pair, { role: user.role, offerId, response: 'rejected' })
+  };
+
+  Object.entries(offerActions).forEach(([event, applyAction]) => {
+    socket.on(event, async (payload = {}) => {
+      if (!socket.data?.userId) {
+        socket.emit("error", { message: "Not registered" });
+        return;
+      }
+
+      const user = users[socket.data.userId];
+      if (!user || !user.pairId) {
+        socket.emit("error", { message: "Not in a pair" });
+        return;
+      }
+
+      const pair = pairs[user.pairId];
+      if (!pair) {
+        socket.emit("error", { message: "Pair not found" });
+        return;
+      }
+
+      if (pair.status !== 'active') {
+        socket.emit("error", { message: "This negotiation has ended" });
+        return;
+      }
+
+      if (rooms[pair.roomId]?.status === 'paused') {
+        socket.emit("error", { message: "The game is paused" });
+        return;
+      }
+
+      const isMember = pair.userA.id === user.id || pair.userB.id === user.id;
+      if (!isMember || !['A', 'B'].includes(user.role)) {
+        socket.emit("error", { message: "You do not have a role in this pair" });
+        return;
+      }
+
+      const result = applyAction(pair, user, payload);
+      if (!result.ok) {
+        socket.emit("offerRejected", { action: event, error: result.error, offerId: payload.offerId || null });
+        return;
+      }
+
+      // 💾 Save offer records and the authoritative latest offers
+      try {
+        await persistence.saveOfferChanges(result.offer, result.updated);
+        await savePair(pair.id, { latestOffers: pair.latestOffers });
+      } catch (error) {
+        console.error('❌ Failed to save offer to database:', error);
+      }
+
+      // The pair may have ended while the offer was being saved
+      if (pair.status !== 'active') {
+        socket.emit("error", { message: "This negotiation has ended" });
+        return;
+      }
+
+      io.to(`pair:${pair.id}`).emit("offerUpdate", {
+        action: event.split(':')[1],
+        byRole: user.role,
+        offer: result.offer,
+        updated: result.updated,
+        latestOffers: pair.latestOffers
+      });
+
+      console.log(`💰 ${event} in pair ${pair.id}: ${user.name} (${user.role}) ${describeOffer(result.offer)} [${result.offer.status}]`);
+
+      if (result.offer.status === 'accepted') {
+        await lockDeal(pair, result.offer.amount, { source: 'offer', offerId: result.offer.id, terms: result.offer.terms || null });
+      }
+
+      broadcastToModerators('moderator:activity', {
+        message: `💰 ${user.name} (${user.role === "A" ? "SELLER" : "BUYER"}) ${event.split(':')[1]} ${describeOffer(result.offer)} in ${pair.roomId}`,
+        type: 'chat'
+      });
+
+      broadcastToModerators('moderator:gameData', {
+        stats: getGameStats(),
+        pairs: getActivePairs()
+      });
+    });
   });
-}
 
-// --- Socket.io handlers ---
-io.on("connection", (socket) => {
-  console.log("✅ A user connected:", socket.id);
+  // Sender confirms or corrects the offer extracted from one of their messages
+  socket.on("offer:correctExtraction", async ({ messageId, action = 'edit', amount = null } = {}) => {
+    if (!socket.data?.userId) {
+      socket.emit("error", { message: "Not registered" });
+      return;
+    }
 
-  // New room joining system
-  socket.on("joinRoom", ({ userId, roomId, playerName }) => {
-    if (!users[userId]) {
-      socket.emit("error", { message: "User not found. Please complete survey first." });
+    const user = users[socket.data.userId];
+    if (!user || !user.pairId) {
+      socket.emit("error", { message: "Not in a pair" });
       return;
     }
 
-    const user = users[userId];
-    
-    // Initialize room if doesn't exist
-    if (!rooms[roomId]) {
-      rooms[roomId] = { 
-        id: roomId,
-        users: [], 
-        pairs: [], 
-        currentRound: 0,
-        status: 'waiting' // waiting, active, completed
-      };
+    const pair = pairs[user.pairId];
+    if (!pair) {
+      socket.emit("error", { message: "Pair not found" });
+      return;
     }
 
-    // Update user info
-    user.socketId = socket.id;
-    user.roomId = roomId;
-    user.status = 'ready';
+    if (pair.status !== 'active') {
+      socket.emit("error", { message: "This negotiation has ended" });
+      return;
+    }
 
-    // Add user to room if not already there
-    const roomUsers = rooms[roomId].users;
-    if (!roomUsers.find(u => u.id === userId)) {
-      roomUsers.push(user);
-      console.log(`➕ Added ${user.name} to room ${roomId} (now ${roomUsers.length} users)`);
-    } else {
-      console.log(`♻️ ${user.name} already in room ${roomId}`);
+    if (rooms[pair.roomId]?.status === 'paused') {
+      socket.emit("error", { message: "The game is paused" });
+      return;
     }
 
-    // Store user data in socket
-    socket.data = { userId, roomId };
-    socket.join(roomId);
+    const result = await recordOfferCorrection(pair, {
+      messageId,
+      action,
+      amount: amount === null || amount === '' ? null : Number(amount),
+      correctedBy: { id: user.id, name: user.name, type: 'participant' }
+    });
 
-    // Get all players in room
-    const playersInRoom = roomUsers.map(u => ({
-      id: u.id,
-      name: u.name,
-      status: u.status || 'ready',
-      currentRound: u.currentRound || 0,
-      completedDeals: u.completedDeals || 0
-    }));
+    if (!result.ok) {
+      socket.emit("offerCorrectionRejected", { messageId, error: result.error });
+    }
+  });
 
-    socket.emit("roomJoined", { 
-      user: {
-        ...user
-        // Remove nextRole - roles are only assigned during pairing
-      }, 
-      players: playersInRoom 
-    });
+  socket.on("confirmDeal", async ({ price }) => {
+    if (!socket.data?.userId) {
+      socket.emit("error", { message: "Not registered" });
+      return;
+    }
 
-    // Notify others that player joined
-    socket.to(roomId).emit("playerJoined", { 
-      newPlayer: { id: user.id, name: user.name }, 
-      players: playersInRoom 
-    });
+    await confirmDealPrice(users[socket.data.userId], price, (event, data) => socket.emit(event, data));
+  });
 
-    console.log(`👥 ${user.name} joined room ${roomId} (${playersInRoom.length} players total)`);
-    
-    // Auto-pair players if possible (with slight delay to ensure all updates are complete)
-    setTimeout(() => {
-      checkForAutoPairing(roomId);
-    }, 100);
+  // Moderator-specific handlers
+  socket.on("moderator:authenticate", ({ token }) => {
+    if (token === MODERATOR_TOKEN) {
+      socket.data.isModerator = true;
+      socket.data.authenticated = true;
+      socket.emit("moderator:authenticated");
+      console.log(`🛡️ Moderator authenticated: ${socket.id}`);
+    } else {
+      socket.emit("error", { message: "Invalid moderator token" });
+    }
   });
 
-  function checkForAutoPairing(roomId) {
-    if (!rooms[roomId]) {
-      console.log(`❌ Room ${roomId} not found for auto-pairing`);
+  socket.on("moderator:requestData", () => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized" });
       return;
     }
-    
-    const room = rooms[roomId];
-    console.log(`🏪 Room ${roomId} has ${room.users.length} total users`);
-    
-    const availablePlayers = room.users.filter(user => {
-      const isAvailable = !user.pairId && user.socketId;
-      console.log(`👤 ${user.name}: pairId=${user.pairId}, socketId=${user.socketId ? 'connected' : 'disconnected'}, available=${isAvailable}`);
-      return isAvailable;
-    });
-    
-    console.log(`🔍 Auto-pairing check for ${roomId}: ${availablePlayers.length} available players out of ${room.users.length} total`);
-    
-    // Need at least 2 players to create a pair
-    if (availablePlayers.length >= 2) {
-      console.log(`✅ Attempting to create pairs from ${availablePlayers.length} available players`);
-      
-      // Create pairs automatically
-      const userPairs = createGamePairs(availablePlayers);
-      
-      console.log(`📋 Created ${userPairs.length} pairs`);
-      
-      if (userPairs.length > 0) {
-        // Get current product for this room
-        const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
-        const products = roomConfig?.products || [{ name: 'Generic Item', sellerInfo: '', buyerInfo: '' }];
-        const currentProduct = products[0]; // Use first product for auto-pairing
-        
-        userPairs.forEach(([userA, userB]) => {
-          const pairId = uuidv4();
-          
-          // Update user objects with pair info
-          userA.pairId = pairId;
-          userB.pairId = pairId;
-          
-          // Create pair object
-          const pair = {
-            id: pairId,
-            roomId,
-            userA,
-            userB,
-            messages: [],
-            product: {
-              ...currentProduct,
-              round: 1,
-              itemId: `${roomId}-auto-1`,
-            },
-            latestOffers: { A: null, B: null },
-            finalDeal: null,
-            startedAt: new Date().toISOString(),
-            isAutoPair: true
-          };
-          pairs[pairId] = pair;
-
-          // Join pair-specific rooms
-          const socketA = io.sockets.sockets.get(userA.socketId);
-          const socketB = io.sockets.sockets.get(userB.socketId);
-          if (socketA) socketA.join(`pair:${pairId}`);
-          if (socketB) socketB.join(`pair:${pairId}`);
 
-          // Send pair assignments to players
-          if (socketA) {
-            socketA.emit('autoPairAssigned', {
-              myRole: userA.role,
-              partner: { id: userB.id, name: userB.name, role: userB.role },
-              product: pair.product,
-              message: 'You\'ve been automatically paired! Negotiation can begin.'
-            });
-          }
-          
-          if (socketB) {
-            socketB.emit('autoPairAssigned', {
-              myRole: userB.role,
-              partner: { id: userA.id, name: userA.name, role: userA.role },
-              product: pair.product,
-              message: 'You\'ve been automatically paired! Negotiation can begin.'
-            });
-          }
+    socket.emit("moderator:gameData", {
+      stats: getGameStats(),
+      pairs: getActivePairs()
+    });
+  });
 
-          console.log(`🤖 Auto-paired: ${userA.name} (${userA.role === 'A' ? 'SELLER' : 'BUYER'}) with ${userB.name} (${userB.role === 'A' ? 'SELLER' : 'BUYER'})`);
-        });
-        
-        // Broadcast to moderators
-        broadcastToModerators('moderator:activity', {
-          message: `🤖 Auto-paired ${userPairs.length} pairs in ${roomId}`,
-          type: 'success'
-        });
-        
-        broadcastToModerators('moderator:gameData', {
-          stats: getGameStats(),
-          pairs: getActivePairs()
-        });
-      } else {
-        console.log(`❌ No pairs were created despite having ${availablePlayers.length} available players`);
-      }
-    } else {
-      console.log(`⏳ Not enough players for pairing: ${availablePlayers.length}/2 needed`);
-      if (availablePlayers.length === 1) {
-        console.log(`👤 ${availablePlayers[0].name} is waiting for another player`);
-      }
+  socket.on("moderator:getRoomDetails", ({ roomId }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized" });
+      return;
     }
-  }
 
-  socket.on("leaveRoom", ({ roomId }) => {
-    if (!socket.data?.userId) return;
-    
-    const user = users[socket.data.userId];
-    if (!user || !rooms[roomId]) return;
+    const roomDetails = getRoomDetails(roomId);
+    socket.emit("moderator:roomDetails", roomDetails);
+  });
 
-    // Remove user from room
-    rooms[roomId].users = rooms[roomId].users.filter(u => u.id !== user.id);
-    user.roomId = null;
-    user.socketId = null;
+  socket.on("moderator:getPairMessages", ({ pairId }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized" });
+      return;
+    }
 
-    const remainingPlayers = rooms[roomId].users.map(u => ({
-      id: u.id,
-      name: u.name,
-      status: u.status || 'ready'
-    }));
+    const pair = pairs[pairId];
+    if (!pair) {
+      socket.emit("error", { message: "Pair not found" });
+      return;
+    }
 
-    // Notify others
-    socket.to(roomId).emit("playerLeft", { 
-      leftPlayer: { id: user.id, name: user.name }, 
-      players: remainingPlayers 
+    socket.emit("moderator:pairMessages", {
+      pairId,
+      messages: pair.messages.map(m => ({
+        id: m.id,
+        userName: m.userName,
+        role: m.role,
+        message: m.message,
+        timestamp: m.timestamp,
+        extractedOffer: m.offer ?? null,
+        offer: effectiveOffer(m),
+        offerCorrected: Boolean(m.offerCorrected),
+        resolution: m.resolution || null
+      })),
+      corrections: pair.offerCorrections || []
     });
-
-    socket.leave(roomId);
-    console.log(`👋 ${user.name} left room ${roomId}`);
   });
 
-  // Legacy register handler for backwards compatibility
-  socket.on("register", ({ roomId, name, userId: existingUserId, moderatorToken }) => {
-    if (!rooms[roomId]) {
-      rooms[roomId] = { users: [], pairs: [] };
+  // Moderator relabels the offer in any message (amount null = not an offer)
+  socket.on("moderator:relabelOffer", async ({ pairId, messageId, amount = null, reason = null }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
+      return;
     }
 
-    // Create or restore user identity
-    let userId = existingUserId;
-    let user = userId ? users[userId] : null;
-    
-    if (!user) {
-      userId = uuidv4();
-      user = { 
-        id: userId, 
-        name: name || "Anonymous", 
-        socketId: socket.id, 
-        roomId, 
-        role: null, 
-        pairId: null,
-        currentRound: 0,
-        completedRounds: 0,
-        completedDeals: 0,
-        previousPartners: [],
-        roleHistory: [],
-        isModerator: moderatorToken === MODERATOR_TOKEN
-      };
-      users[userId] = user;
-      rooms[roomId].users.push(user);
-    } else {
-      // User reconnecting - update socket
-      user.socketId = socket.id;
-      user.isModerator = moderatorToken === MODERATOR_TOKEN;
+    const pair = pairs[pairId];
+    if (!pair) {
+      socket.emit("error", { message: "Pair not found" });
+      return;
     }
 
-    // Store user data in socket for quick access
-    socket.data = { userId, roomId, isModerator: user.isModerator };
-    socket.join(roomId);
+    const result = await recordOfferCorrection(pair, {
+      messageId,
+      action: 'edit',
+      amount: amount === null || amount === '' ? null : Number(amount),
+      correctedBy: { id: socket.id, name: 'Moderator', type: 'moderator' },
+      reason
+    });
 
-    // Rejoin pair room if already paired
-    if (user.pairId) {
-      socket.join(`pair:${user.pairId}`);
+    if (!result.ok) {
+      socket.emit("error", { message: result.error });
+      return;
     }
 
-    socket.emit("registered", { userId, roomId, isModerator: user.isModerator });
-    console.log(`ℹ️ User ${user.isModerator ? '(MODERATOR)' : ''} registered to ${roomId}:`, user);
+    socket.emit("moderator:offerRelabeled", { pairId, correction: result.correction });
   });
 
-  socket.on("chatMessage", async ({ message }) => {
-    if (!socket.data?.userId) {
-      socket.emit("error", { message: "Not registered" });
+  socket.on("moderator:endRound", async ({ roomId }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
-    const user = users[socket.data.userId];
-    if (!user || !user.pairId) {
-      socket.emit("error", { message: "Not in a pair" });
-      return;
+    if (!rooms[roomId]) return;
+
+    const wasRunning = sessionScheduler.snapshot(roomId)?.status === 'running';
+
+    // Pairs still negotiating end without a deal; the last one closes the scheduled round
+    const activeRoomPairs = pairsInRoom(roomId).filter(pair => pair.status === 'active');
+    for (const pair of activeRoomPairs) {
+      await closePairAsImpasse(pair.id, 'round_ended');
     }
 
-    const pair = pairs[user.pairId];
-    if (!pair) {
-      socket.emit("error", { message: "Pair not found" });
-      return;
+    if (sessionScheduler.snapshot(roomId)?.status === 'running') {
+      finishScheduledRound(roomId);
+    } else if (!wasRunning) {
+      io.to(roomId).emit("roundEnd", { roomId, schedule: sessionScheduler.snapshot(roomId) });
     }
+    
+    broadcastToModerators('moderator:activity', {
+      message: `🛑 Round ended in ${roomId}`,
+      type: 'info'
+    });
 
-    const role = user.role;
-    const offerData = await extractOffer(message, role);
+    broadcastToModerators('moderator:gameData', {
+      stats: getGameStats(),
+      pairs: getActivePairs()
+    });
+  });
 
-    const payload = {
-      userId: user.id,
-      userName: user.name,
-      role,
-      message,
-      ...offerData,
-      timestamp: new Date().toISOString(),
-    };
+  // Manual pairing: force the auto-pairer, pair chosen players, dissolve pairs
+  socket.on("moderator:forceAutoPair", async ({ roomId }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
+      return;
+    }
 
-    // Store message in pair
-    pair.messages.push(payload);
+    if (!rooms[roomId]) return;
 
-    // Update latest offers if an offer was extracted
-    if (offerData.offer !== null) {
-      pair.latestOffers[role] = offerData.offer;
-      
-      // 💾 Update pair's latest offers in database
-      try {
-        await persistence.updatePair(user.pairId, { 
-          latestOffers: pair.latestOffers 
-        });
-        console.log(`💰 Updated latest offers for pair ${user.pairId}: ${role} = $${offerData.offer}`);
-      } catch (error) {
-        console.error('❌ Failed to update latest offers:', error);
+    const newPairs = await checkForAutoPairing(roomId);
+    if (newPairs.length === 0) {
+      socket.emit("error", { message: "Need at least 2 waiting players to auto-pair" });
+      return;
+    }
+
+    await logModeratorAction(socket, {
+      action: 'force_auto_pair',
+      roomId,
+      details: {
+        pairs: newPairs.map(pair => ({ pairId: pair.id, sellerId: pair.userA.id, buyerId: pair.userB.id }))
       }
+    });
+  });
+
+  socket.on("moderator:createPair", async ({ roomId, sellerId, buyerId, productIndex = null, force = false }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
+      return;
     }
 
-    // 💾 Save message to database
-    try {
-      await persistence.saveMessage({
-        pairId: user.pairId,
-        userId: user.id,
-        userName: user.name,
-        role,
-        message,
-        extractedOffer: offerData.offer,
-        offerConfidence: offerData.confidence || null,
-        metadata: {
-          numbersFound: offerData.numbersFound,
-          errorCause: offerData.errorCause,
-          rawModelOutput: offerData.rawModelOutput
-        }
-      });
-      console.log(`💾 Message saved to database: ${user.name} in pair ${user.pairId}`);
-    } catch (error) {
-      console.error('❌ Failed to save message to database:', error);
+    const result = await createManualPair({ roomId, sellerId, buyerId, productIndex, force });
+    if (!result.ok) {
+      socket.emit("error", { message: result.error });
+      return;
     }
 
-    // Send only to the pair participants
-    io.to(`pair:${user.pairId}`).emit("chatLog", payload);
-    
-    socket.emit("chatMessageAck", {
-      ok: true,
-      sent: message,
-      extractedOffer: offerData.offer,
-      errorCause: offerData.errorCause,
+    const { pair, dissolved } = result;
+    await logModeratorAction(socket, {
+      action: 'manual_pair',
+      roomId,
+      pairId: pair.id,
+      details: { sellerId, buyerId, product: pair.product.name, dissolvedPairIds: dissolved }
     });
 
-    console.log(`💬 Message in pair ${user.pairId}: ${user.name} (${role}): ${message}`);
-    
-    // Broadcast activity to moderators
     broadcastToModerators('moderator:activity', {
-      message: `💬 ${user.name} (${role === "A" ? "SELLER" : "BUYER"}) in ${pair.roomId}: ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`,
-      type: 'chat'
+      message: `🧩 Moderator paired ${pair.userA.name} (seller) with ${pair.userB.name} (buyer) on ${pair.product.name} in ${roomId}`,
+      type: 'success'
+    });
+
+    broadcastToModerators('moderator:gameData', {
+      stats: getGameStats(),
+      pairs: getActivePairs()
     });
-    
-    // Send updated game data to moderators if there was an offer
-    if (offerData.offer !== null) {
-      broadcastToModerators('moderator:gameData', {
-        stats: getGameStats(),
-        pairs: getActivePairs()
-      });
-    }
   });
 
-  socket.on("moderator:startRound", async ({ roomId }) => {
-    // Check moderator authorization
-    if (!socket.data?.isModerator) {
+  socket.on("moderator:pairWithBot", async ({ roomId, userId, botRole = 'B', bot: botConfig = {} }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
       socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
     if (!rooms[roomId]) return;
-    const room = rooms[roomId];
-
-    if (room.users.length < 2) {
-      socket.emit("error", { message: "Need at least 2 players to start a round" });
+    if (!['A', 'B'].includes(botRole)) {
+      socket.emit("error", { message: "Bot role must be A (seller) or B (buyer)" });
       return;
     }
 
-    // Update room status
-    room.status = 'active';
-    room.currentRound = (room.currentRound || 0) + 1;
+    if (!botsCanNegotiate(gameConfig.rooms.find(r => r.id === roomId))) {
+      socket.emit("error", { message: "Bots only negotiate on price - pair players in multi-issue rooms with each other" });
+      return;
+    }
 
-    // 💾 Update room in database
+    let bot;
     try {
-      await persistence.updateRoom(roomId, {
-        status: 'active',
-        currentRound: room.currentRound
-      });
+      bot = await createBotUser(roomId, botConfig);
     } catch (error) {
-      console.error('❌ Failed to update room in database:', error);
+      socket.emit("error", { message: error.message });
+      return;
     }
 
-    // Create pairs using new algorithm
-    const userPairs = createGamePairs(room.users);
-
-    // Get current product for this room and round
-    const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
-    const products = roomConfig?.products || [{ name: 'Generic Item', sellerInfo: '', buyerInfo: '' }];
-    const currentProduct = products[(room.currentRound - 1) % products.length];
-
-    // Create pair objects and join pair rooms
-    const activePairs = [];
-    for (const [userA, userB] of userPairs) {
-      const pairId = uuidv4();
-      
-      // Update user objects with pair and round info
-      userA.pairId = pairId;
-      userB.pairId = pairId;
-      userA.currentRound = room.currentRound;
-      userB.currentRound = room.currentRound;
-      
-      const productData = {
-        ...currentProduct,
-        round: room.currentRound,
-        itemId: `${roomId}-${room.currentRound}`,
-      };
-      
-      // Create pair object with product info
-      const pair = {
-        id: pairId,
-        roomId,
-        userA,
-        userB,
-        messages: [],
-        product: productData,
-        latestOffers: { A: null, B: null },
-        finalDeal: null,
-        startedAt: new Date().toISOString()
-      };
-      pairs[pairId] = pair;
-
-      // 💾 Save pair to database
-      try {
-        await persistence.createPair({
-          roomId,
-          userA,
-          userB,
-          product: productData,
-          roundNumber: room.currentRound
-        });
-        console.log(`💾 Pair ${pairId} saved to database`);
-      } catch (error) {
-        console.error('❌ Failed to save pair to database:', error);
-      }
-
-      // Join pair-specific rooms
-      const socketA = io.sockets.sockets.get(userA.socketId);
-      const socketB = io.sockets.sockets.get(userB.socketId);
-      if (socketA) socketA.join(`pair:${pairId}`);
-      if (socketB) socketB.join(`pair:${pairId}`);
-
-      activePairs.push({
-        pairId,
-        users: [userA, userB],
-        product: pair.product,
-        latestOffers: { A: null, B: null },
-        finalDeal: null,
-      });
+    const [sellerId, buyerId] = botRole === 'A' ? [bot.id, userId] : [userId, bot.id];
+    const result = await createManualPair({ roomId, sellerId, buyerId });
+    if (!result.ok) {
+      rooms[roomId].users = rooms[roomId].users.filter(user => user.id !== bot.id);
+      socket.emit("error", { message: result.error });
+      return;
     }
 
-    room.pairs = activePairs;
-
-    // Emit round start with product and role info
-    io.to(roomId).emit("roundStart", { 
-      roomId, 
-      roundNumber: room.currentRound, 
-      product: currentProduct,
-      totalRounds: gameConfig.gameSettings.totalRounds
-    });
-
-    // Send pair assignments to individual players
-    activePairs.forEach(({ users: [userA, userB], product }) => {
-      const socketA = io.sockets.sockets.get(userA.socketId);
-      const socketB = io.sockets.sockets.get(userB.socketId);
-      
-      if (socketA) {
-        socketA.emit('pairAssigned', {
-          myRole: userA.role,
-          partner: { id: userB.id, name: userB.name, role: userB.role },
-          product: product,
-          roundNumber: room.currentRound
-        });
-      }
-      
-      if (socketB) {
-        socketB.emit('pairAssigned', {
-          myRole: userB.role,
-          partner: { id: userA.id, name: userA.name, role: userA.role },
-          product: product,
-          roundNumber: room.currentRound
-        });
-      }
+    await logModeratorAction(socket, {
+      action: 'manual_pair',
+      roomId,
+      pairId: result.pair.id,
+      details: { sellerId, buyerId, product: result.pair.product.name, bot: { id: bot.id, role: botRole, ...bot.botConfig } }
     });
 
-    console.log(`🎮 Round ${room.currentRound} started by moderator in ${roomId} with ${activePairs.length} pairs`);
-    
-    // Broadcast activity to moderators
     broadcastToModerators('moderator:activity', {
-      message: `🎮 Round ${room.currentRound} started in ${roomId} with ${activePairs.length} pairs`,
+      message: `🤖 Moderator paired ${users[userId]?.name} with ${bot.name} (${botRole === 'A' ? 'seller' : 'buyer'}) in ${roomId}`,
       type: 'success'
     });
-    
-    // Send updated game data to moderators
+
     broadcastToModerators('moderator:gameData', {
       stats: getGameStats(),
       pairs: getActivePairs()
     });
   });
 
-  // Game interface connection
-  socket.on("joinGameInterface", ({ userId }) => {
-    if (!users[userId]) {
-      socket.emit("error", { message: "User not found. Please rejoin the room." });
+  socket.on("moderator:dissolvePair", async ({ pairId, reason = null }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
-    const user = users[userId];
-    user.socketId = socket.id; // Update socket ID
-    socket.data = { userId, roomId: user.roomId };
-    
-    // Join the user's room and pair room if they have one
-    if (user.roomId) {
-      socket.join(user.roomId);
-    }
-    if (user.pairId) {
-      socket.join(`pair:${user.pairId}`);
-    }
-    
-    console.log(`🎮 ${user.name} connected to game interface`);
-  });
-
-  // Game interface pairing status request
-  socket.on("requestPairingStatus", () => {
-    if (!socket.data?.userId) {
-      socket.emit("error", { message: "Not registered" });
+    const pair = pairs[pairId];
+    if (!pair) {
+      socket.emit("error", { message: "Pair not found" });
       return;
     }
 
-    const user = users[socket.data.userId];
-    if (!user) {
-      socket.emit("error", { message: "User not found" });
-      return;
-    }
+    const wasActive = pair.status === 'active';
+    await dissolvePair(pairId);
 
-    console.log(`🔍 ${user.name} requesting pairing status: pairId=${user.pairId}, role=${user.role}`);
+    await logModeratorAction(socket, {
+      action: 'dissolve_pair',
+      roomId: pair.roomId,
+      pairId,
+      details: { userAId: pair.userA.id, userBId: pair.userB.id, wasActive, reason }
+    });
 
-    if (user.pairId && pairs[user.pairId]) {
-      const pair = pairs[user.pairId];
-      const partner = pair.userA.id === user.id ? pair.userB : pair.userA;
-      
-      console.log(`✅ Found pairing for ${user.name}: paired with ${partner.name}, user role=${user.role}, partner role=${partner.role}`);
-      
-      socket.emit("pairingStatus", {
-        paired: true,
-        myRole: user.role,
-        partner: {
-          id: partner.id,
-          name: partner.name,
-          role: partner.role
-        },
-        product: pair.product,
-        roundNumber: pair.product?.round || 1
-      });
-    } else {
-      console.log(`❌ No pairing found for ${user.name}`);
-      socket.emit("pairingStatus", {
-        paired: false,
-        message: "Not currently paired"
-      });
-    }
+    broadcastToModerators('moderator:activity', {
+      message: `✂️ Moderator dissolved pair ${pair.userA.name} & ${pair.userB.name} in ${pair.roomId}`,
+      type: 'warning'
+    });
+
+    broadcastToModerators('moderator:gameData', {
+      stats: getGameStats(),
+      pairs: getActivePairs()
+    });
   });
 
-  // Missing handlers implementation
-  socket.on("submitPreSurvey", ({ responses }) => {
-    if (!socket.data?.userId) {
-      socket.emit("error", { message: "Not registered" });
+  socket.on("moderator:pauseRoom", async ({ roomId }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
-    const user = users[socket.data.userId];
-    if (!user) return;
+    if (!rooms[roomId]) return;
 
-    user.preSurvey = { completed: true, responses, timestamp: new Date().toISOString() };
-    socket.emit("preSurveyAck", { ok: true, userId: user.id });
-    console.log(`📝 Pre-survey submitted by ${user.name}`);
+    const result = await setRoomPaused(roomId, true);
+    if (!result.ok) socket.emit("error", { message: result.error });
   });
 
-  socket.on("submitPostSurvey", ({ responses }) => {
-    if (!socket.data?.userId) {
-      socket.emit("error", { message: "Not registered" });
+  socket.on("moderator:resumeRoom", async ({ roomId }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
-    const user = users[socket.data.userId];
-    if (!user) return;
+    if (!rooms[roomId]) return;
 
-    user.postSurvey = { completed: true, responses, timestamp: new Date().toISOString() };
-    socket.emit("postSurveyAck", { ok: true, userId: user.id });
-    console.log(`📝 Post-survey submitted by ${user.name}`);
+    const result = await setRoomPaused(roomId, false);
+    if (!result.ok) socket.emit("error", { message: result.error });
   });
 
-  socket.on("confirmDeal", async ({ price }) => {
-    if (!socket.data?.userId) {
-      socket.emit("error", { message: "Not registered" });
+  // Hold or continue the automatic progression between rounds
+  socket.on("moderator:pauseSchedule", ({ roomId }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
-    const user = users[socket.data.userId];
-    if (!user || !user.pairId) {
-      socket.emit("error", { message: "Not in a pair" });
+    const result = sessionScheduler.pause(roomId);
+    if (!result.ok) {
+      socket.emit("error", { message: result.error });
       return;
     }
 
-    const pair = pairs[user.pairId];
-    if (!pair) {
-      socket.emit("error", { message: "Pair not found" });
+    broadcastToModerators('moderator:activity', {
+      message: `⏸️ Session schedule paused in ${roomId}`,
+      type: 'warning'
+    });
+  });
+
+  socket.on("moderator:resumeSchedule", ({ roomId }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
-    // Store the user's confirmation
-    user.confirmPrice = price;
-    
-    // Check if both users have confirmed the same price
-    const otherUser = pair.userA.id === user.id ? pair.userB : pair.userA;
-    
-    if (otherUser.confirmPrice === price) {
-      // Both agreed on same price - deal confirmed!
-      const dealData = GameAnalytics.createDealData(pair, price);
-      
-      pair.finalDeal = dealData;
-
-      // 💾 Save deal to database
-      try {
-        await persistence.updatePair(user.pairId, { 
-          finalDeal: dealData,
-          status: 'completed'
-        });
-        console.log(`💾 Deal saved to database: pair ${pair.id} at $${price}`);
-      } catch (error) {
-        console.error(`❌ Failed to save deal to database:`, error);
-      }
+    const result = sessionScheduler.resume(roomId);
+    if (!result.ok) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
 
-      io.to(`pair:${user.pairId}`).emit("dealConfirmed", {
-        price,
-        pairId: pair.id,
-        duration: dealData.durationFormatted,
-        durationSeconds: dealData.durationSeconds,
-        message: `Deal confirmed at $${price}! (took ${dealData.durationFormatted})`
-      });
+    broadcastToModerators('moderator:activity', {
+      message: `▶️ Session schedule resumed in ${roomId}`,
+      type: 'info'
+    });
+  });
 
-      console.log(`🤝 Deal confirmed in pair ${pair.id} at $${price} (duration: ${dealData.durationFormatted})`);
-    } else {
-      socket.emit("dealPending", {
-        yourPrice: price,
-        waitingFor: otherUser.name,
-        message: `Waiting for ${otherUser.name} to confirm $${price}`
-      });
+  socket.on("moderator:updateSchedule", ({ roomId, totalRounds, roleBlockRounds, autoAdvanceRounds, breakSeconds }) => {
+    if (!socket.data?.isModerator || !socket.data?.authenticated) {
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
+      return;
+    }
 
-      // Notify the other user about the confirmation attempt
-      const otherSocket = io.sockets.sockets.get(otherUser.socketId);
-      if (otherSocket) {
-        otherSocket.emit("partnerConfirming", {
-          partnerName: user.name,
-          price,
-          message: `${user.name} wants to confirm a deal at $${price}`
-        });
-      }
+    if (!rooms[roomId]) return;
 
-      console.log(`⏳ ${user.name} confirmed $${price}, waiting for ${otherUser.name}`);
+    const invalid = [totalRounds, roleBlockRounds].some(value => value !== undefined && !(Number.isInteger(value) && value > 0)) ||
+      (breakSeconds !== undefined && !(Number.isInteger(breakSeconds) && breakSeconds >= 0));
+    if (invalid) {
+      socket.emit("error", { message: "Rounds must be positive whole numbers and the break at least 0 seconds" });
+      return;
     }
-    
-    // Broadcast updated pair data to moderators
-    broadcastToModerators('moderator:gameData', {
-      stats: getGameStats(),
-      pairs: getActivePairs()
-    });
-  });
 
-  // Moderator-specific handlers
-  socket.on("moderator:authenticate", ({ token }) => {
-    if (token === MODERATOR_TOKEN) {
-      socket.data.isModerator = true;
-      socket.data.authenticated = true;
-      socket.emit("moderator:authenticated");
-      console.log(`🛡️ Moderator authenticated: ${socket.id}`);
-    } else {
-      socket.emit("error", { message: "Invalid moderator token" });
+    const current = sessionScheduler.get(roomId, gameConfig.gameSettings);
+    if (totalRounds !== undefined && totalRounds < current.currentRound) {
+      socket.emit("error", { message: `Round ${current.currentRound} has already been played` });
+      return;
     }
+
+    sessionScheduler.update(roomId, { totalRounds, roleBlockRounds, autoAdvanceRounds, breakSeconds });
   });
 
-  socket.on("moderator:requestData", () => {
+  socket.on("moderator:setPairingStrategy", ({ roomId, strategy, stratifyBy = null }) => {
     if (!socket.data?.isModerator || !socket.data?.authenticated) {
-      socket.emit("error", { message: "Unauthorized" });
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
-    socket.emit("moderator:gameData", {
-      stats: getGameStats(),
-      pairs: getActivePairs()
+    const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
+    if (!roomConfig) return;
+
+    if (!PAIRING_STRATEGIES.includes(strategy)) {
+      socket.emit("error", { message: `Unknown pairing strategy: ${strategy}` });
+      return;
+    }
+    if (strategy === 'stratified' && !stratifyBy) {
+      socket.emit("error", { message: "Stratified pairing needs a survey question to stratify by" });
+      return;
+    }
+
+    roomConfig.pairing = strategy === 'stratified' ? { strategy, stratifyBy } : { strategy };
+    socket.emit("moderator:pairingStrategy", { roomId, ...roomConfig.pairing });
+
+    broadcastToModerators('moderator:activity', {
+      message: `🔀 Pairing in ${roomId} set to ${strategy}${stratifyBy ? ` (by question ${stratifyBy})` : ''}`,
+      type: 'info'
     });
   });
 
-  socket.on("moderator:getRoomDetails", ({ roomId }) => {
+  socket.on("moderator:getSchedule", ({ roomId }) => {
     if (!socket.data?.isModerator || !socket.data?.authenticated) {
-      socket.emit("error", { message: "Unauthorized" });
+      socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
-    const roomDetails = getRoomDetails(roomId);
-    socket.emit("moderator:roomDetails", roomDetails);
+    if (!rooms[roomId]) return;
+
+    sessionScheduler.get(roomId, gameConfig.gameSettings);
+    socket.emit("moderator:schedule", sessionScheduler.snapshot(roomId));
+
+    const pairing = gameConfig.rooms.find(r => r.id === roomId)?.pairing || { strategy: 'random' };
+    socket.emit("moderator:pairingStrategy", { roomId, ...pairing });
+    socket.emit("moderator:resultsDisclosure", { roomId, disclosure: resultsDisclosureFor(roomId) });
   });
 
-  socket.on("moderator:endRound", ({ roomId }) => {
+  socket.on("moderator:setResultsDisclosure", ({ roomId, disclosure }) => {
     if (!socket.data?.isModerator || !socket.data?.authenticated) {
       socket.emit("error", { message: "Unauthorized - moderator access required" });
       return;
     }
 
-    if (!rooms[roomId]) return;
+    const roomConfig = gameConfig.rooms.find(r => r.id === roomId);
+    if (!roomConfig) return;
 
-    // End all active pairs in the room
-    Object.values(pairs).forEach(pair => {
-      if (pair.roomId === roomId && !pair.finalDeal) {
-        pair.endedAt = new Date().toISOString();
-        pair.ended = true;
-      }
-    });
+    if (!RESULTS_DISCLOSURE.includes(disclosure)) {
+      socket.emit("error", { message: `Unknown results disclosure: ${disclosure}` });
+      return;
+    }
+
+    roomConfig.resultsDisclosure = disclosure;
+    socket.emit("moderator:resultsDisclosure", { roomId, disclosure });
 
-    io.to(roomId).emit("roundEnd", { roomId });
-    
     broadcastToModerators('moderator:activity', {
-      message: `🛑 Round ended in ${roomId}`,
+      message: `📊 Round debriefs in ${roomId} now show: ${disclosure}`,
       type: 'info'
     });
-
-    broadcastToModerators('moderator:gameData', {
-      stats: getGameStats(),
-      pairs: getActivePairs()
-    });
   });
 
   socket.on("moderator:resetRoom", ({ roomId }) => {
@@ -1353,22 +3415,28 @@ io.on("connection", (socket) => {
 
     if (!rooms[roomId]) return;
 
-    // Remove all users from room
-    rooms[roomId].users.forEach(user => {
-      if (users[user.id]) {
-        delete users[user.id];
+    // Unfinished pairs are closed so a restart does not bring them back
+    pairsInRoom(roomId).forEach(pair => {
+      pairTimers.stop(pair.id);
+      botManager.stop(pair.id);
+      if (pair.status === 'active') {
+        savePair(pair.id, { status: 'abandoned', endedAt: new Date().toISOString(), endReason: 'room_reset' })
+          .catch(error => console.error('❌ Failed to close pair in database:', error));
       }
     });
 
-    // Remove all pairs from room
-    Object.keys(pairs).forEach(pairId => {
-      if (pairs[pairId].roomId === roomId) {
-        delete pairs[pairId];
-      }
+    sessionScheduler.reset(roomId);
+
+    // The next session draws new role groups and starts its rotation afresh
+    rooms[roomId].users.forEach(user => {
+      saveUser(user.id, { roleGroup: null })
+        .catch(error => console.error('❌ Failed to clear role group in database:', error));
     });
 
-    // Reset room
-    rooms[roomId] = { users: [], pairs: [] };
+    // Reset room: its users and pairs leave the live state
+    resetRoom(roomId);
+    saveRoom(roomId, { currentRound: 0, schedule: null, pairingStates: null })
+      .catch(error => console.error('❌ Failed to reset room in database:', error));
 
     // Disconnect all sockets in the room
     io.to(roomId).emit("roomReset", { roomId });
@@ -1389,9 +3457,13 @@ io.on("connection", (socket) => {
       const user = users[socket.data.userId];
       if (user) {
         console.log(`❌ User disconnected: ${user.name} (${user.id})`);
+        // A newer connection (page change, reconnect) has already taken over
+        if (user.socketId !== socket.id) return;
+
         // Don't delete user - they can reconnect
         // Just clear the socketId so we know they're offline
         user.socketId = null;
+        startDropoutGrace(user);
       }
     } else {
       console.log("❌ Unknown user disconnected:", socket.id);
@@ -1409,8 +3481,33 @@ async function startServer() {
     const config = await persistence.getGameConfig();
     if (config) {
       Object.assign(gameConfig, config);
+      // Configs saved before survey instruments have a single entry survey
+      if (config.survey && !config.surveys) {
+        gameConfig.surveys.entry = { ...gameConfig.surveys.entry, questions: config.survey.questions };
+      }
+      delete gameConfig.survey;
       console.log('✅ Loaded game configuration from database');
     }
+
+    try {
+      const loaded = await loadSessions();
+      console.log(`🧪 Loaded ${loaded.length} experimental sessions`);
+    } catch (error) {
+      console.error('❌ Failed to load experimental sessions:', error);
+    }
+
+    try {
+      const loaded = await loadJoinCodes();
+      console.log(`🎟️ Loaded ${loaded.length} join codes`);
+    } catch (error) {
+      console.error('❌ Failed to load join codes:', error);
+    }
+
+    try {
+      await rehydrateSessions();
+    } catch (error) {
+      console.error('❌ Failed to rehydrate active sessions:', error);
+    }
     
     server.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
@@ -1430,6 +3527,10 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server...');
+  pairTimers.stopAll();
+  sessionScheduler.stopAll();
+  botManager.stopAll();
+  dropoutTimers.forEach(dropout => clearTimeout(dropout.timeout));
   try {
     await persistence.close();
     console.log('💾 Database connection closed');
@@ -1,9 +1,49 @@
 import Database from './database.js';
+import { computeSurplus } from './valuations.js';
+import { analyzeAgreement } from './issues.js';
 
 /**
  * Analytics helper functions for deal tracking and game metrics
  */
 
+// Offer a message counts as once participants/moderators have corrected it
+const EFFECTIVE_OFFER = 'CASE WHEN offer_corrected THEN corrected_offer ELSE extracted_offer END';
+
+/**
+ * SQL for the seconds a pair took to reach its deal, less the time its room
+ * was paused (pause_intervals), as in createDealData
+ * @param {string} alias - pairs table (or alias)
+ */
+function dealDurationSql(alias) {
+    const confirmedAt = `(${alias}.final_deal->>'confirmedAt')::timestamp`;
+    return `GREATEST(0, EXTRACT(EPOCH FROM ${confirmedAt} - ${alias}.started_at) - COALESCE((
+                SELECT SUM(GREATEST(0, EXTRACT(EPOCH FROM COALESCE((pause->>'resumedAt')::timestamp, ${confirmedAt}) - (pause->>'pausedAt')::timestamp)))
+                FROM jsonb_array_elements(COALESCE(${alias}.pause_intervals, '[]'::jsonb)) AS pause
+            ), 0))`;
+}
+
+/**
+ * SQL conditions keeping only rows of one session and/or treatment.
+ * Works on any table with session_id/treatment_id columns (pairs, messages);
+ * the values are appended to `params`.
+ * @param {Object} filters - { sessionId, treatmentId }, both optional
+ * @param {string} alias - table (or alias) the columns belong to
+ * @param {Array} params - query parameters so far
+ * @returns {string} conditions starting with AND, or '' without filters
+ */
+function sessionFilter(filters, alias, params) {
+    let sql = '';
+    if (filters?.sessionId) {
+        params.push(filters.sessionId);
+        sql += ` AND ${alias}.session_id = $${params.length}`;
+    }
+    if (filters?.treatmentId) {
+        params.push(filters.treatmentId);
+        sql += ` AND ${alias}.treatment_id = $${params.length}`;
+    }
+    return sql;
+}
+
 export class GameAnalytics {
     
     /**
@@ -17,31 +57,34 @@ export class GameAnalytics {
 
     /**
      * Get comprehensive deal statistics
+     * @param {Object} filters - { sessionId, treatmentId } to limit the data to
      */
-    static async getDealStats() {
+    static async getDealStats(filters = {}) {
+        const params = [];
         const query = `
             SELECT 
                 COUNT(*) as total_deals,
-                AVG(EXTRACT(EPOCH FROM (final_deal->>'confirmedAt')::timestamp - started_at))::int as avg_duration_seconds,
-                MIN(EXTRACT(EPOCH FROM (final_deal->>'confirmedAt')::timestamp - started_at))::int as min_duration_seconds,
-                MAX(EXTRACT(EPOCH FROM (final_deal->>'confirmedAt')::timestamp - started_at))::int as max_duration_seconds,
+                AVG(${dealDurationSql('pairs')})::int as avg_duration_seconds,
+                MIN(${dealDurationSql('pairs')})::int as min_duration_seconds,
+                MAX(${dealDurationSql('pairs')})::int as max_duration_seconds,
                 AVG((final_deal->>'price')::numeric) as avg_price,
                 MIN((final_deal->>'price')::numeric) as min_price,
                 MAX((final_deal->>'price')::numeric) as max_price,
                 COUNT(DISTINCT room_id) as rooms_with_deals,
                 COUNT(DISTINCT user_a_id) + COUNT(DISTINCT user_b_id) as unique_players
             FROM pairs 
-            WHERE final_deal IS NOT NULL
+            WHERE final_deal IS NOT NULL${sessionFilter(filters, 'pairs', params)}
         `;
         
-        const result = await Database.query(query);
+        const result = await Database.query(query, params);
         return result.rows[0];
     }
 
     /**
      * Get deal details with calculated durations
      */
-    static async getDealsWithDuration() {
+    static async getDealsWithDuration(filters = {}) {
+        const params = [];
         const query = `
             SELECT 
                 p.id,
@@ -49,18 +92,20 @@ export class GameAnalytics {
                 p.started_at,
                 p.final_deal->>'confirmedAt' as confirmed_at,
                 p.final_deal->>'price' as price,
-                EXTRACT(EPOCH FROM (p.final_deal->>'confirmedAt')::timestamp - p.started_at)::int as duration_seconds,
+                ${dealDurationSql('p')}::int as duration_seconds,
                 ua.name as user_a_name,
                 ub.name as user_b_name,
-                p.product->>'name' as product_name
+                p.product->>'name' as product_name,
+                p.session_id,
+                p.treatment_id
             FROM pairs p
             JOIN users ua ON p.user_a_id = ua.id
             JOIN users ub ON p.user_b_id = ub.id
-            WHERE p.final_deal IS NOT NULL
+            WHERE p.final_deal IS NOT NULL${sessionFilter(filters, 'p', params)}
             ORDER BY p.started_at DESC
         `;
         
-        const result = await Database.query(query);
+        const result = await Database.query(query, params);
         return result.rows.map(row => ({
             ...row,
             duration_formatted: this.formatDuration(row.duration_seconds)
@@ -70,27 +115,29 @@ export class GameAnalytics {
     /**
      * Get room-specific deal statistics
      */
-    static async getRoomDealStats(roomId) {
+    static async getRoomDealStats(roomId, filters = {}) {
+        const params = [roomId];
         const query = `
             SELECT 
                 room_id,
                 COUNT(*) as total_deals,
-                AVG(EXTRACT(EPOCH FROM (final_deal->>'confirmedAt')::timestamp - started_at))::int as avg_duration_seconds,
+                AVG(${dealDurationSql('pairs')})::int as avg_duration_seconds,
                 AVG((final_deal->>'price')::numeric) as avg_price,
                 COUNT(DISTINCT round_number) as rounds_with_deals
             FROM pairs 
-            WHERE final_deal IS NOT NULL AND room_id = $1
+            WHERE final_deal IS NOT NULL AND room_id = $1${sessionFilter(filters, 'pairs', params)}
             GROUP BY room_id
         `;
         
-        const result = await Database.query(query, [roomId]);
+        const result = await Database.query(query, params);
         return result.rows[0];
     }
 
     /**
      * Get deal timeline for analysis
      */
-    static async getDealTimeline() {
+    static async getDealTimeline(filters = {}) {
+        const params = [];
         const query = `
             SELECT 
                 DATE_TRUNC('hour', started_at) as hour,
@@ -98,19 +145,31 @@ export class GameAnalytics {
                 COUNT(final_deal) as deals_completed,
                 AVG(CASE 
                     WHEN final_deal IS NOT NULL 
-                    THEN EXTRACT(EPOCH FROM (final_deal->>'confirmedAt')::timestamp - started_at)
+                    THEN ${dealDurationSql('pairs')}
                     ELSE NULL 
                 END)::int as avg_duration_seconds
             FROM pairs
+            WHERE TRUE${sessionFilter(filters, 'pairs', params)}
             GROUP BY DATE_TRUNC('hour', started_at)
             ORDER BY hour DESC
             LIMIT 24
         `;
         
-        const result = await Database.query(query);
+        const result = await Database.query(query, params);
         return result.rows;
     }
 
+    /**
+     * Seconds spent paused; an interval still open counts up to `until`
+     */
+    static pausedSeconds(pauseIntervals, until = new Date()) {
+        const pausedMs = (pauseIntervals || []).reduce((total, interval) => {
+            const end = interval.resumedAt ? new Date(interval.resumedAt) : until;
+            return total + Math.max(0, end - new Date(interval.pausedAt));
+        }, 0);
+        return Math.round(pausedMs / 1000);
+    }
+
     /**
      * Format duration in human-readable format
      */
@@ -130,21 +189,33 @@ export class GameAnalytics {
     }
 
     /**
-     * Enhanced deal confirmation data with duration
+     * Enhanced deal confirmation data with duration and per-role surplus
      */
-    static createDealData(pair, price) {
+    static createDealData(pair, price, terms = null) {
         const startTime = new Date(pair.startedAt);
         const endTime = new Date();
-        const durationSeconds = Math.round((endTime - startTime) / 1000);
+        const pausedSeconds = this.pausedSeconds(pair.pauseIntervals, endTime);
+        const durationSeconds = Math.max(0, Math.round((endTime - startTime) / 1000) - pausedSeconds);
+        const integrative = terms ? analyzeAgreement(pair.product, terms) : null;
         
         return {
             price,
+            terms,
+            points: integrative?.scores || null,
+            jointGain: integrative?.jointGain ?? null,
+            maxJointGain: integrative?.maxJointGain ?? null,
+            efficiency: integrative?.efficiency ?? null,
+            paretoOptimal: integrative?.paretoOptimal ?? null,
+            distanceToFrontier: integrative?.distanceToFrontier ?? null,
             confirmedAt: endTime.toISOString(),
             startedAt: pair.startedAt,
             durationSeconds,
             durationFormatted: this.formatDuration(durationSeconds),
+            pausedSeconds,
             userA: pair.userA.id,
             userB: pair.userB.id,
+            reservationValues: pair.reservationValues || null,
+            surplus: computeSurplus(price, pair.reservationValues),
             success: true
         };
     }
@@ -152,18 +223,21 @@ export class GameAnalytics {
     /**
      * Get initial offers analysis (first offer by each role in each pair)
      */
-    static async getInitialOffers() {
+    static async getInitialOffers(filters = {}) {
+        const params = [];
         const query = `
             WITH first_offers AS (
                 SELECT DISTINCT ON (pair_id, role)
                     pair_id,
                     role,
-                    extracted_offer,
+                    ${EFFECTIVE_OFFER} as extracted_offer,
+                    extracted_offer as original_extracted_offer,
+                    offer_corrected,
                     timestamp,
                     user_name,
                     message
                 FROM messages 
-                WHERE extracted_offer IS NOT NULL
+                WHERE ${EFFECTIVE_OFFER} IS NOT NULL${sessionFilter(filters, 'messages', params)}
                 ORDER BY pair_id, role, timestamp ASC
             )
             SELECT 
@@ -172,6 +246,8 @@ export class GameAnalytics {
                 fo.pair_id,
                 fo.role,
                 fo.extracted_offer,
+                fo.original_extracted_offer,
+                fo.offer_corrected,
                 fo.user_name,
                 fo.timestamp,
                 p.final_deal->>'price' as final_price,
@@ -181,24 +257,25 @@ export class GameAnalytics {
             ORDER BY fo.timestamp DESC
         `;
         
-        const result = await Database.query(query);
+        const result = await Database.query(query, params);
         return result.rows;
     }
 
     /**
      * Get offer patterns and trends
      */
-    static async getOfferPatterns() {
+    static async getOfferPatterns(filters = {}) {
+        const params = [];
         const query = `
             WITH offer_analysis AS (
                 SELECT 
                     pair_id,
                     role,
-                    extracted_offer,
+                    ${EFFECTIVE_OFFER} as extracted_offer,
                     timestamp,
                     ROW_NUMBER() OVER (PARTITION BY pair_id, role ORDER BY timestamp) as offer_sequence
                 FROM messages 
-                WHERE extracted_offer IS NOT NULL
+                WHERE ${EFFECTIVE_OFFER} IS NOT NULL${sessionFilter(filters, 'messages', params)}
             ),
             first_offers AS (
                 SELECT * FROM offer_analysis WHERE offer_sequence = 1
@@ -228,14 +305,199 @@ export class GameAnalytics {
                 AND fo_b.extracted_offer IS NOT NULL
         `;
         
-        const result = await Database.query(query);
+        const result = await Database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Compare structured offers with chat-extracted offers
+     * (first offer per role, plus how many of each were made)
+     */
+    static async getOfferSignalComparison(filters = {}) {
+        const params = [];
+        const pairConditions = sessionFilter(filters, 'p', params);
+        const query = `
+            WITH structured AS (
+                SELECT
+                    pair_id,
+                    role,
+                    COUNT(*) as structured_count,
+                    (ARRAY_AGG(amount ORDER BY created_at))[1] as first_structured_offer
+                FROM offers
+                WHERE pair_id IN (SELECT p.id FROM pairs p WHERE TRUE${pairConditions})
+                GROUP BY pair_id, role
+            ),
+            extracted AS (
+                SELECT
+                    pair_id,
+                    role,
+                    COUNT(*) as extracted_count,
+                    (ARRAY_AGG(${EFFECTIVE_OFFER} ORDER BY timestamp))[1] as first_extracted_offer
+                FROM messages
+                WHERE ${EFFECTIVE_OFFER} IS NOT NULL${sessionFilter(filters, 'messages', params)}
+                GROUP BY pair_id, role
+            )
+            SELECT
+                COALESCE(s.pair_id, e.pair_id) as pair_id,
+                COALESCE(s.role, e.role) as role,
+                s.first_structured_offer,
+                e.first_extracted_offer,
+                COALESCE(s.structured_count, 0) as structured_count,
+                COALESCE(e.extracted_count, 0) as extracted_count,
+                s.first_structured_offer = e.first_extracted_offer as first_offers_match
+            FROM structured s
+            FULL OUTER JOIN extracted e ON s.pair_id = e.pair_id AND s.role = e.role
+            ORDER BY pair_id, role
+        `;
+        
+        const result = await Database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Integrative (multi-issue) outcomes: joint gain and Pareto efficiency per product
+     */
+    static async getIntegrativeOutcomes(filters = {}) {
+        const params = [];
+        const query = `
+            SELECT 
+                room_id,
+                product->>'name' as product_name,
+                COUNT(*) as total_agreements,
+                ROUND(AVG((final_deal->>'jointGain')::numeric), 2) as avg_joint_gain,
+                MAX((final_deal->>'maxJointGain')::numeric) as max_joint_gain,
+                ROUND(AVG((final_deal->>'efficiency')::numeric), 3) as avg_efficiency,
+                COUNT(*) FILTER (WHERE (final_deal->>'paretoOptimal')::boolean) as pareto_optimal_count,
+                ROUND(
+                    COUNT(*) FILTER (WHERE (final_deal->>'paretoOptimal')::boolean)::numeric / COUNT(*) * 100, 2
+                ) as pareto_optimal_percentage,
+                ROUND(AVG((final_deal->'points'->>'A')::numeric), 2) as avg_seller_points,
+                ROUND(AVG((final_deal->'points'->>'B')::numeric), 2) as avg_buyer_points
+            FROM pairs
+            WHERE final_deal IS NOT NULL
+                AND final_deal->>'jointGain' IS NOT NULL${sessionFilter(filters, 'pairs', params)}
+            GROUP BY room_id, product->>'name'
+            ORDER BY room_id, product_name
+        `;
+        
+        const result = await Database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Deal outcomes per session treatment, for comparing conditions
+     */
+    static async getTreatmentOutcomes(filters = {}) {
+        const params = [];
+        const query = `
+            SELECT 
+                s.code as session_code,
+                p.session_id,
+                p.treatment_id,
+                COUNT(*) as total_negotiations,
+                COUNT(p.final_deal) as successful_deals,
+                ROUND(COUNT(p.final_deal)::numeric / COUNT(*)::numeric * 100, 2) as success_rate,
+                AVG((p.final_deal->>'price')::numeric) as avg_final_price,
+                AVG((p.final_deal->>'durationSeconds')::numeric)::int as avg_deal_duration_seconds
+            FROM pairs p
+            JOIN sessions s ON p.session_id = s.id
+            WHERE TRUE${sessionFilter(filters, 'p', params)}
+            GROUP BY s.code, p.session_id, p.treatment_id
+            ORDER BY s.code, p.treatment_id
+        `;
+
+        const result = await Database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Survey instrument responses with the negotiation each one is about
+     */
+    static async getSurveyResponses(instrument = null, filters = {}) {
+        const params = [];
+        let instrumentCondition = '';
+        if (instrument) {
+            params.push(instrument);
+            instrumentCondition = ` AND r.instrument = $${params.length}`;
+        }
+        const query = `
+            SELECT 
+                r.*,
+                u.name as user_name,
+                u.external_id,
+                p.room_id,
+                p.final_deal IS NOT NULL as deal_reached,
+                (p.final_deal->>'price')::numeric as final_price,
+                CASE WHEN p.user_a_id = r.user_id THEN 'A' WHEN p.user_b_id = r.user_id THEN 'B' END as role
+            FROM survey_responses r
+            JOIN users u ON r.user_id = u.id
+            LEFT JOIN pairs p ON r.pair_id = p.id
+            WHERE TRUE${instrumentCondition}${sessionFilter(filters, 'r', params)}
+            ORDER BY r.submitted_at
+        `;
+
+        const result = await Database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Offer correction audit trail with how far each correction moved the value
+     */
+    static async getOfferCorrections(filters = {}) {
+        const params = [];
+        const query = `
+            SELECT 
+                c.*,
+                m.message,
+                m.user_name,
+                m.role,
+                p.room_id,
+                c.corrected_offer - c.original_offer as correction_delta
+            FROM offer_corrections c
+            JOIN messages m ON c.message_id = m.id
+            JOIN pairs p ON c.pair_id = p.id
+            WHERE TRUE${sessionFilter(filters, 'p', params)}
+            ORDER BY c.created_at DESC
+        `;
+        
+        const result = await Database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Moderator interventions (manual pairing, dissolved pairs), newest first.
+     * With a session filter only actions on that session's pairs are kept.
+     */
+    static async getModeratorInterventions(roomId = null, filters = {}) {
+        if (!filters.sessionId && !filters.treatmentId) {
+            const rows = await Database.getModeratorActions(roomId);
+            return rows.reverse();
+        }
+
+        const params = [];
+        const pairConditions = sessionFilter(filters, 'p', params);
+        let roomCondition = '';
+        if (roomId) {
+            params.push(roomId);
+            roomCondition = ` AND a.room_id = $${params.length}`;
+        }
+        const query = `
+            SELECT a.*
+            FROM moderator_actions a
+            JOIN pairs p ON a.pair_id = p.id
+            WHERE TRUE${pairConditions}${roomCondition}
+            ORDER BY a.created_at DESC
+        `;
+
+        const result = await Database.query(query, params);
         return result.rows;
     }
 
     /**
      * Get negotiation patterns analysis
      */
-    static async getNegotiationPatterns() {
+    static async getNegotiationPatterns(filters = {}) {
+        const params = [];
         const query = `
             SELECT 
                 room_id,
@@ -244,15 +506,16 @@ export class GameAnalytics {
                 COUNT(final_deal) as successful_deals,
                 ROUND(COUNT(final_deal)::numeric / COUNT(*)::numeric * 100, 2) as success_rate,
                 AVG(CASE WHEN final_deal IS NOT NULL 
-                    THEN EXTRACT(EPOCH FROM (final_deal->>'confirmedAt')::timestamp - started_at)
+                    THEN ${dealDurationSql('pairs')}
                     ELSE NULL END)::int as avg_deal_duration_seconds,
                 AVG((final_deal->>'price')::numeric) as avg_final_price
             FROM pairs
+            WHERE TRUE${sessionFilter(filters, 'pairs', params)}
             GROUP BY room_id, product->>'name'
             ORDER BY success_rate DESC
         `;
         
-        const result = await Database.query(query);
+        const result = await Database.query(query, params);
         return result.rows.map(row => ({
             ...row,
             avg_deal_duration_formatted: row.avg_deal_duration_seconds ? 
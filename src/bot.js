@@ -0,0 +1,234 @@
+// src/bot.js
+
+/**
+ * Scripted bot negotiator for pilots and odd-numbered rooms.
+ *
+ * A bot sits in a pair as seller (A) or buyer (B) and concedes from an
+ * opening price towards its reservation price:
+ *   boulware    - holds firm and concedes late (time-dependent, beta < 1)
+ *   conceder    - concedes early (time-dependent, beta > 1)
+ *   tit_for_tat - mirrors the partner's last concession
+ * "Time" is the share of the bot's turns used (turns / maxTurns).
+ * The bot never offers or accepts a price worse than its reservation price.
+ */
+
+export const BOT_STRATEGIES = {
+  boulware: { beta: 0.2 },
+  conceder: { beta: 3 },
+  tit_for_tat: {}
+};
+
+const DEFAULTS = {
+  strategy: "boulware",
+  openingMargin: 0.3, // opening price is this fraction above (seller) or below (buyer) the reservation price
+  maxTurns: 8,
+  responseDelaySeconds: 4
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.role - "A" (seller) or "B" (buyer)
+ * @param {number} options.reservationPrice - seller's cost or buyer's valuation
+ * @param {string} options.strategy - key of BOT_STRATEGIES
+ * @param {number} options.openingMargin
+ * @param {number} options.maxTurns
+ */
+export function createBotState(options) {
+  const settings = { ...DEFAULTS, ...options };
+  if (!BOT_STRATEGIES[settings.strategy]) throw new Error(`Unknown bot strategy: ${settings.strategy}`);
+
+  const sign = settings.role === "A" ? 1 : -1;
+  return {
+    role: settings.role,
+    strategy: settings.strategy,
+    reservation: settings.reservationPrice,
+    opening: Math.round(settings.reservationPrice * (1 + sign * settings.openingMargin)),
+    maxTurns: settings.maxTurns,
+    turns: 0,
+    lastOffer: null,
+    partnerOffers: []
+  };
+}
+
+// Seller prefers higher prices, buyer lower ones
+function atLeastAsGood(state, price, than) {
+  return state.role === "A" ? price >= than : price <= than;
+}
+
+function timeDependentOffer(state, beta) {
+  const t = Math.min(1, state.turns / state.maxTurns);
+  return state.opening + (state.reservation - state.opening) * Math.pow(t, 1 / beta);
+}
+
+function titForTatOffer(state) {
+  if (state.lastOffer === null) return state.opening;
+
+  // First reply: a small opening concession; afterwards mirror the partner
+  const [previous, latest] = state.partnerOffers.slice(-2);
+  const partnerConcession = latest !== undefined && previous !== undefined
+    ? Math.abs(latest - previous)
+    : Math.abs(state.opening - state.reservation) * 0.1;
+  const step = state.role === "A" ? -partnerConcession : partnerConcession;
+  const next = state.lastOffer + step;
+  return atLeastAsGood(state, next, state.reservation) ? next : state.reservation;
+}
+
+/**
+ * Price the bot would offer on its next turn
+ */
+export function plannedOffer(state) {
+  const price = state.strategy === "tit_for_tat"
+    ? titForTatOffer(state)
+    : timeDependentOffer(state, BOT_STRATEGIES[state.strategy].beta);
+  return Math.round(price);
+}
+
+/**
+ * Decide the bot's reply to a partner offer (null = no price mentioned)
+ * @returns {Object} { type: "accept", price } or { type: "offer", price }
+ */
+export function nextBotMove(state, partnerOffer = null) {
+  if (typeof partnerOffer === "number") state.partnerOffers.push(partnerOffer);
+
+  const planned = plannedOffer(state);
+  if (typeof partnerOffer === "number" && atLeastAsGood(state, partnerOffer, planned)) {
+    return { type: "accept", price: partnerOffer };
+  }
+
+  state.turns += 1;
+  state.lastOffer = planned;
+  return { type: "offer", price: planned };
+}
+
+/**
+ * Whether the bot confirms a deal the partner proposed at `price`
+ */
+export function acceptsPrice(state, price) {
+  if (!atLeastAsGood(state, price, state.reservation)) return false;
+  return atLeastAsGood(state, price, state.lastOffer ?? plannedOffer(state));
+}
+
+export function botMessage(move, role) {
+  if (move.type === "accept") return `Deal at $${move.price}.`;
+  return role === "A" ? `I can do $${move.price}.` : `How about $${move.price}?`;
+}
+
+export class BotManager {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onSay - (pairId, botUserId, text) the bot posts a chat message
+   * @param {Function} handlers.onConfirm - (pairId, botUserId, price) the bot confirms a deal
+   */
+  constructor({ onSay, onConfirm }) {
+    this.onSay = onSay || (() => {});
+    this.onConfirm = onConfirm || (() => {});
+    this.bots = new Map(); // pairId -> { botUserId, state, delayMs, timeout, pending, paused }
+  }
+
+  /**
+   * Seat a bot in a pair and schedule its opening offer
+   */
+  attach(pairId, botUserId, options) {
+    this.stop(pairId);
+    const bot = {
+      botUserId,
+      state: createBotState(options),
+      delayMs: (options.responseDelaySeconds ?? DEFAULTS.responseDelaySeconds) * 1000,
+      timeout: null,
+      pending: null, // { action, dueAt, remainingMs }
+      paused: false
+    };
+    this.bots.set(pairId, bot);
+    this.later(bot, () => this.say(pairId, nextBotMove(bot.state)));
+    return bot.state;
+  }
+
+  has(pairId) {
+    return this.bots.has(pairId);
+  }
+
+  // Only the latest reply is kept: a new partner message replaces a pending one
+  later(bot, action) {
+    bot.pending = { action, remainingMs: bot.delayMs };
+    this.schedule(bot);
+  }
+
+  schedule(bot) {
+    if (bot.timeout) clearTimeout(bot.timeout);
+    bot.timeout = null;
+    if (!bot.pending || bot.paused) return;
+
+    bot.pending.dueAt = Date.now() + bot.pending.remainingMs;
+    bot.timeout = setTimeout(() => {
+      const { action } = bot.pending;
+      bot.timeout = null;
+      bot.pending = null;
+      action();
+    }, bot.pending.remainingMs);
+  }
+
+  /**
+   * Hold the bot's pending turn (game paused); it keeps the time it had left
+   */
+  pause(pairId) {
+    const bot = this.bots.get(pairId);
+    if (!bot || bot.paused) return;
+    bot.paused = true;
+    if (bot.timeout) {
+      clearTimeout(bot.timeout);
+      bot.timeout = null;
+      bot.pending.remainingMs = Math.max(0, bot.pending.dueAt - Date.now());
+    }
+  }
+
+  resume(pairId) {
+    const bot = this.bots.get(pairId);
+    if (!bot || !bot.paused) return;
+    bot.paused = false;
+    this.schedule(bot);
+  }
+
+  say(pairId, move) {
+    const bot = this.bots.get(pairId);
+    if (!bot) return;
+    this.onSay(pairId, bot.botUserId, botMessage(move, bot.state.role));
+    if (move.type === "accept") this.onConfirm(pairId, bot.botUserId, move.price);
+  }
+
+  /**
+   * The human partner sent a chat message; `offer` is what was read from it
+   */
+  partnerMessage(pairId, offer) {
+    const bot = this.bots.get(pairId);
+    if (!bot || offer === null) return;
+    this.later(bot, () => this.say(pairId, nextBotMove(bot.state, offer)));
+  }
+
+  /**
+   * The human partner confirmed a deal at `price`
+   */
+  partnerConfirmed(pairId, price) {
+    const bot = this.bots.get(pairId);
+    if (!bot) return;
+    this.later(bot, () => {
+      if (acceptsPrice(bot.state, price)) {
+        this.onConfirm(pairId, bot.botUserId, price);
+      } else {
+        this.say(pairId, nextBotMove(bot.state, price));
+      }
+    });
+  }
+
+  stop(pairId) {
+    const bot = this.bots.get(pairId);
+    if (!bot) return;
+    if (bot.timeout) clearTimeout(bot.timeout);
+    this.bots.delete(pairId);
+  }
+
+  stopAll() {
+    for (const pairId of [...this.bots.keys()]) {
+      this.stop(pairId);
+    }
+  }
+}
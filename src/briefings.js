@@ -0,0 +1,103 @@
+// src/briefings.js
+
+/**
+ * Role briefings, rendered once per pair.
+ *
+ * A product's `sellerInfo` / `buyerInfo` are templates in which `{{name}}`
+ * is filled in for the pair and role:
+ *   productName, role ("seller" / "buyer"), reservationPrice (own role only),
+ *   roundNumber, timeLimitMinutes, and every key of the product's
+ *   `briefingValues` (e.g. { listPrice: 1200, marketPrice: 950 }).
+ * Treatments change what a role reads in two ways:
+ *   - `briefingVariants[treatmentId]` on the product replaces its
+ *     sellerInfo / buyerInfo, e.g. with or without the listing price
+ *   - `settings.briefing` ({ A, B }) on the treatment adds a paragraph for
+ *     every product, e.g. a deadline pressure statement
+ * The rendered text is stored on the pair, so analysis sees exactly what
+ * each participant read.
+ */
+
+const BUILT_IN_VARIABLES = ["productName", "role", "reservationPrice", "roundNumber", "timeLimitMinutes"];
+const ROLE_FIELDS = { A: "sellerInfo", B: "buyerInfo" };
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Variable names a template refers to
+ */
+export function templateVariables(template) {
+  if (typeof template !== "string") return [];
+  return [...template.matchAll(PLACEHOLDER)].map((match) => match[1]);
+}
+
+/**
+ * Fill in a template; variables without a value are left empty
+ */
+export function renderTemplate(template, values) {
+  if (typeof template !== "string") return "";
+  return template.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = values[name];
+    return value === null || value === undefined ? "" : String(value);
+  });
+}
+
+/**
+ * Check a product's briefing templates; returns a list of problems (empty when valid)
+ */
+export function validateBriefings(product) {
+  const problems = [];
+  const values = product.briefingValues ?? {};
+  if (typeof values !== "object" || Array.isArray(values)) {
+    return ["briefingValues: must map variable names to values"];
+  }
+  const known = new Set([...BUILT_IN_VARIABLES, ...Object.keys(values)]);
+
+  const check = (template, where) => {
+    if (template === undefined) return;
+    if (typeof template !== "string") {
+      problems.push(`${where}: must be text`);
+      return;
+    }
+    templateVariables(template)
+      .filter((name) => !known.has(name))
+      .forEach((name) => problems.push(`${where}: unknown variable {{${name}}}`));
+  };
+
+  Object.values(ROLE_FIELDS).forEach((field) => check(product[field], field));
+  Object.entries(product.briefingVariants || {}).forEach(([treatmentId, variant]) => {
+    Object.values(ROLE_FIELDS).forEach((field) => check(variant?.[field], `briefingVariants.${treatmentId}.${field}`));
+  });
+
+  return problems;
+}
+
+/**
+ * Briefing each role of a pair reads
+ * @param {Object} product - product config (with private fields)
+ * @param {Object} context
+ * @param {Object} context.reservationValues - { A, B } drawn for the pair
+ * @param {number} context.roundNumber
+ * @param {number} context.timeLimitSeconds - the pair's deadline (0 = none)
+ * @param {Object} context.treatment - the pair's treatment { id, settings }, if any
+ * @returns {Object} { A, B } rendered text
+ */
+export function renderBriefings(product, { reservationValues = null, roundNumber = null, timeLimitSeconds = 0, treatment = null } = {}) {
+  const variant = (treatment && product?.briefingVariants?.[treatment.id]) || {};
+  const extra = treatment?.settings?.briefing || {};
+
+  const briefings = {};
+  Object.entries(ROLE_FIELDS).forEach(([role, field]) => {
+    const values = {
+      ...product?.briefingValues,
+      productName: product?.name,
+      role: role === "A" ? "seller" : "buyer",
+      reservationPrice: reservationValues?.[role] ?? null,
+      roundNumber,
+      timeLimitMinutes: timeLimitSeconds ? Math.round(timeLimitSeconds / 60) : null
+    };
+    briefings[role] = [variant[field] ?? product?.[field], extra[role]]
+      .filter((template) => typeof template === "string" && template.trim() !== "")
+      .map((template) => renderTemplate(template, values))
+      .join("\n\n");
+  });
+  return briefings;
+}
@@ -0,0 +1,91 @@
+import { uid, nowISO } from "./utils.js";
+
+/**
+ * Human-in-the-loop correction of chat-extracted offers.
+ * The extractor's value (message.offer) is never overwritten: a correction
+ * sets message.correctedOffer / message.offerCorrected and appends an audit
+ * record to pair.offerCorrections. A corrected value of null means
+ * "this message contains no offer".
+ *
+ * Returns { ok: true, correction, message } or { ok: false, error }.
+ */
+
+const ACTIONS = ["confirm", "edit"];
+const CORRECTOR_TYPES = ["participant", "moderator"];
+
+/**
+ * The offer a message should count as, after any human correction
+ */
+export function effectiveOffer(message) {
+  if (!message) return null;
+  if (message.offerCorrected) return message.correctedOffer ?? null;
+  return message.offer ?? null;
+}
+
+function validateAmount(amount) {
+  return amount === null || (typeof amount === "number" && Number.isFinite(amount) && amount > 0);
+}
+
+// chatOffers mirrors the newest message offer of each role
+export function refreshChatOffer(pair, role) {
+  if (!pair.chatOffers) pair.chatOffers = { A: null, B: null };
+  for (let i = pair.messages.length - 1; i >= 0; i--) {
+    const message = pair.messages[i];
+    if (message.role !== role) continue;
+    const value = effectiveOffer(message);
+    if (value !== null) {
+      pair.chatOffers[role] = value;
+      return;
+    }
+  }
+  pair.chatOffers[role] = null;
+}
+
+/**
+ * Confirm or correct the offer extracted from one chat message
+ * @param {Object} pair
+ * @param {Object} input
+ * @param {string} input.messageId
+ * @param {string} input.action - "confirm" keeps the current value, "edit" replaces it
+ * @param {number|null} input.amount - corrected offer for "edit" (null = not an offer)
+ * @param {Object} input.correctedBy - { id, name, type: "participant"|"moderator" }
+ * @param {string} input.reason - optional note, mostly for moderators
+ */
+export function applyOfferCorrection(pair, { messageId, action = "edit", amount = null, correctedBy, reason = null }) {
+  if (!ACTIONS.includes(action)) return { ok: false, error: "Invalid correction action" };
+  if (!correctedBy || !CORRECTOR_TYPES.includes(correctedBy.type)) return { ok: false, error: "Invalid corrector" };
+
+  const message = (pair.messages || []).find((m) => m.id === messageId);
+  if (!message) return { ok: false, error: "Message not found" };
+  if (correctedBy.type === "participant" && message.userId !== correctedBy.id) {
+    return { ok: false, error: "You can only correct offers in your own messages" };
+  }
+
+  const originalOffer = effectiveOffer(message);
+  const correctedOffer = action === "confirm" ? originalOffer : amount;
+  if (!validateAmount(correctedOffer)) return { ok: false, error: "Offer amount must be a positive number or empty" };
+
+  const correction = {
+    id: uid(),
+    messageId,
+    pairId: pair.id,
+    role: message.role,
+    action,
+    extractedOffer: message.offer ?? null,
+    originalOffer,
+    correctedOffer,
+    correctedBy: correctedBy.id || null,
+    correctedByName: correctedBy.name || null,
+    correctorType: correctedBy.type,
+    reason,
+    createdAt: nowISO()
+  };
+
+  message.correctedOffer = correctedOffer;
+  message.offerCorrected = true;
+  if (!pair.offerCorrections) pair.offerCorrections = [];
+  pair.offerCorrections.push(correction);
+  refreshChatOffer(pair, message.role);
+
+  return { ok: true, correction, message };
+}
@@ -45,15 +45,21 @@ export class Database {
             name,
             surveyResponses = null,
             surveyCompleted = false,
-            roomId = null
+            roomId = null,
+            isBot = false,
+            externalId = null,
+            studyId = null,
+            joinCode = null
         } = userData;
 
         const query = `
-            INSERT INTO users (name, survey_responses, survey_completed, room_id)
-            VALUES ($1, $2, $3, $4)
+            INSERT INTO users (name, survey_responses, survey_completed, room_id, is_bot, external_id, study_id, join_code)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
             RETURNING *
         `;
-        const result = await this.query(query, [name, surveyResponses, surveyCompleted, roomId]);
+        const result = await this.query(query, [
+            name, surveyResponses, surveyCompleted, roomId, isBot, externalId, studyId, joinCode
+        ]);
         return result.rows[0];
     }
 
@@ -62,6 +68,15 @@ export class Database {
         return result.rows[0];
     }
 
+    // Panel participant who already entered (sessionId null = outside any session)
+    static async getUserByExternalId(sessionId, externalId) {
+        const result = await this.query(
+            'SELECT * FROM users WHERE session_id IS NOT DISTINCT FROM $1 AND external_id = $2 ORDER BY created_at LIMIT 1',
+            [sessionId, externalId]
+        );
+        return result.rows[0];
+    }
+
     static async updateUser(userId, updates) {
         const setClause = Object.keys(updates)
             .map((key, index) => `${key} = $${index + 2}`)
@@ -120,20 +135,30 @@ export class Database {
     // Pair operations
     static async createPair(pairData) {
         const {
+            id = null,
             roomId,
             userAId,
             userBId,
             roundNumber,
-            product
+            product,
+            reservationValues = null,
+            briefings = null,
+            sessionId = null,
+            treatmentId = null
         } = pairData;
 
+        // Use the server-assigned pair id when given so later updates hit this row
         const query = `
-            INSERT INTO pairs (room_id, user_a_id, user_b_id, round_number, product)
-            VALUES ($1, $2, $3, $4, $5)
+            INSERT INTO pairs (
+                id, room_id, user_a_id, user_b_id, round_number, product, reservation_values, briefings, session_id, treatment_id
+            )
+            VALUES (COALESCE($1, uuid_generate_v4()), $2, $3, $4, $5, $6, $7, $8, $9, $10)
             RETURNING *
         `;
         
-        const result = await this.query(query, [roomId, userAId, userBId, roundNumber, product]);
+        const result = await this.query(query, [
+            id, roomId, userAId, userBId, roundNumber, product, reservationValues, briefings, sessionId, treatmentId
+        ]);
         return result.rows[0];
     }
 
@@ -165,6 +190,11 @@ export class Database {
         return result.rows[0];
     }
 
+    static async getActivePairs() {
+        const result = await this.query("SELECT * FROM pairs WHERE status = 'active' ORDER BY started_at");
+        return result.rows;
+    }
+
     static async updatePair(pairId, updates) {
         const setClause = Object.keys(updates)
             .map((key, index) => `${key} = $${index + 2}`)
@@ -177,9 +207,75 @@ export class Database {
         return result.rows[0];
     }
 
+    // Experimental sessions
+    static async createSession(sessionData) {
+        const { code, name, kind, assignment, treatments, roomIds, status, startedAt, assignmentCounts, entry } = sessionData;
+
+        const query = `
+            INSERT INTO sessions (code, name, kind, assignment, treatments, room_ids, status, started_at, assignment_counts, entry)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `;
+
+        // pg would send a JS array as a Postgres array, not JSON
+        const result = await this.query(query, [
+            code, name, kind, assignment, JSON.stringify(treatments), roomIds, status, startedAt, assignmentCounts, entry
+        ]);
+        return result.rows[0];
+    }
+
+    static async getSessions() {
+        const result = await this.query('SELECT * FROM sessions ORDER BY started_at');
+        return result.rows;
+    }
+
+    static async updateSession(sessionId, updates) {
+        const setClause = Object.keys(updates)
+            .map((key, index) => `${key} = $${index + 2}`)
+            .join(', ');
+
+        const query = `UPDATE sessions SET ${setClause} WHERE id = $1 RETURNING *`;
+        const values = [sessionId, ...Object.values(updates)];
+
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
+    // Session join codes
+    static async createJoinCode(joinCodeData) {
+        const { code, sessionId, singleUse = true, createdAt } = joinCodeData;
+
+        const query = `
+            INSERT INTO join_codes (code, session_id, single_use, created_at)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `;
+
+        const result = await this.query(query, [code, sessionId, singleUse, createdAt]);
+        return result.rows[0];
+    }
+
+    static async getJoinCodes() {
+        const result = await this.query('SELECT * FROM join_codes ORDER BY created_at');
+        return result.rows;
+    }
+
+    static async updateJoinCode(code, updates) {
+        const setClause = Object.keys(updates)
+            .map((key, index) => `${key} = $${index + 2}`)
+            .join(', ');
+
+        const query = `UPDATE join_codes SET ${setClause} WHERE code = $1 RETURNING *`;
+        const values = [code, ...Object.values(updates)];
+
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
     // Message operations
     static async saveMessage(messageData) {
         const {
+            id = null,
             pairId,
             userId,
             userName,
@@ -187,21 +283,102 @@ export class Database {
             message,
             extractedOffer = null,
             offerConfidence = null,
-            metadata = {}
+            metadata = {},
+            isBot = false,
+            sessionId = null,
+            treatmentId = null
         } = messageData;
 
         const query = `
-            INSERT INTO messages (pair_id, user_id, user_name, role, message, extracted_offer, offer_confidence, metadata)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            INSERT INTO messages (
+                id, pair_id, user_id, user_name, role, message, extracted_offer, offer_confidence, metadata, is_bot,
+                session_id, treatment_id
+            )
+            VALUES (COALESCE($1, uuid_generate_v4()), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
             RETURNING *
         `;
         
         const result = await this.query(query, [
-            pairId, userId, userName, role, message, extractedOffer, offerConfidence, metadata
+            id, pairId, userId, userName, role, message, extractedOffer, offerConfidence, metadata, isBot,
+            sessionId, treatmentId
         ]);
         return result.rows[0];
     }
 
+    // Survey instrument responses
+    static async saveSurveyResponse(responseData) {
+        const {
+            userId, instrument, pairId = null, roundNumber = null, sessionId = null, treatmentId = null,
+            responses, attentionChecksFailed = [], submittedAt
+        } = responseData;
+
+        const query = `
+            INSERT INTO survey_responses (user_id, instrument, pair_id, round_number, session_id, treatment_id, responses, attention_checks_failed, submitted_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `;
+
+        // pg would send a JS array as a Postgres array, not JSON
+        const result = await this.query(query, [
+            userId, instrument, pairId, roundNumber, sessionId, treatmentId,
+            JSON.stringify(responses), JSON.stringify(attentionChecksFailed), submittedAt
+        ]);
+        return result.rows[0];
+    }
+
+    // Offer corrections: audit record plus the corrected value on the message
+    static async saveOfferCorrection(correction) {
+        const query = `
+            INSERT INTO offer_corrections (
+                id, message_id, pair_id, action, extracted_offer, original_offer, corrected_offer,
+                corrected_by, corrected_by_name, corrector_type, reason, created_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *
+        `;
+
+        const result = await this.query(query, [
+            correction.id, correction.messageId, correction.pairId, correction.action,
+            correction.extractedOffer, correction.originalOffer, correction.correctedOffer,
+            correction.correctedBy, correction.correctedByName, correction.correctorType,
+            correction.reason, correction.createdAt
+        ]);
+
+        await this.query(
+            'UPDATE messages SET corrected_offer = $2, offer_corrected = TRUE WHERE id = $1',
+            [correction.messageId, correction.correctedOffer]
+        );
+        return result.rows[0];
+    }
+
+    static async getOfferCorrections(pairId = null) {
+        const result = pairId
+            ? await this.query('SELECT * FROM offer_corrections WHERE pair_id = $1 ORDER BY created_at', [pairId])
+            : await this.query('SELECT * FROM offer_corrections ORDER BY created_at');
+        return result.rows;
+    }
+
+    // Moderator interventions
+    static async saveModeratorAction(action) {
+        const query = `
+            INSERT INTO moderator_actions (id, room_id, pair_id, action, moderator_id, details, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `;
+
+        const result = await this.query(query, [
+            action.id, action.roomId, action.pairId, action.action, action.moderatorId, action.details, action.createdAt
+        ]);
+        return result.rows[0];
+    }
+
+    static async getModeratorActions(roomId = null) {
+        const result = roomId
+            ? await this.query('SELECT * FROM moderator_actions WHERE room_id = $1 ORDER BY created_at', [roomId])
+            : await this.query('SELECT * FROM moderator_actions ORDER BY created_at');
+        return result.rows;
+    }
+
     static async getMessagesByPair(pairId) {
         const result = await this.query(
             'SELECT * FROM messages WHERE pair_id = $1 ORDER BY timestamp',
@@ -210,6 +387,39 @@ export class Database {
         return result.rows;
     }
 
+    // Offer operations
+    static async saveOffer(offer) {
+        const query = `
+            INSERT INTO offers (id, pair_id, user_id, role, amount, terms, status, parent_id, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `;
+        
+        const result = await this.query(query, [
+            offer.id, offer.pairId, offer.userId, offer.role, offer.amount, offer.terms || null, offer.status, offer.parentId, offer.createdAt
+        ]);
+        return result.rows[0];
+    }
+
+    static async updateOfferStatus(offer) {
+        const query = `
+            UPDATE offers SET status = $2, responded_at = $3, responded_by_role = $4
+            WHERE id = $1
+            RETURNING *
+        `;
+        
+        const result = await this.query(query, [offer.id, offer.status, offer.respondedAt, offer.respondedByRole]);
+        return result.rows[0];
+    }
+
+    static async getOffersByPair(pairId) {
+        const result = await this.query(
+            'SELECT * FROM offers WHERE pair_id = $1 ORDER BY created_at',
+            [pairId]
+        );
+        return result.rows;
+    }
+
     // Game configuration
     static async getGameConfig() {
         const result = await this.query('SELECT config FROM game_config WHERE id = $1', ['main']);
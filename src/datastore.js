@@ -1,5 +1,8 @@
+// Live game state, keyed by id. Read and written through src/gameState.js.
 export const state = {
-  users: new Map(),       // userId -> userObject
-  rooms: new Map(),       // roomId -> roomObject
-  pairs: new Map()        // pairId -> pairObject
+  users: {},       // userId -> user
+  rooms: {},       // roomId -> { id, users: [user], pairs: [], currentRound, status }
+  pairs: {},       // pairId -> { id, roomId, userA, userB, messages, offers, ... }
+  sessions: {},    // sessionId -> { id, code, treatments, assignment, roomIds, status, entry, ... }
+  joinCodes: {}    // code -> { code, sessionId, singleUse, uses, usedBy, ... }
 };
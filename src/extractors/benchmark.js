@@ -0,0 +1,164 @@
+// src/extractors/benchmark.js
+
+import fs from "fs";
+import { getExtractor, listExtractors, runExtractor } from "./index.js";
+
+/**
+ * Offer-extraction benchmark. Runs extractor backends over a labelled corpus
+ * and scores them; no database or server needed.
+ *
+ * Corpus format: JSON Lines, one case per line
+ *   { "id", "message", "role": "A"|"B", "expected": number|null,
+ *     "context"?: { "latestOffers": { "A", "B" } }, "note"?: string }
+ * `expected: null` means the message contains no offer.
+ */
+
+const TOLERANCE = 0.005;
+
+function sameOffer(a, b) {
+  if (a === null || b === null) return a === b;
+  return Math.abs(a - b) < TOLERANCE;
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+/**
+ * Read and validate a JSONL corpus
+ * @param {string} filePath
+ * @returns {Array} cases
+ */
+export function loadCorpus(filePath) {
+  const lines = fs.readFileSync(filePath, "utf8").split("\n");
+  const cases = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith("//")) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath}:${index + 1}: invalid JSON (${error.message})`);
+    }
+
+    if (typeof entry.message !== "string" || !entry.message) {
+      throw new Error(`${filePath}:${index + 1}: "message" is required`);
+    }
+    if (!["A", "B"].includes(entry.role)) {
+      throw new Error(`${filePath}:${index + 1}: "role" must be "A" or "B"`);
+    }
+    if (entry.expected !== null && typeof entry.expected !== "number") {
+      throw new Error(`${filePath}:${index + 1}: "expected" must be a number or null`);
+    }
+
+    cases.push({ id: entry.id || `line-${index + 1}`, context: {}, ...entry });
+  });
+
+  return cases;
+}
+
+/**
+ * Classify one prediction against its label
+ * @returns {string} "correct" | "correct_none" | "missed" | "spurious" | "wrong_value"
+ */
+export function classifyOutcome(expected, predicted) {
+  if (expected === null && predicted === null) return "correct_none";
+  if (expected === null) return "spurious";
+  if (predicted === null) return "missed";
+  return sameOffer(expected, predicted) ? "correct" : "wrong_value";
+}
+
+/**
+ * Precision/recall/exact-match over a list of outcomes.
+ * A wrong value counts against both precision and recall.
+ */
+export function scoreOutcomes(outcomes) {
+  const counts = { correct: 0, correct_none: 0, missed: 0, spurious: 0, wrong_value: 0, error: 0 };
+  outcomes.forEach((outcome) => { counts[outcome.outcome] += 1; });
+
+  const truePositives = counts.correct;
+  const predictedOffers = counts.correct + counts.spurious + counts.wrong_value;
+  const labelledOffers = counts.correct + counts.missed + counts.wrong_value;
+
+  return {
+    total: outcomes.length,
+    counts,
+    precision: ratio(truePositives, predictedOffers),
+    recall: ratio(truePositives, labelledOffers),
+    exactMatch: ratio(counts.correct + counts.correct_none, outcomes.length)
+  };
+}
+
+/**
+ * Run one backend over the corpus
+ */
+export async function benchmarkBackend(name, cases) {
+  const outcomes = [];
+
+  for (const testCase of cases) {
+    let predicted = null;
+    let outcome;
+    let error = null;
+
+    try {
+      const result = await runExtractor(name, testCase.message, testCase.role, testCase.context || {});
+      predicted = typeof result.offer === "number" ? result.offer : null;
+      outcome = classifyOutcome(testCase.expected, predicted);
+    } catch (err) {
+      outcome = "error";
+      error = err.message;
+    }
+
+    outcomes.push({
+      id: testCase.id,
+      message: testCase.message,
+      role: testCase.role,
+      expected: testCase.expected,
+      predicted,
+      outcome,
+      error
+    });
+  }
+
+  const extractor = getExtractor(name);
+  return {
+    backend: name,
+    version: extractor.version,
+    ...scoreOutcomes(outcomes),
+    confusions: outcomes.filter((o) => o.outcome !== "correct" && o.outcome !== "correct_none")
+  };
+}
+
+/**
+ * Run several backends over the corpus
+ * @param {Array} cases - from loadCorpus
+ * @param {Object} options
+ * @param {string[]} options.backends - names to run (default: every registered backend)
+ * @param {boolean} options.includeNetwork - also run backends that need outbound access
+ */
+export async function runBenchmark(cases, { backends = null, includeNetwork = false } = {}) {
+  const available = listExtractors();
+  const selected = backends && backends.length
+    ? available.filter((extractor) => backends.includes(extractor.name))
+    : available;
+
+  const unknown = (backends || []).filter((name) => !available.some((e) => e.name === name));
+  if (unknown.length) {
+    throw new Error(`Unknown extractor backend(s): ${unknown.join(", ")}`);
+  }
+
+  const reports = [];
+  const skipped = [];
+
+  for (const { name, requiresNetwork } of selected) {
+    if (requiresNetwork && !includeNetwork) {
+      skipped.push({ backend: name, reason: "requires network access" });
+      continue;
+    }
+    reports.push(await benchmarkBackend(name, cases));
+  }
+
+  return { cases: cases.length, reports, skipped };
+}
@@ -0,0 +1,147 @@
+// src/extractors/classifier.js
+
+import { parsePriceMentions } from "./priceParser.js";
+
+/**
+ * Offline offer classifier. Every number in a message is scored with a
+ * small logistic model over hand-crafted context features; the most
+ * probable candidate above the threshold becomes the offer.
+ * Runs entirely in-process - no network access.
+ */
+
+const MODEL_VERSION = "1.2.0";
+const OFFER_THRESHOLD = 0.5;
+const WINDOW = 30; // characters of context on each side of a number
+
+// Feature weights (log-odds contributions)
+const WEIGHTS = {
+  bias: -0.6,
+  offerCue: 2.4,
+  roleVerb: 1.0,
+  rejectionCue: -0.8,
+  modelCue: -3.5,
+  unitSuffix: -2.5,
+  currencyMark: 1.2,
+  plausiblePrice: 0.8,
+  tinyNumber: -1.6,
+  question: 0.4,
+  wholeMessage: 2.0
+};
+
+const OFFER_CUES = [
+  "i can offer", "i offer", "offer you", "willing to pay", "i'll pay", "i can pay",
+  "how about", "what about", "thinking more like", "i was thinking",
+  "the least i can take", "i can take", "lowest i'll go", "minimum is",
+  "my final offer", "best i can do", "i'll accept", "deal at", "meet at",
+  "counter offer", "counteroffer", "i propose", "let's say", "settle for"
+];
+
+const ROLE_VERBS = ["sell", "pay", "take", "give", "buy", "do it for", "let it go"];
+
+const REJECTION_CUES = [
+  "too high", "too expensive", "too much", "can't afford", "way too",
+  "below asking", "far below", "not enough", "too low", "no way"
+];
+
+const MODEL_CUES = ["iphone", "galaxy", "series", "model", "version", "mark", "pro", "max", "mini", "plus", "ps"];
+
+const WHOLE_MESSAGE = /^[\s.!?,]*$/;
+
+const UNIT_SUFFIXES = /^\s*(%|percent|years?|months?|days?|hours?|minutes?|gb|tb|mb|inch|inches|items?|units?|pieces?|x\b)/;
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function includesAny(text, phrases) {
+  return phrases.find((phrase) => text.includes(phrase)) || null;
+}
+
+function featurize(text, mention) {
+  const { value, start, end } = mention;
+  const before = text.substring(Math.max(0, start - WINDOW), start).toLowerCase();
+  const after = text.substring(end, end + WINDOW).toLowerCase();
+  const lastWordBefore = before.trim().split(/\s+/).pop() || "";
+
+  return {
+    value,
+    before,
+    after,
+    features: {
+      offerCue: includesAny(before + " " + after, OFFER_CUES) ? 1 : 0,
+      roleVerb: includesAny(before, ROLE_VERBS) ? 1 : 0,
+      rejectionCue: includesAny(before + " " + after, REJECTION_CUES) ? 1 : 0,
+      modelCue: MODEL_CUES.includes(lastWordBefore) ? 1 : 0,
+      unitSuffix: UNIT_SUFFIXES.test(after) ? 1 : 0,
+      currencyMark: mention.hasCurrency ? 1 : 0,
+      plausiblePrice: value >= 10 && value <= 100000 ? 1 : 0,
+      tinyNumber: value < 10 ? 1 : 0,
+      question: after.includes("?") ? 1 : 0,
+      // A message that is nothing but the amount ("150k", "$5") is an offer
+      wholeMessage: WHOLE_MESSAGE.test(text.substring(0, start) + text.substring(end)) ? 1 : 0
+    }
+  };
+}
+
+function score(features) {
+  let logit = WEIGHTS.bias;
+  for (const [name, present] of Object.entries(features)) {
+    logit += (WEIGHTS[name] || 0) * present;
+  }
+  return sigmoid(logit);
+}
+
+export function classifyOffer(text, role) {
+  const candidates = [];
+
+  for (const mention of parsePriceMentions(text)) {
+    const { value, before, after, features } = featurize(text, mention);
+
+    const confidence = score(features);
+    const context = features.modelCue ? "model_number"
+      : features.unitSuffix ? "quantity"
+      : features.offerCue ? "offer_phrase"
+      : features.rejectionCue ? "rejection_context"
+      : "neutral";
+
+    candidates.push({
+      value,
+      raw: mention.raw,
+      currency: mention.currency,
+      span: { start: mention.start, end: mention.end },
+      context,
+      confidence: Math.round(confidence * 1000) / 1000,
+      surrounding: `${before} ${mention.raw} ${after}`.trim(),
+      features
+    });
+  }
+
+  const likely = candidates.filter((c) => c.confidence >= OFFER_THRESHOLD);
+  let chosen = null;
+
+  if (likely.length) {
+    const best = Math.max(...likely.map((c) => c.confidence));
+    const top = likely.filter((c) => c.confidence >= best - 0.05);
+    // Near-ties are broken the way each role tends to anchor
+    if (role === "A") chosen = top.reduce((a, b) => (b.value > a.value ? b : a));
+    else if (role === "B") chosen = top.reduce((a, b) => (b.value < a.value ? b : a));
+    else chosen = top[0];
+  }
+
+  const offer = chosen ? chosen.value : null;
+  return {
+    numbersFound: candidates,
+    offer,
+    offerSpan: chosen ? chosen.span : null,
+    rawModelOutput: null,
+    errorCause: candidates.length && offer === null ? "below_threshold" : null
+  };
+}
+
+export const classifierExtractor = {
+  name: "classifier",
+  version: MODEL_VERSION,
+  async extract(message, role) {
+    return classifyOffer(message, role);
+  }
+};
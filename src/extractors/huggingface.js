@@ -78,3 +78,14 @@ export async function extractOffer(message, role = "neutral") {
     errorCause,
   };
 }
+
+// Network-backed zero-shot classifier; needs HF_TOKEN and outbound access
+export const huggingFaceExtractor = {
+  name: "huggingface",
+  version: "bart-large-mnli",
+  requiresNetwork: true,
+  async extract(message, role) {
+    const roleName = role === "A" ? "seller" : role === "B" ? "buyer" : "neutral";
+    return extractOffer(message, roleName);
+  }
+};
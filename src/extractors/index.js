@@ -0,0 +1,50 @@
+// src/extractors/index.js
+
+import { regexExtractor } from "./regex.js";
+import { classifierExtractor } from "./classifier.js";
+import { manualExtractor } from "./manual.js";
+import { huggingFaceExtractor } from "./huggingface.js";
+import { resolveOfferExpressions } from "./resolver.js";
+
+/**
+ * Offer-extraction backends. Each exposes { name, version, extract(message, role, context) }
+ * and resolves to { offer, numbersFound, rawModelOutput, errorCause }.
+ * Backends that set `resolveExpressions: false` skip range/relative resolution.
+ */
+const EXTRACTORS = {
+  [regexExtractor.name]: regexExtractor,
+  [classifierExtractor.name]: classifierExtractor,
+  [manualExtractor.name]: manualExtractor,
+  [huggingFaceExtractor.name]: huggingFaceExtractor
+};
+
+export const DEFAULT_EXTRACTOR = regexExtractor.name;
+
+export function getExtractor(name) {
+  if (name && EXTRACTORS[name]) return EXTRACTORS[name];
+  if (name) {
+    console.warn(`⚠️ Unknown offer extractor "${name}", falling back to ${DEFAULT_EXTRACTOR}`);
+  }
+  return EXTRACTORS[DEFAULT_EXTRACTOR];
+}
+
+export function listExtractors() {
+  return Object.values(EXTRACTORS).map(({ name, version, requiresNetwork = false }) => ({ name, version, requiresNetwork }));
+}
+
+/**
+ * Run the named backend, resolve ranges and relative offers against the
+ * pair's standing offers, and tag the result with the backend that produced it
+ * @param {Object} context - { latestOffers, chatOffers } of the sender's pair
+ */
+export async function runExtractor(name, message, role, context = {}) {
+  const extractor = getExtractor(name);
+  let result = await extractor.extract(message, role, context);
+  if (extractor.resolveExpressions !== false) {
+    result = resolveOfferExpressions(message, role, result, context);
+  }
+  return {
+    ...result,
+    extractor: { name: extractor.name, version: extractor.version }
+  };
+}
@@ -0,0 +1,14 @@
+// src/extractors/manual.js
+
+/**
+ * Manual-only backend: never infers an offer from chat text, so offers
+ * come exclusively from the structured offer protocol.
+ */
+export const manualExtractor = {
+  name: "manual",
+  version: "1.0.0",
+  resolveExpressions: false,
+  async extract() {
+    return { numbersFound: [], offer: null, rawModelOutput: null, errorCause: "manual_only" };
+  }
+};
@@ -0,0 +1,167 @@
+// src/extractors/priceParser.js
+
+/**
+ * Finds price-like mentions in free text and normalises them to a number.
+ * Handles thousands separators ("1,250"), decimals ("499.99"), k/m suffixes
+ * ("1.2k"), currency symbols and codes ("€300", "300 USD") and English
+ * number words ("twelve hundred", "two fifty").
+ *
+ * Each mention is { value, raw, start, end, currency, hasCurrency, source }
+ * where start/end is the span of `raw` in the original text.
+ */
+
+const CURRENCY_SYMBOLS = { "$": "USD", "€": "EUR", "£": "GBP", "¥": "JPY" };
+
+const CURRENCY_WORDS = {
+  usd: "USD", dollar: "USD", dollars: "USD", buck: "USD", bucks: "USD",
+  eur: "EUR", euro: "EUR", euros: "EUR",
+  gbp: "GBP", pound: "GBP", pounds: "GBP", quid: "GBP"
+};
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, grand: 1e3, thousand: 1e3, million: 1e6, hundred: 100 };
+
+const SMALL_NUMBERS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const SCALE_WORDS = ["hundred", "thousand", "grand", "million"];
+
+const CURRENCY_WORD_PATTERN = Object.keys(CURRENCY_WORDS).join("|");
+const NUMBER_WORD_PATTERN = [...Object.keys(SMALL_NUMBERS), ...SCALE_WORDS].join("|");
+
+const NUMERIC_REGEX = new RegExp(
+  "(?<prefix>[$€£¥]\\s?|\\b(?:usd|eur|gbp)\\s?)?" +
+  "(?<number>\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?|\\.\\d+)" +
+  "(?:(?<multiplier>[km])\\b|\\s?(?<scale>grand|thousand|million|hundred)\\b)?" +
+  `(?<suffix>\\s?[$€£¥]|\\s?\\b(?:${CURRENCY_WORD_PATTERN})\\b)?`,
+  "gi"
+);
+
+const WORDS_REGEX = new RegExp(
+  "(?<prefix>[$€£¥]\\s?)?" +
+  `\\b(?<words>(?:a\\s+)?(?:${NUMBER_WORD_PATTERN})(?:(?:\\s+and\\s+|\\s+|-)(?:${NUMBER_WORD_PATTERN}))*)\\b` +
+  `(?<suffix>\\s+(?:${CURRENCY_WORD_PATTERN})\\b)?`,
+  "gi"
+);
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function currencyFrom(prefix, suffix) {
+  const token = (prefix || suffix || "").trim().toLowerCase();
+  if (!token) return null;
+  return CURRENCY_SYMBOLS[token] || CURRENCY_WORDS[token] || null;
+}
+
+/**
+ * Convert a sequence of English number words to a value
+ * e.g. ["twelve", "hundred"] -> 1200, ["two", "fifty"] -> 250
+ */
+export function wordsToNumber(words) {
+  let total = 0;
+  let current = 0;
+  let lastWasSmall = false;
+
+  for (const word of words) {
+    if (SMALL_NUMBERS[word] !== undefined) {
+      const value = SMALL_NUMBERS[word];
+      // Spoken prices: "two fifty" = 250, "twelve fifty" = 1250
+      if (lastWasSmall && current > 0 && current < 20 && value >= 10) {
+        current = current * 100 + value;
+      } else {
+        current += value;
+      }
+      lastWasSmall = true;
+    } else if (word === "hundred") {
+      current = (current || 1) * 100;
+      lastWasSmall = false;
+    } else if (word === "thousand" || word === "grand" || word === "million") {
+      total += (current || 1) * MULTIPLIERS[word];
+      current = 0;
+      lastWasSmall = false;
+    }
+  }
+
+  return total + current;
+}
+
+function parseNumericMatches(text) {
+  const mentions = [];
+  for (const match of text.matchAll(NUMERIC_REGEX)) {
+    const { prefix, number, multiplier, scale, suffix } = match.groups;
+    let value = parseFloat(number.replace(/,/g, ""));
+    if (Number.isNaN(value)) continue;
+    if (multiplier || scale) value *= MULTIPLIERS[(multiplier || scale).toLowerCase()];
+
+    const raw = match[0].replace(/\s+$/, "");
+    const currency = currencyFrom(prefix, suffix);
+    mentions.push({
+      value: roundCents(value),
+      raw,
+      start: match.index,
+      end: match.index + raw.length,
+      currency,
+      hasCurrency: currency !== null,
+      source: "numeric"
+    });
+  }
+  return mentions;
+}
+
+function parseWordMatches(text, taken) {
+  const mentions = [];
+  for (const match of text.matchAll(WORDS_REGEX)) {
+    const { prefix, words, suffix } = match.groups;
+    const tokens = words.toLowerCase().split(/\s+and\s+|\s+|-/).filter(Boolean);
+    let raw = match[0];
+    let start = match.index;
+
+    // "a" only counts as one before a scale word ("a thousand"), otherwise it is dropped
+    if (tokens[0] === "a") {
+      if (SCALE_WORDS.includes(tokens[1])) {
+        tokens[0] = "one";
+      } else {
+        if (prefix) continue;
+        tokens.shift();
+        const article = raw.match(/^a\s+/i)[0];
+        raw = raw.slice(article.length);
+        start += article.length;
+      }
+    }
+
+    const end = start + raw.length;
+    if (taken.some((m) => start < m.end && end > m.start)) continue;
+
+    const currency = currencyFrom(prefix, suffix);
+    const value = wordsToNumber(tokens);
+    // A lone small word ("one", "two") is almost never a price
+    if (tokens.length === 1 && value < 10 && !currency) continue;
+
+    mentions.push({
+      value,
+      raw,
+      start,
+      end,
+      currency,
+      hasCurrency: currency !== null,
+      source: "words"
+    });
+  }
+  return mentions;
+}
+
+/**
+ * Find every price-like mention in a message
+ * @param {string} text
+ * @returns {Array} mentions ordered by position
+ */
+export function parsePriceMentions(text) {
+  if (!text) return [];
+  const numeric = parseNumericMatches(text);
+  const words = parseWordMatches(text, numeric);
+  return [...numeric, ...words].sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,157 @@
+// src/extractors/regex.js
+
+import { parsePriceMentions } from "./priceParser.js";
+
+// --- Improved offer extraction with contextual analysis ---
+export function extractNumbersWithRegex(text, role) {
+  const mentions = parsePriceMentions(text);
+
+  // Product/model indicators
+  const productWords = ["iphone", "galaxy", "series", "model", "version", "mark", "pro", "max", "mini", "plus"];
+  
+  // Offer context indicators (strong signals for actual offers)
+  const offerPhrases = [
+    "i can offer", "i offer", "offer you", "willing to pay", "i'll pay", "i can pay",
+    "thinking more like", "how about", "what about", "i was thinking",
+    "the least i can take", "i can take", "lowest i'll go", "minimum is",
+    "my final offer", "best i can do", "i'll accept", "deal at",
+    "counter offer", "counteroffer", "i propose"
+  ];
+
+  // Rejection context indicators
+  const rejectionPhrases = [
+    "too high", "too expensive", "too much", "can't afford", "way too",
+    "below asking", "far below", "not enough", "too low"
+  ];
+
+  const numbers = mentions.map((mention) => {
+    const { value, start, end } = mention;
+    const match = mention.raw;
+    let confidence = 0.3; // Base confidence
+    let context = "neutral";
+
+    // Get surrounding text (30 chars before and after)
+    const before = text.substring(Math.max(0, start - 30), start).toLowerCase();
+    const after = text.substring(end, end + 30).toLowerCase();
+    const surrounding = before + " " + match.toLowerCase() + " " + after;
+
+    // Check if it's likely a model number
+    let isLikelyModel = false;
+    for (const product of productWords) {
+      // Check if product word appears right before the number
+      if (before.endsWith(product + " ") || before.includes(product + " " + match.toLowerCase())) {
+        isLikelyModel = true;
+        confidence = 0.05;
+        context = "model_number";
+        console.log(`⚠️ Detected model number: ${value} (near "${product}")`);
+        break;
+      }
+    }
+
+    if (!isLikelyModel) {
+      // Check for strong offer context
+      for (const phrase of offerPhrases) {
+        if (surrounding.includes(phrase)) {
+          confidence = 0.9;
+          context = "offer_phrase";
+          console.log(`✅ Strong offer context: ${value} (phrase: "${phrase}")`);
+          break;
+        }
+      }
+
+      // Check for rejection context (still might be a reference price)
+      if (confidence < 0.9) {
+        for (const phrase of rejectionPhrases) {
+          if (surrounding.includes(phrase)) {
+            // If it's in rejection context, lower confidence but don't eliminate
+            confidence = Math.max(confidence * 0.7, 0.2);
+            context = "rejection_context";
+            console.log(`⚠️ Rejection context: ${value} (phrase: "${phrase}")`);
+            break;
+          }
+        }
+      }
+
+      // Boost confidence for explicit currency ($300, 300 dollars, €300)
+      if (mention.hasCurrency) {
+        confidence *= 1.3;
+        console.log(`💰 Currency boost: ${value}`);
+      }
+
+      // Reasonable price range check
+      if (value >= 50 && value <= 10000) {
+        confidence *= 1.2;
+      } else if (value < 10) {
+        confidence *= 0.3; // Very low numbers are unlikely to be prices
+      } else if (value > 10000) {
+        confidence *= 0.7; // Very high numbers might be less likely
+      }
+    }
+
+    return {
+      value,
+      raw: match,
+      currency: mention.currency,
+      span: { start, end },
+      context,
+      confidence,
+      surrounding: surrounding.trim()
+    };
+  });
+
+  // Find the best offer based on confidence and context
+  let offer = null;
+  let chosen = null;
+  if (numbers.length) {
+    // Sort by confidence, then by contextual relevance
+    const validNumbers = numbers.filter(n => n.confidence > 0.1);
+    
+    if (validNumbers.length > 0) {
+      // First, try to find numbers with strong offer context
+      const strongOffers = validNumbers.filter(n => n.context === "offer_phrase");
+      
+      if (strongOffers.length > 0) {
+        // Use the offer with highest confidence from strong offers
+        chosen = strongOffers.reduce((best, current) => 
+          current.confidence > best.confidence ? current : best
+        );
+      } else {
+        // No strong offers, use role-based logic with confidence weighting
+        const sortedByConfidence = validNumbers.sort((a, b) => b.confidence - a.confidence);
+        
+        if (role === "A") {
+          // Seller: prefer higher values among confident ones
+          const topConfident = sortedByConfidence.filter(n => n.confidence >= sortedByConfidence[0].confidence * 0.8);
+          chosen = topConfident.reduce((best, current) => current.value > best.value ? current : best);
+        } else if (role === "B") {
+          // Buyer: prefer lower values among confident ones
+          const topConfident = sortedByConfidence.filter(n => n.confidence >= sortedByConfidence[0].confidence * 0.8);
+          chosen = topConfident.reduce((best, current) => current.value < best.value ? current : best);
+        } else {
+          // No role: use most confident
+          chosen = sortedByConfidence[0];
+        }
+      }
+
+      offer = chosen.value;
+      
+      console.log(`🎯 Final offer: ${offer} (from ${validNumbers.length} candidates)`);
+    }
+  }
+
+  return {
+    numbersFound: numbers,
+    offer,
+    offerSpan: chosen ? chosen.span : null,
+    rawModelOutput: null,
+    errorCause: "regex_only"
+  };
+}
+
+export const regexExtractor = {
+  name: "regex",
+  version: "1.1.0",
+  async extract(message, role) {
+    return extractNumbersWithRegex(message, role);
+  }
+};
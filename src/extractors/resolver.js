@@ -0,0 +1,221 @@
+// src/extractors/resolver.js
+
+import { parsePriceMentions } from "./priceParser.js";
+
+/**
+ * Second pass over a backend result that understands offers which are not a
+ * single number:
+ *   ranges    - "between 400 and 450", "400-450", "from 400 to 450"
+ *   relative  - "50 less", "knock 50 off your last price", "10% more"
+ * Relative offers are resolved against a standing offer in
+ * `context.latestOffers` (falling back to the last chat offer): the one named
+ * ("my offer", "your price"), else the sender's own for a concession (the
+ * seller going lower, the buyer going higher), else the partner's.
+ *
+ * Adds { offerRange, resolution, confidence } to the result, where
+ * resolution is { type, confidence, ... } and type is one of
+ * "point" | "range" | "relative" | "unresolved_relative" | "none".
+ */
+
+const RANGE_CONNECTOR = /^\s*(?:-|–|—|to|and)\s*$/i;
+const RANGE_OPENER = /\b(?:between|from|somewhere|anywhere|range of)\s*$/i;
+
+const DECREASE_AFTER = /^\s*(?<percent>%|percent)?\s*(?:less|lower|cheaper|off|down)\b/i;
+const INCREASE_AFTER = /^\s*(?<percent>%|percent)?\s*(?:more|higher|extra)\b/i;
+const DECREASE_BEFORE = /\b(?:knock|take|cut|drop|shave|come down|go down|reduce it|lower it)(?:\s+(?:it|off))?(?:\s+by)?\s*$/i;
+const INCREASE_BEFORE = /\b(?:add|raise it|go up|come up|bump it up|increase it)(?:\s+by)?\s*$/i;
+
+const OWN_REFERENCE = /\b(?:my|our)\s+(?:last\s+|previous\s+|current\s+)?(?:offer|price|number|bid|ask)\b/i;
+const PARTNER_REFERENCE = /\b(?:your|you're|that|the)\s+(?:last\s+|previous\s+|current\s+)?(?:offer|price|number|bid|ask)\b/i;
+
+const CONFIDENCE = {
+  explicitRange: 0.85,
+  dashRange: 0.7,
+  explicitReference: 0.8,
+  implicitReference: 0.6
+};
+
+function otherRole(role) {
+  return role === "A" ? "B" : "A";
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function clampConfidence(value) {
+  if (typeof value !== "number" || Number.isNaN(value)) return null;
+  return Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+}
+
+function findRange(text, mentions) {
+  for (let i = 0; i < mentions.length - 1; i++) {
+    const low = mentions[i];
+    const high = mentions[i + 1];
+    const between = text.slice(low.end, high.start);
+    if (!RANGE_CONNECTOR.test(between)) continue;
+
+    const before = text.slice(Math.max(0, low.start - 20), low.start);
+    const opener = before.match(RANGE_OPENER);
+    // "400 and 450" is only a range when introduced by "between"/"from"
+    if (/and/i.test(between) && !opener) continue;
+
+    const min = Math.min(low.value, high.value);
+    const max = Math.max(low.value, high.value);
+    if (min === max) continue;
+
+    return {
+      min,
+      max,
+      span: { start: opener ? low.start - opener[0].length : low.start, end: high.end },
+      confidence: opener ? CONFIDENCE.explicitRange : CONFIDENCE.dashRange
+    };
+  }
+  return null;
+}
+
+function findRelative(text, mentions) {
+  for (const mention of mentions) {
+    const before = text.slice(Math.max(0, mention.start - 25), mention.start);
+    const after = text.slice(mention.end, mention.end + 25);
+
+    let direction = 0;
+    let percent = false;
+    let spanStart = mention.start;
+    let spanEnd = mention.end;
+
+    const decreaseAfter = after.match(DECREASE_AFTER);
+    const increaseAfter = after.match(INCREASE_AFTER);
+    const decreaseBefore = before.match(DECREASE_BEFORE);
+    const increaseBefore = before.match(INCREASE_BEFORE);
+
+    if (decreaseAfter || increaseAfter) {
+      const cue = decreaseAfter || increaseAfter;
+      direction = decreaseAfter ? -1 : 1;
+      percent = Boolean(cue.groups.percent);
+      spanEnd = mention.end + cue[0].length;
+    } else if (decreaseBefore || increaseBefore) {
+      const cue = decreaseBefore || increaseBefore;
+      direction = decreaseBefore ? -1 : 1;
+      percent = /^\s*(%|percent)/i.test(after);
+      spanStart = mention.start - cue[0].length;
+    }
+
+    if (direction !== 0) {
+      return { amount: mention.value, direction, percent, span: { start: spanStart, end: spanEnd } };
+    }
+  }
+  return null;
+}
+
+// A seller (A) lowering or a buyer (B) raising a price is moving from their own offer
+function isConcession(role, direction) {
+  return (role === "A" && direction < 0) || (role === "B" && direction > 0);
+}
+
+function referenceOffer(text, role, context, direction) {
+  const explicitOwn = OWN_REFERENCE.test(text);
+  const explicitPartner = PARTNER_REFERENCE.test(text);
+  const ownReference = explicitOwn || explicitPartner
+    ? explicitOwn && !explicitPartner
+    : isConcession(role, direction);
+  const referenceRole = ownReference ? role : otherRole(role);
+
+  const structured = context.latestOffers?.[referenceRole];
+  const chat = context.chatOffers?.[referenceRole];
+  const value = typeof structured === "number" ? structured : typeof chat === "number" ? chat : null;
+
+  return {
+    role: referenceRole,
+    value,
+    source: typeof structured === "number" ? "latestOffers" : typeof chat === "number" ? "chatOffers" : null,
+    explicit: explicitOwn || explicitPartner
+  };
+}
+
+function chosenConfidence(result) {
+  if (!result.offerSpan || !Array.isArray(result.numbersFound)) return null;
+  const chosen = result.numbersFound.find((n) =>
+    n.span && n.span.start === result.offerSpan.start && n.span.end === result.offerSpan.end
+  );
+  return chosen ? clampConfidence(chosen.confidence) : null;
+}
+
+/**
+ * Apply range and relative-offer resolution to a backend result
+ * @param {string} message - chat message
+ * @param {string} role - sender's role ("A" | "B")
+ * @param {Object} result - backend output ({ offer, offerSpan, numbersFound, ... })
+ * @param {Object} context - { latestOffers, chatOffers } of the sender's pair
+ */
+export function resolveOfferExpressions(message, role, result, context = {}) {
+  const mentions = parsePriceMentions(message);
+
+  const range = findRange(message, mentions);
+  if (range) {
+    return {
+      ...result,
+      offer: roundCents((range.min + range.max) / 2),
+      offerRange: { min: range.min, max: range.max },
+      offerSpan: range.span,
+      confidence: range.confidence,
+      resolution: { type: "range", confidence: range.confidence, min: range.min, max: range.max }
+    };
+  }
+
+  const relative = findRelative(message, mentions);
+  if (relative) {
+    const reference = referenceOffer(message, role, context, relative.direction);
+    if (reference.value === null) {
+      return {
+        ...result,
+        offer: null,
+        offerRange: null,
+        offerSpan: relative.span,
+        confidence: null,
+        errorCause: "no_reference_offer",
+        resolution: {
+          type: "unresolved_relative",
+          confidence: null,
+          delta: relative.direction * relative.amount,
+          percent: relative.percent,
+          referenceRole: reference.role
+        }
+      };
+    }
+
+    const change = relative.percent ? reference.value * relative.amount / 100 : relative.amount;
+    const offer = roundCents(reference.value + relative.direction * change);
+    const confidence = reference.explicit ? CONFIDENCE.explicitReference : CONFIDENCE.implicitReference;
+
+    if (offer > 0) {
+      return {
+        ...result,
+        offer,
+        offerRange: null,
+        offerSpan: relative.span,
+        confidence,
+        resolution: {
+          type: "relative",
+          confidence,
+          delta: roundCents(relative.direction * change),
+          percent: relative.percent,
+          referenceRole: reference.role,
+          referenceValue: reference.value,
+          referenceSource: reference.source
+        }
+      };
+    }
+  }
+
+  const confidence = result.offer !== null && result.offer !== undefined ? chosenConfidence(result) : null;
+  return {
+    ...result,
+    offerRange: null,
+    confidence,
+    resolution: {
+      type: result.offer !== null && result.offer !== undefined ? "point" : "none",
+      confidence
+    }
+  };
+}
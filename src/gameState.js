@@ -0,0 +1,299 @@
+// src/gameState.js
+
+import { state } from "./datastore.js";
+import { persistence } from "./persistence.js";
+import { createUserRecord } from "./users.js";
+import { createRoomRecord } from "./rooms.js";
+import { createJoinCodeRecord, createSessionRecord, generateCode, sessionCoversRoom } from "./sessions.js";
+import { nowISO, uid } from "./utils.js";
+
+/**
+ * Game-state service: the one place live rooms, users, pairs,
+ * experimental sessions and their join codes are kept, and the way survey
+ * responses are recorded.
+ *
+ * Socket handlers and the src/ helpers (results, moderator overview,
+ * surveys) share the objects in `state`. Changes that must survive a
+ * restart go through the save* functions, which update the live object
+ * and write it through to PostgreSQL. Database errors are thrown so each
+ * caller decides how to report them.
+ */
+
+export const { users, rooms, pairs, sessions, joinCodes } = state;
+
+// --- Users ---
+
+/**
+ * Create a user, stored in the database when possible
+ * @param {Object} fields - { name, roomId, surveyResponses, isBot, ... }
+ * @param {Object} options
+ * @param {boolean} options.allowOffline - keep going with a local id when the database is unavailable
+ */
+export async function createUser(fields, { allowOffline = false } = {}) {
+  const { surveyResponses = null, surveyCompleted = false, ...rest } = fields;
+  let id;
+  try {
+    const stored = await persistence.createUser({ ...rest, surveyResponses, surveyCompleted });
+    id = stored.id;
+  } catch (error) {
+    if (!allowOffline) throw error;
+    console.error(`❌ Failed to save user ${fields.name} to database:`, error);
+    id = uid();
+  }
+
+  return addUser(createUserRecord({ ...rest, id, surveyResponses, surveyCompleted }));
+}
+
+export function addUser(user) {
+  users[user.id] = user;
+  return user;
+}
+
+/**
+ * Live user, loaded back from the database when it predates a restart
+ */
+export async function loadUser(userId) {
+  if (!userId) return null;
+  if (users[userId]) return users[userId];
+
+  let stored = null;
+  try {
+    stored = await persistence.getUser(userId);
+  } catch (error) {
+    console.error("❌ Failed to load user from database:", error);
+  }
+  if (!stored) return null;
+
+  // Another handler may have loaded the same user meanwhile
+  if (!users[userId]) {
+    const user = createUserRecord(stored);
+    // Active pairs are rehydrated at startup; a seat in any other pair is over
+    if (user.pairId && pairs[user.pairId]?.status !== "active") user.pairId = null;
+    addUser(user);
+    console.log(`♻️ Restored user ${stored.name} from the database`);
+  }
+  return users[userId];
+}
+
+/**
+ * Participant who already entered with this panel id, if any
+ * @param {string|null} sessionId - null = outside any session
+ */
+export async function findParticipant(sessionId, externalId) {
+  const live = Object.values(users).find((user) =>
+    user.externalId === externalId && (user.sessionId || null) === sessionId
+  );
+  if (live) return live;
+
+  let stored = null;
+  try {
+    stored = await persistence.getUserByExternalId(sessionId, externalId);
+  } catch (error) {
+    console.error("❌ Failed to look up participant in database:", error);
+  }
+  return stored ? loadUser(stored.id) : null;
+}
+
+export async function saveUser(userId, updates) {
+  if (users[userId]) Object.assign(users[userId], updates);
+  await persistence.updateUser(userId, updates);
+  return users[userId];
+}
+
+export function removeUser(userId) {
+  delete users[userId];
+}
+
+/**
+ * Record a user's answers to a survey instrument
+ * @param {Object} submission - { instrument, trigger, pairId, roundNumber, responses, attentionChecksFailed }
+ */
+export async function saveSurveyResponse(user, { instrument, trigger, pairId = null, roundNumber = null, responses, attentionChecksFailed = [] }) {
+  user.surveysSubmitted.push({ instrument, trigger, pairId });
+  user.pendingSurveys = user.pendingSurveys.filter((pending) =>
+    pending.instrument !== instrument || pending.pairId !== pairId
+  );
+
+  const record = {
+    userId: user.id,
+    instrument,
+    pairId,
+    roundNumber,
+    sessionId: user.sessionId,
+    treatmentId: user.treatmentId,
+    responses,
+    attentionChecksFailed,
+    submittedAt: nowISO()
+  };
+  await persistence.saveSurveyResponse(record);
+  await persistence.updateUser(user.id, {
+    surveysSubmitted: user.surveysSubmitted,
+    pendingSurveys: user.pendingSurveys
+  });
+  return record;
+}
+
+// --- Rooms ---
+
+export function ensureRoom(roomId) {
+  if (!rooms[roomId]) rooms[roomId] = createRoomRecord(roomId);
+  return rooms[roomId];
+}
+
+/**
+ * Empty a room: its users and pairs leave the live state
+ */
+export function resetRoom(roomId) {
+  (rooms[roomId]?.users || []).forEach((user) => removeUser(user.id));
+  pairsInRoom(roomId).forEach((pair) => removePair(pair.id));
+  rooms[roomId] = createRoomRecord(roomId);
+  return rooms[roomId];
+}
+
+export async function saveRoom(roomId, updates) {
+  if (rooms[roomId]) Object.assign(rooms[roomId], updates);
+  await persistence.updateRoom(roomId, updates);
+  return rooms[roomId];
+}
+
+// --- Pairs ---
+
+export function pairsInRoom(roomId) {
+  return Object.values(pairs).filter((pair) => pair.roomId === roomId);
+}
+
+/**
+ * Register a new pair and store its row
+ */
+export async function addPair(pair) {
+  pairs[pair.id] = pair;
+  await persistence.createPair({
+    id: pair.id,
+    roomId: pair.roomId,
+    userA: pair.userA,
+    userB: pair.userB,
+    product: pair.product,
+    roundNumber: pair.roundNumber,
+    reservationValues: pair.reservationValues,
+    briefings: pair.briefings,
+    sessionId: pair.sessionId,
+    treatmentId: pair.treatmentId
+  });
+  return pair;
+}
+
+export async function savePair(pairId, updates) {
+  if (pairs[pairId]) Object.assign(pairs[pairId], updates);
+  await persistence.updatePair(pairId, updates);
+  return pairs[pairId];
+}
+
+export function removePair(pairId) {
+  delete pairs[pairId];
+}
+
+// --- Sessions ---
+
+/**
+ * Open an experimental session, stored in the database when possible
+ * @param {Object} fields - { code, name, kind, assignment, treatments, roomIds }
+ * @param {Object} options
+ * @param {boolean} options.allowOffline - keep going with a local id when the database is unavailable
+ */
+export async function createSession(fields, { allowOffline = false } = {}) {
+  const session = createSessionRecord(fields);
+  try {
+    const stored = await persistence.createSession(session);
+    session.id = stored.id;
+  } catch (error) {
+    if (!allowOffline) throw error;
+    console.error(`❌ Failed to save session ${fields.code} to database:`, error);
+    session.id = uid();
+  }
+
+  sessions[session.id] = session;
+  return session;
+}
+
+/**
+ * Load every stored session, e.g. after a restart
+ */
+export async function loadSessions() {
+  const stored = await persistence.getSessions();
+  stored.forEach((session) => {
+    sessions[session.id] = createSessionRecord(session);
+  });
+  return Object.values(sessions);
+}
+
+export function findSessionByCode(code) {
+  return Object.values(sessions).find((session) => session.code === code) || null;
+}
+
+/**
+ * The open session new players in a room are enrolled in, if any
+ */
+export function openSessionForRoom(roomId) {
+  return Object.values(sessions).find((session) => sessionCoversRoom(session, roomId)) || null;
+}
+
+export async function saveSession(sessionId, updates) {
+  if (sessions[sessionId]) Object.assign(sessions[sessionId], updates);
+  await persistence.updateSession(sessionId, updates);
+  return sessions[sessionId];
+}
+
+// --- Join codes ---
+
+/**
+ * Generate join codes for a session
+ * @param {Object} options
+ * @param {number} options.count
+ * @param {boolean} options.singleUse - one participant per code, or shared
+ * @param {boolean} options.allowOffline - keep the codes in memory when the database is unavailable
+ */
+export async function createJoinCodes(sessionId, { count = 1, singleUse = true, allowOffline = false } = {}) {
+  const created = [];
+  while (created.length < count) {
+    const code = generateCode();
+    if (joinCodes[code]) continue;
+
+    const joinCode = createJoinCodeRecord({ code, sessionId, singleUse });
+    try {
+      await persistence.createJoinCode(joinCode);
+    } catch (error) {
+      if (!allowOffline) throw error;
+      console.error(`❌ Failed to save join code ${code} to database:`, error);
+    }
+    joinCodes[code] = joinCode;
+    created.push(joinCode);
+  }
+  return created;
+}
+
+/**
+ * Load every stored join code, e.g. after a restart
+ */
+export async function loadJoinCodes() {
+  const stored = await persistence.getJoinCodes();
+  stored.forEach((joinCode) => {
+    joinCodes[joinCode.code] = createJoinCodeRecord(joinCode);
+  });
+  return Object.values(joinCodes);
+}
+
+// Codes are shown in capitals but accepted in any case
+export function findJoinCode(code) {
+  if (!code) return null;
+  return joinCodes[String(code).trim().toUpperCase()] || null;
+}
+
+export function joinCodesForSession(sessionId) {
+  return Object.values(joinCodes).filter((joinCode) => joinCode.sessionId === sessionId);
+}
+
+export async function saveJoinCode(code, updates) {
+  if (joinCodes[code]) Object.assign(joinCodes[code], updates);
+  await persistence.updateJoinCode(code, updates);
+  return joinCodes[code];
+}
@@ -0,0 +1,182 @@
+// src/issues.js
+
+/**
+ * Multi-issue (integrative) negotiation.
+ *
+ * A product may define `issues`, each with its options and a private point
+ * schedule per role (A = Seller, B = Buyer), aligned with the options:
+ *   { id: "warranty", label: "Warranty (months)", options: [12, 24, 36],
+ *     points: { A: [10, 5, 0], B: [0, 20, 40] } }
+ * Options are plain values or { value, label }. A proposal ("terms") picks
+ * one option value per issue: { price: 1000, warranty: 24, ... }.
+ */
+
+const MAX_OUTCOMES = 100000; // cap for the exhaustive Pareto search
+
+function optionValue(option) {
+  return option !== null && typeof option === "object" ? option.value : option;
+}
+
+function optionIndex(issue, value) {
+  return issue.options.findIndex((option) => optionValue(option) === value);
+}
+
+export function isMultiIssue(product) {
+  return Array.isArray(product?.issues) && product.issues.length > 0;
+}
+
+/**
+ * Check an issue config; returns a list of problems (empty when valid)
+ */
+export function validateIssues(issues) {
+  const problems = [];
+  const seen = new Set();
+
+  (issues || []).forEach((issue, i) => {
+    const name = issue?.id || `issue #${i + 1}`;
+    if (!issue?.id) problems.push(`${name}: missing id`);
+    if (seen.has(issue?.id)) problems.push(`${name}: duplicate id`);
+    seen.add(issue?.id);
+
+    if (!Array.isArray(issue?.options) || issue.options.length === 0) {
+      problems.push(`${name}: needs at least one option`);
+      return;
+    }
+
+    ["A", "B"].forEach((role) => {
+      const schedule = issue.points?.[role];
+      if (!Array.isArray(schedule) || schedule.length !== issue.options.length) {
+        problems.push(`${name}: points.${role} must list one score per option`);
+      } else if (schedule.some((points) => typeof points !== "number")) {
+        problems.push(`${name}: points.${role} must be numbers`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a proposal against the product's issues
+ * @returns {Object} { ok: true, terms } or { ok: false, error }
+ */
+export function validateTerms(product, terms) {
+  if (!isMultiIssue(product)) return { ok: false, error: "This product has no negotiable issues" };
+  if (!terms || typeof terms !== "object") return { ok: false, error: "Proposal must set every issue" };
+
+  const normalized = {};
+  for (const issue of product.issues) {
+    if (!(issue.id in terms)) return { ok: false, error: `Proposal is missing ${issue.label || issue.id}` };
+
+    // Values may arrive as strings from form inputs
+    let value = terms[issue.id];
+    if (optionIndex(issue, value) === -1 && typeof value === "string" && value.trim() !== "") {
+      const numeric = Number(value);
+      if (!Number.isNaN(numeric)) value = numeric;
+    }
+    if (optionIndex(issue, value) === -1) {
+      return { ok: false, error: `Invalid option for ${issue.label || issue.id}` };
+    }
+    normalized[issue.id] = value;
+  }
+
+  return { ok: true, terms: normalized };
+}
+
+/**
+ * Points each role earns from a set of terms
+ * @returns {Object} { A, B, joint }
+ */
+export function scoreTerms(issues, terms) {
+  let a = 0;
+  let b = 0;
+  for (const issue of issues) {
+    const index = optionIndex(issue, terms[issue.id]);
+    if (index === -1) continue;
+    a += issue.points.A[index];
+    b += issue.points.B[index];
+  }
+  return { A: a, B: b, joint: a + b };
+}
+
+/**
+ * Every possible agreement with its scores (cartesian product of options)
+ */
+export function enumerateOutcomes(issues) {
+  const total = issues.reduce((count, issue) => count * issue.options.length, 1);
+  if (total > MAX_OUTCOMES) return null;
+
+  let outcomes = [{}];
+  for (const issue of issues) {
+    const next = [];
+    for (const partial of outcomes) {
+      for (const option of issue.options) {
+        next.push({ ...partial, [issue.id]: optionValue(option) });
+      }
+    }
+    outcomes = next;
+  }
+
+  return outcomes.map((terms) => ({ terms, scores: scoreTerms(issues, terms) }));
+}
+
+function dominates(x, y) {
+  return x.A >= y.A && x.B >= y.B && (x.A > y.A || x.B > y.B);
+}
+
+/**
+ * Outcomes that no other outcome improves for one role without hurting the other
+ */
+export function paretoFrontier(issues) {
+  const outcomes = enumerateOutcomes(issues);
+  if (!outcomes) return null;
+  return outcomes.filter((candidate) => !outcomes.some((other) => dominates(other.scores, candidate.scores)));
+}
+
+/**
+ * Score an agreement and measure it against the Pareto frontier
+ * @param {Object} product - product config with issues
+ * @param {Object} terms - agreed option per issue
+ * @returns {Object|null} { scores, jointGain, maxJointGain, efficiency, paretoOptimal, distanceToFrontier }
+ */
+export function analyzeAgreement(product, terms) {
+  if (!isMultiIssue(product) || !terms) return null;
+
+  const scores = scoreTerms(product.issues, terms);
+  const frontier = paretoFrontier(product.issues);
+  if (!frontier) {
+    return { scores, jointGain: scores.joint, maxJointGain: null, efficiency: null, paretoOptimal: null, distanceToFrontier: null };
+  }
+
+  const maxJointGain = Math.max(...frontier.map((outcome) => outcome.scores.joint));
+  const paretoOptimal = !frontier.some((outcome) => dominates(outcome.scores, scores));
+  // Smallest joint-point improvement available from a frontier outcome that dominates this one
+  const improvements = frontier
+    .filter((outcome) => dominates(outcome.scores, scores))
+    .map((outcome) => outcome.scores.joint - scores.joint);
+
+  return {
+    scores,
+    jointGain: scores.joint,
+    maxJointGain,
+    efficiency: maxJointGain > 0 ? Math.round((scores.joint / maxJointGain) * 1000) / 1000 : null,
+    paretoOptimal,
+    distanceToFrontier: improvements.length ? Math.min(...improvements) : 0
+  };
+}
+
+/**
+ * Issues as one role may see them: options plus only that role's own points
+ */
+export function issuesForRole(product, role) {
+  if (!isMultiIssue(product)) return null;
+  return product.issues.map((issue) => ({
+    id: issue.id,
+    label: issue.label || issue.id,
+    options: issue.options.map((option) => ({
+      value: optionValue(option),
+      label: option !== null && typeof option === "object" ? option.label ?? String(option.value) : String(option)
+    })),
+    points: issue.points?.[role] ? [...issue.points[role]] : null
+  }));
+}
@@ -1,46 +1,54 @@
 import { state } from "./datastore.js";
 
 export function getRoomOverview(roomId) {
-  const room = state.rooms.get(roomId);
+  const room = state.rooms[roomId];
   if (!room) return { roomId, missing: true };
 
-  const pairs = [];
-  room.activePairs.forEach((pairId) => {
-    const pair = state.pairs.get(pairId);
-    if (!pair) return;
-    const [u1, u2] = pair.users.map((id) => state.users.get(id));
-    pairs.push({
-      pairId,
-      users: [
-        { id: u1?.id, role: u1?.role, roundsCompleted: u1?.roundsCompleted },
-        { id: u2?.id, role: u2?.role, roundsCompleted: u2?.roundsCompleted }
-      ],
-      item: pair.item,
+  const roomPairs = Object.values(state.pairs).filter((pair) => pair.roomId === roomId);
+  const pairs = roomPairs
+    .filter((pair) => pair.status === "active")
+    .map((pair) => ({
+      pairId: pair.id,
+      users: [pair.userA, pair.userB].map((u) => ({
+        id: u.id, role: u.role, roundsCompleted: u.completedRounds || 0, isBot: !!u.isBot
+      })),
+      item: pair.product?.name || null,
+      roundNumber: pair.roundNumber ?? null,
+      treatmentId: pair.treatmentId || null,
       latestOffers: pair.latestOffers,
       finalDeal: pair.finalDeal
-    });
-  });
+    }));
 
-  // survey tallies
+  // survey tallies: entry survey, and the exit (sessionEnd) instrument
   let pre = 0, post = 0;
-  room.users.forEach((uid) => {
-    const u = state.users.get(uid);
-    if (u?.preSurvey?.completed) pre += 1;
-    if (u?.postSurvey?.completed) post += 1;
+  room.users.forEach((u) => {
+    if (u?.surveyCompleted) pre += 1;
+    if (u?.surveysSubmitted?.some((submitted) => submitted.trigger === "sessionEnd")) post += 1;
+  });
+
+  const negotiating = (u) => u.pairId && state.pairs[u.pairId]?.status === "active";
+
+  // players per treatment of the room's session
+  const treatmentCounts = {};
+  room.users.filter((u) => !u.isBot && u.treatmentId).forEach((u) => {
+    treatmentCounts[u.treatmentId] = (treatmentCounts[u.treatmentId] || 0) + 1;
   });
 
   return {
-    roomId: room.id,
-    roomName: room.name,
-    roundNumber: room.roundNumber,
-    usersCount: room.users.size,
-    waitingCount: room.waitingQueue.length,
+    roomId,
+    roomName: roomId,
+    roundNumber: room.currentRound || 0,
+    status: room.status || "waiting",
+    usersCount: room.users.length,
+    waitingCount: room.users.filter((u) => !u.isBot && !negotiating(u)).length,
     preSurveyComplete: pre,
     postSurveyComplete: post,
+    completedPairs: roomPairs.filter((pair) => pair.status === "completed").length,
+    treatmentCounts,
     activePairs: pairs
   };
 }
 
 export function getAllRoomsOverview() {
-  return Array.from(state.rooms.keys()).map((rid) => getRoomOverview(rid));
+  return Object.keys(state.rooms).map((rid) => getRoomOverview(rid));
 }
@@ -0,0 +1,136 @@
+import { uid, nowISO } from "./utils.js";
+
+/**
+ * Structured offer protocol for a pair.
+ * Offers live on pair.offers; pair.latestOffers mirrors the most recent
+ * standing offer of each role (A = Seller, B = Buyer).
+ *
+ * In multi-issue pairs an offer also carries `terms` (one option per issue,
+ * validated by the caller); `amount` is then the price term, if any.
+ *
+ * Every action returns { ok: true, offer, updated } on success, where
+ * `updated` lists every offer record whose status changed, or
+ * { ok: false, error } when the action is not allowed.
+ */
+
+const OPEN = "open";
+
+function otherRole(role) {
+  return role === "A" ? "B" : "A";
+}
+
+function ensureOfferBook(pair) {
+  if (!pair.offers) pair.offers = [];
+  if (!pair.latestOffers) pair.latestOffers = { A: null, B: null };
+}
+
+function validateRole(role) {
+  return role === "A" || role === "B";
+}
+
+function validateAmount(amount) {
+  return typeof amount === "number" && Number.isFinite(amount) && amount > 0;
+}
+
+function findOffer(pair, offerId) {
+  return pair.offers.find((offer) => offer.id === offerId) || null;
+}
+
+function closeOffer(offer, status, role) {
+  offer.status = status;
+  offer.respondedAt = nowISO();
+  offer.respondedByRole = role;
+  return offer;
+}
+
+export function getOpenOffer(pair, role) {
+  ensureOfferBook(pair);
+  for (let i = pair.offers.length - 1; i >= 0; i--) {
+    const offer = pair.offers[i];
+    if (offer.role === role && offer.status === OPEN) return offer;
+  }
+  return null;
+}
+
+/**
+ * Put a new offer on the table. Any earlier open offer by the same role is superseded.
+ */
+export function proposeOffer(pair, { role, userId, amount, terms = null, parentId = null }) {
+  ensureOfferBook(pair);
+  if (!validateRole(role)) return { ok: false, error: "Invalid role" };
+  const amountRequired = !terms || amount !== null;
+  if (amountRequired && !validateAmount(amount)) return { ok: false, error: "Offer amount must be a positive number" };
+
+  const updated = [];
+  const previous = getOpenOffer(pair, role);
+  if (previous) {
+    updated.push(closeOffer(previous, "superseded", role));
+  }
+
+  const offer = {
+    id: uid(),
+    pairId: pair.id,
+    role,
+    userId,
+    amount,
+    terms,
+    status: OPEN,
+    parentId,
+    createdAt: nowISO(),
+    respondedAt: null,
+    respondedByRole: null
+  };
+  pair.offers.push(offer);
+  pair.latestOffers[role] = amount;
+
+  return { ok: true, offer, updated };
+}
+
+/**
+ * Answer the partner's open offer with a new amount
+ */
+export function counterOffer(pair, { role, userId, offerId, amount, terms = null }) {
+  ensureOfferBook(pair);
+  const target = findOffer(pair, offerId);
+  if (!target) return { ok: false, error: "Offer not found" };
+  if (target.role !== otherRole(role)) return { ok: false, error: "You can only counter your partner's offer" };
+  if (target.status !== OPEN) return { ok: false, error: `Offer is already ${target.status}` };
+  const amountRequired = !terms || amount !== null;
+  if (amountRequired && !validateAmount(amount)) return { ok: false, error: "Offer amount must be a positive number" };
+
+  closeOffer(target, "countered", role);
+  const result = proposeOffer(pair, { role, userId, amount, terms, parentId: target.id });
+  return { ...result, updated: [target, ...result.updated] };
+}
+
+/**
+ * Take back one of your own open offers
+ */
+export function withdrawOffer(pair, { role, offerId }) {
+  ensureOfferBook(pair);
+  const offer = findOffer(pair, offerId);
+  if (!offer) return { ok: false, error: "Offer not found" };
+  if (offer.role !== role) return { ok: false, error: "You can only withdraw your own offer" };
+  if (offer.status !== OPEN) return { ok: false, error: `Offer is already ${offer.status}` };
+
+  closeOffer(offer, "withdrawn", role);
+  pair.latestOffers[role] = null;
+  return { ok: true, offer, updated: [offer] };
+}
+
+/**
+ * Accept or reject the partner's open offer
+ * @param {string} response - "accepted" | "rejected"
+ */
+export function respondToOffer(pair, { role, offerId, response }) {
+  ensureOfferBook(pair);
+  if (!["accepted", "rejected"].includes(response)) return { ok: false, error: "Invalid response" };
+
+  const offer = findOffer(pair, offerId);
+  if (!offer) return { ok: false, error: "Offer not found" };
+  if (offer.role !== otherRole(role)) return { ok: false, error: "You can only respond to your partner's offer" };
+  if (offer.status !== OPEN) return { ok: false, error: `Offer is already ${offer.status}` };
+
+  closeOffer(offer, response, role);
+  return { ok: true, offer, updated: [offer] };
+}
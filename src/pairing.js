@@ -31,3 +31,194 @@ export function assignRoles(pairs) {
     return [userA, userB];
   });
 }
+
+/**
+ * Pairing strategies for scheduled rounds.
+ *
+ * Players keep a role group ("A"/"B", see scheduler.js) for the whole
+ * session, so every round matches group-A players with group-B players.
+ * A room picks its strategy with `pairing: { strategy, stratifyBy }`:
+ *   random           - random partners, avoiding rematches when possible
+ *   perfect_stranger - rotation planned at the first round; no one meets the same partner twice
+ *   round_robin      - the same rotation, restarting once everyone has met
+ *   fixed            - the first round's partners stay together for the session
+ *   stratified       - partners share the answer to survey question `stratifyBy`
+ *
+ * `state` is kept per room across rounds (join order per group, fixed partners).
+ * Every round returns the constraint violations it could not avoid.
+ */
+
+export const PAIRING_STRATEGIES = ["random", "perfect_stranger", "round_robin", "fixed", "stratified"];
+
+export function createPairingState() {
+  return { order: { A: [], B: [] }, fixedPartners: {} };
+}
+
+function metBefore(a, b) {
+  return (a.previousPartners || []).includes(b.id) || (b.previousPartners || []).includes(a.id);
+}
+
+function shuffle(list) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Answer a player gave to one survey question (null when unanswered)
+ */
+export function surveyAnswer(player, questionId) {
+  const responses = player.surveyResponses || player.preSurvey?.responses || [];
+  const list = Array.isArray(responses) ? responses : Object.values(responses);
+  const response = list.find((r) => String(r?.questionId) === String(questionId));
+  return response?.answer ?? null;
+}
+
+// Greedy matching: each A player takes the remaining B player with the best score
+function matchByScore(groupA, groupB, score) {
+  const remaining = shuffle(groupB);
+  const pairs = [];
+  shuffle(groupA).forEach((a) => {
+    if (remaining.length === 0) return;
+    let best = 0;
+    remaining.forEach((b, i) => {
+      if (score(a, b) > score(a, remaining[best])) best = i;
+    });
+    pairs.push([a, remaining.splice(best, 1)[0]]);
+  });
+  return pairs;
+}
+
+// Round r pairs the i-th group-A player with the (i + r - 1)-th group-B player
+function rotationPairs(groupA, groupB, state, roundNumber) {
+  const byId = new Map([...groupA, ...groupB].map((player) => [player.id, player]));
+  const orderA = state.order.A;
+  const orderB = state.order.B;
+  const pairs = [];
+  const used = new Set();
+
+  orderA.forEach((aId, i) => {
+    const a = byId.get(aId);
+    const bId = orderB[(i + roundNumber - 1) % orderB.length];
+    const b = byId.get(bId);
+    if (a && b && !used.has(bId)) {
+      pairs.push([a, b]);
+      used.add(aId);
+      used.add(bId);
+    }
+  });
+
+  return { pairs, used };
+}
+
+/**
+ * Pair the two role groups for one round
+ * @param {Object} options
+ * @param {Array} options.groupA - players in role group A
+ * @param {Array} options.groupB - players in role group B
+ * @param {number} options.roundNumber - 1-based
+ * @param {number} options.totalRounds
+ * @param {Object} options.config - { strategy, stratifyBy }
+ * @param {Object} options.state - from createPairingState, updated in place
+ * @returns {Object} { pairs: [[groupAPlayer, groupBPlayer]], unpaired, violations }
+ */
+export function pairRoleGroups({ groupA, groupB, roundNumber, totalRounds, config = {}, state }) {
+  const strategy = config.strategy || "random";
+  const violations = [];
+
+  // Newcomers join the end of their group's rotation
+  groupA.forEach((p) => { if (!state.order.A.includes(p.id)) state.order.A.push(p.id); });
+  groupB.forEach((p) => { if (!state.order.B.includes(p.id)) state.order.B.push(p.id); });
+
+  let pairs = [];
+  if (strategy === "perfect_stranger" || strategy === "round_robin") {
+    const rotationLength = Math.max(state.order.A.length, state.order.B.length);
+    if (strategy === "perfect_stranger" && roundNumber === 1 && totalRounds > rotationLength) {
+      violations.push(`Perfect stranger needs ${totalRounds} players per role for ${totalRounds} rounds; only ${rotationLength} available`);
+    }
+    pairs = rotationPairs(groupA, groupB, state, roundNumber).pairs;
+  } else if (strategy === "fixed") {
+    const byId = new Map(groupB.map((player) => [player.id, player]));
+    groupA.forEach((a) => {
+      const partner = byId.get(state.fixedPartners[a.id]);
+      if (partner) {
+        pairs.push([a, partner]);
+        byId.delete(partner.id);
+      }
+    });
+  } else if (strategy === "stratified") {
+    if (!config.stratifyBy) violations.push("Stratified pairing has no stratifyBy question configured");
+    pairs = matchByScore(groupA, groupB, (a, b) => {
+      const same = surveyAnswer(a, config.stratifyBy) !== null && surveyAnswer(a, config.stratifyBy) === surveyAnswer(b, config.stratifyBy);
+      return (same ? 2 : 0) + (metBefore(a, b) ? 0 : 1);
+    });
+  } else {
+    pairs = matchByScore(groupA, groupB, (a, b) => (metBefore(a, b) ? 0 : 1));
+  }
+
+  // Players the strategy could not place (absent partner, uneven rotation) are matched ad hoc
+  const paired = new Set(pairs.flat().map((player) => player.id));
+  const leftA = groupA.filter((p) => !paired.has(p.id));
+  const leftB = groupB.filter((p) => !paired.has(p.id));
+  const extra = matchByScore(leftA, leftB, (a, b) => (metBefore(a, b) ? 0 : 1));
+
+  if (strategy === "fixed") {
+    extra.forEach(([a, b]) => {
+      const hadPartner = state.fixedPartners[a.id] || state.fixedPartners[b.id];
+      if (hadPartner) {
+        violations.push(`${a.name} and ${b.name} were paired outside their fixed partnerships`);
+      } else {
+        state.fixedPartners[a.id] = b.id;
+        state.fixedPartners[b.id] = a.id;
+      }
+    });
+  } else if (strategy !== "random" && strategy !== "stratified") {
+    extra.forEach(([a, b]) => violations.push(`${a.name} and ${b.name} were paired outside the ${strategy} rotation`));
+  }
+  pairs = [...pairs, ...extra];
+
+  if (strategy === "stratified") {
+    pairs.forEach(([a, b]) => {
+      const answerA = surveyAnswer(a, config.stratifyBy);
+      const answerB = surveyAnswer(b, config.stratifyBy);
+      if (answerA === null || answerA !== answerB) {
+        violations.push(`${a.name} (${answerA ?? "no answer"}) and ${b.name} (${answerB ?? "no answer"}) are in different strata`);
+      }
+    });
+  }
+
+  // Rematches break every strategy except fixed partners and a restarted round-robin cycle
+  const cycleRestarted = strategy === "round_robin" && roundNumber > Math.max(state.order.A.length, state.order.B.length);
+  if (strategy !== "fixed" && !cycleRestarted) {
+    pairs.filter(([a, b]) => metBefore(a, b)).forEach(([a, b]) => {
+      violations.push(`${a.name} and ${b.name} have been paired before`);
+    });
+  }
+
+  const finalIds = new Set(pairs.flat().map((player) => player.id));
+  const unpaired = [...groupA, ...groupB].filter((p) => !finalIds.has(p.id));
+  return { pairs, unpaired, violations };
+}
+
+/**
+ * Take the surplus players of the larger role group out of the round.
+ * Whoever has sat out least goes first (then whoever sat out longest ago),
+ * so nobody sits out twice before everyone in the group has once.
+ * @returns {Object} { groupA, groupB, benched }
+ */
+export function selectBenchedPlayers(groupA, groupB) {
+  const surplus = Math.abs(groupA.length - groupB.length);
+  if (surplus === 0) return { groupA, groupB, benched: [] };
+
+  const larger = groupA.length > groupB.length ? groupA : groupB;
+  const lastBenched = (player) => player.benchHistory?.[player.benchHistory.length - 1]?.roundNumber ?? 0;
+  const benched = shuffle(larger)
+    .sort((x, y) => (x.benchHistory?.length || 0) - (y.benchHistory?.length || 0) || lastBenched(x) - lastBenched(y))
+    .slice(0, surplus);
+
+  const keep = (player) => !benched.includes(player);
+  return { groupA: groupA.filter(keep), groupB: groupB.filter(keep), benched };
+}
@@ -1,16 +1,17 @@
 import Database from './database.js';
 
+// pg returns DECIMAL columns as strings
+const toAmount = value => value === null || value === undefined ? null : parseFloat(value);
+
 /**
- * Persistence layer that bridges in-memory objects with database
- * Maintains backward compatibility with existing server.js code
+ * Persistence layer: reads and writes PostgreSQL rows and converts them to
+ * the in-memory shapes. Live rooms, users, pairs and sessions are kept only
+ * in src/gameState.js; this class caches nothing but the game config.
  */
 
 export class PersistenceManager {
     constructor() {
         this.cache = {
-            users: new Map(),
-            rooms: new Map(),
-            pairs: new Map(),
             config: null
         };
         this.initialized = false;
@@ -27,16 +28,9 @@ export class PersistenceManager {
             console.log('⚠️ No game config found in database, using defaults');
         }
         
-        // Load active rooms
+        // Users and pairs are loaded on demand (see gameState.loadUser and server rehydration)
         const rooms = await Database.getAllRooms();
-        rooms.forEach(room => {
-            this.cache.rooms.set(room.id, this.transformDbRoom(room));
-        });
-        
-        // Load active users (connected in last 24 hours)
-        // We'll load them on-demand as they connect
-        
-        console.log(`✅ Loaded ${rooms.length} rooms from database`);
+        console.log(`✅ Found ${rooms.length} rooms in database`);
         this.initialized = true;
     }
 
@@ -50,6 +44,8 @@ export class PersistenceManager {
             products: dbRoom.products || [],
             currentRound: dbRoom.current_round || 0,
             status: dbRoom.status || 'waiting',
+            schedule: dbRoom.schedule || null,
+            pairingStates: dbRoom.pairing_states || {},
             users: [], // Will be populated from active connections
             pairs: []  // Will be populated from active pairs
         };
@@ -67,159 +63,204 @@ export class PersistenceManager {
             completedDeals: dbUser.completed_deals || 0,
             previousPartners: dbUser.previous_partners || [],
             roleHistory: dbUser.role_history || [],
+            benchHistory: dbUser.bench_history || [],
             roomId: dbUser.room_id,
             socketId: null, // Always null on load, set when connecting
             role: dbUser.role,
-            pairId: dbUser.pair_id
+            roleGroup: dbUser.role_group || null,
+            pairId: dbUser.pair_id,
+            isBot: dbUser.is_bot || false,
+            sessionId: dbUser.session_id || null,
+            treatmentId: dbUser.treatment_id || null,
+            externalId: dbUser.external_id || null,
+            studyId: dbUser.study_id || null,
+            joinCode: dbUser.join_code || null,
+            completionCode: dbUser.completion_code || null,
+            completedAt: dbUser.completed_at || null,
+            surveysSubmitted: dbUser.surveys_submitted || [],
+            pendingSurveys: dbUser.pending_surveys || []
+        };
+    }
+
+    transformDbSession(dbSession) {
+        return {
+            id: dbSession.id,
+            code: dbSession.code,
+            name: dbSession.name,
+            kind: dbSession.kind,
+            assignment: dbSession.assignment,
+            treatments: dbSession.treatments || [],
+            roomIds: dbSession.room_ids || [],
+            status: dbSession.status,
+            startedAt: dbSession.started_at,
+            endedAt: dbSession.ended_at,
+            assignmentCounts: dbSession.assignment_counts || {},
+            entry: dbSession.entry || {}
+        };
+    }
+
+    transformDbJoinCode(dbJoinCode) {
+        return {
+            code: dbJoinCode.code,
+            sessionId: dbJoinCode.session_id,
+            singleUse: dbJoinCode.single_use,
+            uses: dbJoinCode.uses || 0,
+            usedBy: dbJoinCode.used_by || null,
+            createdAt: dbJoinCode.created_at,
+            lastUsedAt: dbJoinCode.last_used_at || null
         };
     }
 
     // User management with persistence
     async createUser(userData) {
         const dbUser = await Database.createUser(userData);
-        const user = this.transformDbUser(dbUser);
-        this.cache.users.set(user.id, user);
-        return user;
+        return this.transformDbUser(dbUser);
     }
 
     async getUser(userId) {
-        // Check cache first
-        if (this.cache.users.has(userId)) {
-            return this.cache.users.get(userId);
-        }
-        
-        // Load from database
         const dbUser = await Database.getUserById(userId);
-        if (dbUser) {
-            const user = this.transformDbUser(dbUser);
-            this.cache.users.set(userId, user);
-            return user;
-        }
-        
-        return null;
+        return dbUser ? this.transformDbUser(dbUser) : null;
+    }
+
+    async getUserByExternalId(sessionId, externalId) {
+        const dbUser = await Database.getUserByExternalId(sessionId, externalId);
+        return dbUser ? this.transformDbUser(dbUser) : null;
     }
 
     async updateUser(userId, updates) {
-        // Update database
         const dbUpdates = this.transformUpdatesForDb(updates, 'user');
         await Database.updateUser(userId, dbUpdates);
-        
-        // Update cache
-        const user = this.cache.users.get(userId);
-        if (user) {
-            Object.assign(user, updates);
-        }
-        
-        return user;
     }
 
     // Room management with persistence
     async ensureRoom(roomId) {
-        if (!this.cache.rooms.has(roomId)) {
-            // Check if room exists in database
-            let dbRoom = await Database.getRoomById(roomId);
-            
-            if (!dbRoom) {
-                // Create default room
-                dbRoom = await Database.createRoom({
-                    id: roomId,
-                    name: roomId,
-                    description: 'Auto-created room',
-                    products: []
-                });
-            }
-            
-            const room = this.transformDbRoom(dbRoom);
-            this.cache.rooms.set(roomId, room);
+        // Check if room exists in database
+        let dbRoom = await Database.getRoomById(roomId);
+        
+        if (!dbRoom) {
+            // Create default room
+            dbRoom = await Database.createRoom({
+                id: roomId,
+                name: roomId,
+                description: 'Auto-created room',
+                products: []
+            });
         }
         
-        return this.cache.rooms.get(roomId);
+        return this.transformDbRoom(dbRoom);
+    }
+
+    // Rooms as stored, e.g. to pick session schedules up again after a restart
+    async getRooms() {
+        const dbRooms = await Database.getAllRooms();
+        return dbRooms.map(dbRoom => this.transformDbRoom(dbRoom));
     }
 
     async updateRoom(roomId, updates) {
         const dbUpdates = this.transformUpdatesForDb(updates, 'room');
         await Database.updateRoom(roomId, dbUpdates);
-        
-        const room = this.cache.rooms.get(roomId);
-        if (room) {
-            Object.assign(room, updates);
-        }
-        
-        return room;
     }
 
     // Pair management with persistence
     async createPair(pairData) {
-        const { roomId, userA, userB, product, roundNumber } = pairData;
+        const {
+            id, roomId, userA, userB, product, roundNumber, reservationValues = null, briefings = null, sessionId = null, treatmentId = null
+        } = pairData;
         
-        // Save to database
-        const dbPair = await Database.createPair({
+        return Database.createPair({
+            id,
             roomId,
             userAId: userA.id,
             userBId: userB.id,
             roundNumber,
-            product
-        });
-        
-        // Create in-memory version
-        const pair = {
-            id: dbPair.id,
-            roomId,
-            userA,
-            userB,
-            messages: [],
             product,
-            latestOffers: { A: null, B: null },
-            finalDeal: null,
-            startedAt: dbPair.started_at
-        };
-        
-        this.cache.pairs.set(pair.id, pair);
-        return pair;
+            reservationValues,
+            briefings,
+            sessionId,
+            treatmentId
+        });
     }
 
     async getPair(pairId) {
-        if (this.cache.pairs.has(pairId)) {
-            return this.cache.pairs.get(pairId);
-        }
-        
-        // Load from database if needed
         const dbPair = await Database.getPairById(pairId);
-        if (dbPair) {
-            const pair = await this.reconstructPair(dbPair);
-            this.cache.pairs.set(pairId, pair);
-            return pair;
+        return dbPair ? this.reconstructPair(dbPair) : null;
+    }
+
+    // Pairs still negotiating, e.g. when the server restarts mid-session
+    async getActivePairs() {
+        const dbPairs = await Database.getActivePairs();
+        const activePairs = [];
+        for (const dbPair of dbPairs) {
+            activePairs.push(await this.reconstructPair(dbPair));
         }
-        
-        return null;
+        return activePairs;
     }
 
     async updatePair(pairId, updates) {
         const dbUpdates = this.transformUpdatesForDb(updates, 'pair');
         await Database.updatePair(pairId, dbUpdates);
-        
-        const pair = this.cache.pairs.get(pairId);
-        if (pair) {
-            Object.assign(pair, updates);
-        }
-        
-        return pair;
+    }
+
+    // Experimental sessions
+    async createSession(session) {
+        const dbSession = await Database.createSession(session);
+        return this.transformDbSession(dbSession);
+    }
+
+    async getSessions() {
+        const dbSessions = await Database.getSessions();
+        return dbSessions.map(dbSession => this.transformDbSession(dbSession));
+    }
+
+    async updateSession(sessionId, updates) {
+        const dbUpdates = this.transformUpdatesForDb(updates, 'session');
+        await Database.updateSession(sessionId, dbUpdates);
+    }
+
+    async createJoinCode(joinCode) {
+        const dbJoinCode = await Database.createJoinCode(joinCode);
+        return this.transformDbJoinCode(dbJoinCode);
+    }
+
+    async getJoinCodes() {
+        const dbJoinCodes = await Database.getJoinCodes();
+        return dbJoinCodes.map(dbJoinCode => this.transformDbJoinCode(dbJoinCode));
+    }
+
+    async updateJoinCode(code, updates) {
+        const dbUpdates = this.transformUpdatesForDb(updates, 'joinCode');
+        await Database.updateJoinCode(code, dbUpdates);
     }
 
     // Message handling
     async saveMessage(messageData) {
-        const dbMessage = await Database.saveMessage(messageData);
-        
-        // Add to in-memory pair if cached
-        const pair = this.cache.pairs.get(messageData.pairId);
-        if (pair) {
-            pair.messages.push({
-                ...messageData,
-                timestamp: dbMessage.timestamp
-            });
+        return Database.saveMessage(messageData);
+    }
+
+    // Survey instrument responses
+    async saveSurveyResponse(response) {
+        return Database.saveSurveyResponse(response);
+    }
+
+    // Offer corrections
+    async saveOfferCorrection(correction) {
+        return Database.saveOfferCorrection(correction);
+    }
+
+    // Moderator interventions
+    async saveModeratorAction(action) {
+        return Database.saveModeratorAction(action);
+    }
+
+    // Structured offers
+    async saveOfferChanges(offer, updated = []) {
+        // Status changes first so a counter's parent is closed before the new offer lands
+        for (const changed of updated) {
+            await Database.updateOfferStatus(changed);
+        }
+        if (offer && !updated.includes(offer)) {
+            await Database.saveOffer(offer);
         }
-        
-        return dbMessage;
     }
 
     // Game configuration
@@ -255,19 +296,47 @@ export class PersistenceManager {
             if (updates.completedDeals !== undefined) dbUpdates.completed_deals = updates.completedDeals;
             if (updates.previousPartners !== undefined) dbUpdates.previous_partners = updates.previousPartners;
             if (updates.roleHistory !== undefined) dbUpdates.role_history = updates.roleHistory;
+            if (updates.benchHistory !== undefined) dbUpdates.bench_history = JSON.stringify(updates.benchHistory);
+            if (updates.role !== undefined) dbUpdates.role = updates.role;
+            if (updates.roleGroup !== undefined) dbUpdates.role_group = updates.roleGroup;
             if (updates.roomId !== undefined) dbUpdates.room_id = updates.roomId;
             if (updates.socketId !== undefined) dbUpdates.socket_id = updates.socketId;
             if (updates.pairId !== undefined) dbUpdates.pair_id = updates.pairId;
+            if (updates.sessionId !== undefined) dbUpdates.session_id = updates.sessionId;
+            if (updates.treatmentId !== undefined) dbUpdates.treatment_id = updates.treatmentId;
+            if (updates.completionCode !== undefined) dbUpdates.completion_code = updates.completionCode;
+            if (updates.completedAt !== undefined) dbUpdates.completed_at = updates.completedAt;
+            if (updates.surveysSubmitted !== undefined) dbUpdates.surveys_submitted = JSON.stringify(updates.surveysSubmitted);
+            if (updates.pendingSurveys !== undefined) dbUpdates.pending_surveys = JSON.stringify(updates.pendingSurveys);
         }
         
         if (type === 'room') {
             if (updates.currentRound !== undefined) dbUpdates.current_round = updates.currentRound;
             if (updates.imageUrl !== undefined) dbUpdates.image_url = updates.imageUrl;
+            if (updates.schedule !== undefined) dbUpdates.schedule = updates.schedule;
+            if (updates.pairingStates !== undefined) dbUpdates.pairing_states = updates.pairingStates;
         }
         
         if (type === 'pair') {
             if (updates.finalDeal !== undefined) dbUpdates.final_deal = updates.finalDeal;
             if (updates.latestOffers !== undefined) dbUpdates.latest_offers = updates.latestOffers;
+            if (updates.reservationValues !== undefined) dbUpdates.reservation_values = updates.reservationValues;
+            if (updates.endedAt !== undefined) dbUpdates.ended_at = updates.endedAt;
+            if (updates.endReason !== undefined) dbUpdates.end_reason = updates.endReason;
+            // pg would send a JS array as a Postgres array, not JSON
+            if (updates.pauseIntervals !== undefined) dbUpdates.pause_intervals = JSON.stringify(updates.pauseIntervals);
+        }
+        
+        if (type === 'session') {
+            if (updates.endedAt !== undefined) dbUpdates.ended_at = updates.endedAt;
+            if (updates.assignmentCounts !== undefined) dbUpdates.assignment_counts = updates.assignmentCounts;
+            if (updates.entry !== undefined) dbUpdates.entry = updates.entry;
+        }
+
+        if (type === 'joinCode') {
+            if (updates.uses !== undefined) dbUpdates.uses = updates.uses;
+            if (updates.usedBy !== undefined) dbUpdates.used_by = updates.usedBy;
+            if (updates.lastUsedAt !== undefined) dbUpdates.last_used_at = updates.lastUsedAt;
         }
         
         return dbUpdates;
@@ -278,27 +347,69 @@ export class PersistenceManager {
         const userA = await this.getUser(dbPair.user_a_id);
         const userB = await this.getUser(dbPair.user_b_id);
         
-        // Load messages
+        // Load messages, structured offers and offer corrections
         const messages = await Database.getMessagesByPair(dbPair.id);
+        const offers = await Database.getOffersByPair(dbPair.id);
+        const corrections = await Database.getOfferCorrections(dbPair.id);
         
         return {
             id: dbPair.id,
             roomId: dbPair.room_id,
+            roundNumber: dbPair.round_number,
+            sessionId: dbPair.session_id || null,
+            treatmentId: dbPair.treatment_id || null,
             userA,
             userB,
             messages: messages.map(msg => ({
+                id: msg.id,
                 userId: msg.user_id,
                 userName: msg.user_name,
                 role: msg.role,
                 message: msg.message,
-                offer: msg.extracted_offer,
+                offer: toAmount(msg.extracted_offer),
+                correctedOffer: toAmount(msg.corrected_offer),
+                offerCorrected: msg.offer_corrected,
+                isBot: msg.is_bot || false,
                 timestamp: msg.timestamp,
                 ...msg.metadata
             })),
+            offers: offers.map(offer => ({
+                id: offer.id,
+                pairId: offer.pair_id,
+                role: offer.role,
+                userId: offer.user_id,
+                amount: toAmount(offer.amount),
+                terms: offer.terms,
+                status: offer.status,
+                parentId: offer.parent_id,
+                createdAt: offer.created_at,
+                respondedAt: offer.responded_at,
+                respondedByRole: offer.responded_by_role
+            })),
+            offerCorrections: corrections.map(correction => ({
+                id: correction.id,
+                messageId: correction.message_id,
+                pairId: correction.pair_id,
+                action: correction.action,
+                extractedOffer: toAmount(correction.extracted_offer),
+                originalOffer: toAmount(correction.original_offer),
+                correctedOffer: toAmount(correction.corrected_offer),
+                correctedBy: correction.corrected_by,
+                correctedByName: correction.corrected_by_name,
+                correctorType: correction.corrector_type,
+                reason: correction.reason,
+                createdAt: correction.created_at
+            })),
             product: dbPair.product,
+            reservationValues: dbPair.reservation_values,
+            briefings: dbPair.briefings || null,
             latestOffers: dbPair.latest_offers || { A: null, B: null },
             finalDeal: dbPair.final_deal,
-            startedAt: dbPair.started_at
+            status: dbPair.status,
+            startedAt: dbPair.started_at,
+            endedAt: dbPair.ended_at,
+            endReason: dbPair.end_reason,
+            pauseIntervals: dbPair.pause_intervals || []
         };
     }
 
@@ -1,20 +1,78 @@
 import { state } from "./datastore.js";
 
+/**
+ * What players see in their debrief after a round:
+ *   none         - only that the round is over
+ *   own          - their own outcome, score and cumulative score
+ *   distribution - also where their price sits among the room's deals (prices only, no names)
+ */
+export const RESULTS_DISCLOSURE = ["none", "own", "distribution"];
+
+function pairsOfRound(roomId, roundNumber) {
+  return Object.values(state.pairs).filter(
+    (pair) => pair.roomId === roomId && pair.roundNumber === roundNumber && !pair.isAutoPair
+  );
+}
+
+function dealClosed(pair) {
+  return Boolean(pair.finalDeal && pair.finalDeal.success !== false);
+}
+
+// userA is always the seat that sells in the pair
+function roleInPair(pair, userId) {
+  if (pair.userA?.id === userId) return "A";
+  if (pair.userB?.id === userId) return "B";
+  return null;
+}
+
+// A player re-paired mid-round (dissolved or abandoned pair) is judged on the pair
+// that closed a deal, else on the latest pair they joined
+function playerPairOfRound(roomId, roundNumber, userId) {
+  const candidates = pairsOfRound(roomId, roundNumber).filter((pair) => roleInPair(pair, userId));
+  return candidates.find(dealClosed)
+    || candidates.sort((x, y) => new Date(y.startedAt) - new Date(x.startedAt))[0]
+    || null;
+}
+
+/**
+ * Score a role earned in a pair: issue points for multi-issue deals,
+ * surplus for price-only deals, 0 without a deal
+ */
+export function pairScore(pair, role) {
+  if (!dealClosed(pair)) return 0;
+  return pair.finalDeal.points?.[role] ?? pair.finalDeal.surplus?.[role] ?? 0;
+}
+
+/**
+ * Score a player has collected in a room over rounds 1..upToRound
+ */
+export function cumulativeScore(roomId, userId, upToRound) {
+  return Object.values(state.pairs)
+    .filter((pair) => pair.roomId === roomId && !pair.isAutoPair && pair.roundNumber <= upToRound)
+    .reduce((total, pair) => {
+      const role = roleInPair(pair, userId);
+      return role ? total + pairScore(pair, role) : total;
+    }, 0);
+}
+
+/**
+ * Outcome of every pair that played a round in a room
+ */
 export function compileRoundResults(roomId, roundNumber) {
-  const room = state.rooms.get(roomId);
+  const room = state.rooms[roomId];
   if (!room) return { roomId, roundNumber, pairResults: [], stats: {} };
 
+  const roundPairs = pairsOfRound(roomId, roundNumber);
+
   const pairResults = [];
   let prices = [];
 
-  room.activePairs.forEach((pairId) => {
-    const pair = state.pairs.get(pairId);
-    if (!pair) return;
-    if (pair.finalDeal && pair.finalDeal.success) {
-      pairResults.push({ pairId, finalPrice: pair.finalDeal.price, success: true });
+  roundPairs.forEach((pair) => {
+    if (pair.finalDeal && pair.finalDeal.success !== false) {
+      pairResults.push({ pairId: pair.id, finalPrice: pair.finalDeal.price, success: true });
       prices.push(pair.finalDeal.price);
     } else {
-      pairResults.push({ pairId, finalPrice: null, success: false });
+      pairResults.push({ pairId: pair.id, finalPrice: null, success: false, endReason: pair.endReason || null });
     }
   });
 
@@ -23,15 +81,65 @@ export function compileRoundResults(roomId, roundNumber) {
     avgDealPrice: avg,
     minPrice: prices.length ? Math.min(...prices) : null,
     maxPrice: prices.length ? Math.max(...prices) : null,
-    dealRate: room.activePairs.size ? Math.round(100 * (prices.length / room.activePairs.size)) : 0
+    dealRate: roundPairs.length ? Math.round(100 * (prices.length / roundPairs.length)) : 0
   };
 
   return {
     event: "roundResults",
     roomId,
     roundNumber,
-    item: room.items[roundNumber - 1] || null,
+    item: roundPairs[0]?.product?.name || null,
     pairResults,
     stats
   };
 }
+
+/**
+ * Debrief for one player after a round, trimmed to the disclosure level
+ * @param {Object} roundResults - output of compileRoundResults for the round
+ * @param {string} userId
+ * @param {string} disclosure - one of RESULTS_DISCLOSURE
+ */
+export function participantResults(roundResults, userId, disclosure = "distribution") {
+  const { roomId, roundNumber } = roundResults;
+  const debrief = { event: "roundResults", roomId, roundNumber, disclosure };
+  if (disclosure === "none") return debrief;
+
+  const pair = playerPairOfRound(roomId, roundNumber, userId);
+  if (pair) {
+    const role = roleInPair(pair, userId);
+    debrief.outcome = {
+      role,
+      item: pair.product?.name || null,
+      success: dealClosed(pair),
+      price: dealClosed(pair) ? pair.finalDeal.price : null,
+      terms: dealClosed(pair) ? pair.finalDeal.terms || null : null,
+      score: pairScore(pair, role),
+      scoreUnit: pair.finalDeal?.points ? "points" : "surplus",
+      endReason: dealClosed(pair) ? null : pair.endReason || null
+    };
+  } else {
+    debrief.outcome = { satOut: true, score: 0 };
+  }
+  debrief.cumulativeScore = cumulativeScore(roomId, userId, roundNumber);
+  if (disclosure !== "distribution") return debrief;
+
+  const prices = roundResults.pairResults
+    .filter((result) => result.success)
+    .map((result) => result.finalPrice)
+    .sort((a, b) => a - b);
+  const own = debrief.outcome.price;
+  debrief.distribution = {
+    prices,
+    stats: roundResults.stats,
+    // Other deals only: the player's own price is counted once and left out
+    position: typeof own === "number"
+      ? {
+        lower: prices.filter((price) => price < own).length,
+        higher: prices.filter((price) => price > own).length,
+        same: Math.max(0, prices.filter((price) => price === own).length - 1)
+      }
+      : null
+  };
+  return debrief;
+}
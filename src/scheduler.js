@@ -0,0 +1,271 @@
+// src/scheduler.js
+
+import { constants } from "./rooms.js";
+
+/**
+ * Multi-round session schedule, one per room.
+ *
+ * Runs `totalRounds` rounds. Players are split into two role groups when the
+ * session starts: group "A" sells in the first block of `roleBlockRounds`
+ * rounds and buys in the next, group "B" does the opposite, so roles flip
+ * after every block. Between rounds the scheduler can wait `breakSeconds`
+ * and start the next round on its own (`autoAdvance`); the moderator can
+ * pause and resume that countdown.
+ *
+ * Schedule status: "idle" | "running" | "break" | "waiting" | "completed"
+ * ("waiting" = round over, next one starts when the moderator says so).
+ */
+
+/**
+ * Role a player has in a given round (1-based)
+ * @param {string} roleGroup - "A" (starts as seller) or "B" (starts as buyer)
+ * @param {number} roundNumber
+ * @param {number} blockSize - rounds per role block
+ */
+export function scheduledRole(roleGroup, roundNumber, blockSize = constants.ROLE_BLOCK) {
+  const block = Math.floor((roundNumber - 1) / Math.max(blockSize, 1));
+  const flipped = block % 2 === 1;
+  if (roleGroup === "A") return flipped ? "B" : "A";
+  return flipped ? "A" : "B";
+}
+
+/**
+ * Put players without a role group into the smaller group, keeping both halves even
+ */
+export function assignRoleGroups(players) {
+  const counts = { A: 0, B: 0 };
+  players.forEach((player) => {
+    if (player.roleGroup) counts[player.roleGroup] += 1;
+  });
+
+  players
+    .filter((player) => !player.roleGroup)
+    .sort(() => Math.random() - 0.5)
+    .forEach((player) => {
+      player.roleGroup = counts.A <= counts.B ? "A" : "B";
+      counts[player.roleGroup] += 1;
+    });
+
+  return counts;
+}
+
+/**
+ * Product used in a round; products rotate in config order
+ */
+export function productForRound(products, roundNumber) {
+  if (!products || products.length === 0) return null;
+  return products[(roundNumber - 1) % products.length];
+}
+
+export class SessionScheduler {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onAutoStart - (roomId, roundNumber) when a break ends
+   * @param {Function} handlers.onChange - (roomId, state) after every schedule change
+   */
+  constructor({ onAutoStart, onChange }) {
+    this.onAutoStart = onAutoStart || (() => {});
+    this.onChange = onChange || (() => {});
+    this.schedules = new Map(); // roomId -> schedule state
+  }
+
+  /**
+   * Schedule for a room, created from the game settings on first use
+   */
+  get(roomId, settings = {}) {
+    if (!this.schedules.has(roomId)) {
+      this.schedules.set(roomId, {
+        roomId,
+        status: "idle",
+        currentRound: 0,
+        totalRounds: settings.totalRounds || constants.TOTAL_ROUNDS,
+        roleBlockRounds: settings.roleBlockRounds || constants.ROLE_BLOCK,
+        autoAdvance: Boolean(settings.autoAdvanceRounds),
+        breakSeconds: settings.breakSeconds ?? 60,
+        paused: false,
+        breakEndsAt: null,
+        breakRemainingMs: null,
+        timeout: null
+      });
+    }
+    return this.schedules.get(roomId);
+  }
+
+  /**
+   * Public view of a schedule (no timer handles)
+   */
+  snapshot(roomId) {
+    const schedule = this.schedules.get(roomId);
+    if (!schedule) return null;
+    const { timeout, breakEndsAt, breakRemainingMs, ...rest } = schedule;
+    return {
+      ...rest,
+      roundsRemaining: Math.max(0, schedule.totalRounds - schedule.currentRound),
+      breakRemainingSeconds: this.getBreakRemaining(roomId)
+    };
+  }
+
+  getBreakRemaining(roomId) {
+    const schedule = this.schedules.get(roomId);
+    if (!schedule || schedule.status !== "break") return null;
+    if (schedule.paused || !schedule.breakEndsAt) {
+      return Math.ceil((schedule.breakRemainingMs ?? schedule.breakSeconds * 1000) / 1000);
+    }
+    return Math.max(0, Math.ceil((schedule.breakEndsAt - Date.now()) / 1000));
+  }
+
+  /**
+   * Whether another round may start now
+   * @returns {Object} { ok: true, roundNumber } or { ok: false, error }
+   */
+  canStartRound(roomId, settings) {
+    const schedule = this.get(roomId, settings);
+    if (schedule.status === "running") return { ok: false, error: `Round ${schedule.currentRound} is still running` };
+    if (schedule.currentRound >= schedule.totalRounds) {
+      return { ok: false, error: `All ${schedule.totalRounds} rounds have been played` };
+    }
+    return { ok: true, roundNumber: schedule.currentRound + 1 };
+  }
+
+  /**
+   * Mark the next round as running
+   */
+  beginRound(roomId, settings) {
+    const schedule = this.get(roomId, settings);
+    this.clearBreak(schedule);
+    schedule.currentRound += 1;
+    schedule.status = "running";
+    this.onChange(roomId, this.snapshot(roomId));
+    return schedule.currentRound;
+  }
+
+  /**
+   * Called once every pair of the current round has finished
+   * @returns {string} the new status
+   */
+  finishRound(roomId) {
+    const schedule = this.schedules.get(roomId);
+    if (!schedule || schedule.status !== "running") return schedule?.status || null;
+
+    if (schedule.currentRound >= schedule.totalRounds) {
+      schedule.status = "completed";
+    } else if (schedule.autoAdvance) {
+      schedule.status = "break";
+      schedule.breakRemainingMs = schedule.breakSeconds * 1000;
+      if (!schedule.paused) this.startBreakTimer(schedule);
+    } else {
+      schedule.status = "waiting";
+    }
+
+    this.onChange(roomId, this.snapshot(roomId));
+    return schedule.status;
+  }
+
+  startBreakTimer(schedule) {
+    const delay = Math.max(0, schedule.breakRemainingMs ?? schedule.breakSeconds * 1000);
+    schedule.breakEndsAt = Date.now() + delay;
+    schedule.timeout = setTimeout(() => {
+      schedule.timeout = null;
+      schedule.breakEndsAt = null;
+      schedule.breakRemainingMs = null;
+      this.onAutoStart(schedule.roomId, schedule.currentRound + 1);
+    }, delay);
+  }
+
+  clearBreak(schedule) {
+    if (schedule.timeout) clearTimeout(schedule.timeout);
+    schedule.timeout = null;
+    schedule.breakEndsAt = null;
+    schedule.breakRemainingMs = null;
+  }
+
+  /**
+   * Hold the schedule: a running break countdown is frozen, and a round that
+   * finishes while paused will not auto-start the next one
+   */
+  pause(roomId) {
+    const schedule = this.schedules.get(roomId);
+    if (!schedule) return { ok: false, error: "No session schedule for this room" };
+    if (schedule.paused) return { ok: false, error: "Schedule is already paused" };
+    if (schedule.status === "completed") return { ok: false, error: "Session is already complete" };
+
+    if (schedule.status === "break" && schedule.breakEndsAt) {
+      schedule.breakRemainingMs = Math.max(0, schedule.breakEndsAt - Date.now());
+      clearTimeout(schedule.timeout);
+      schedule.timeout = null;
+      schedule.breakEndsAt = null;
+    }
+    schedule.paused = true;
+    this.onChange(roomId, this.snapshot(roomId));
+    return { ok: true };
+  }
+
+  resume(roomId) {
+    const schedule = this.schedules.get(roomId);
+    if (!schedule) return { ok: false, error: "No session schedule for this room" };
+    if (!schedule.paused) return { ok: false, error: "Schedule is not paused" };
+
+    schedule.paused = false;
+    if (schedule.status === "break") this.startBreakTimer(schedule);
+    this.onChange(roomId, this.snapshot(roomId));
+    return { ok: true };
+  }
+
+  /**
+   * Change settings mid-session (e.g. switch auto-advance on)
+   */
+  update(roomId, settings) {
+    const schedule = this.get(roomId, settings);
+    if (settings.totalRounds) schedule.totalRounds = settings.totalRounds;
+    if (settings.roleBlockRounds) schedule.roleBlockRounds = settings.roleBlockRounds;
+    if (settings.autoAdvanceRounds !== undefined) schedule.autoAdvance = Boolean(settings.autoAdvanceRounds);
+    if (settings.breakSeconds !== undefined) schedule.breakSeconds = settings.breakSeconds;
+    this.onChange(roomId, this.snapshot(roomId));
+    return this.snapshot(roomId);
+  }
+
+  /**
+   * Settings and progress of a schedule as stored in the database (no timers)
+   */
+  record(roomId) {
+    const schedule = this.schedules.get(roomId);
+    if (!schedule) return null;
+    const { status, currentRound, totalRounds, roleBlockRounds, autoAdvance, breakSeconds } = schedule;
+    return { status, currentRound, totalRounds, roleBlockRounds, autoAdvance, breakSeconds };
+  }
+
+  /**
+   * Put a stored schedule back after a server restart. An interrupted break
+   * counts down again from its full length.
+   */
+  restore(roomId, record) {
+    const schedule = this.get(roomId);
+    this.clearBreak(schedule);
+    Object.assign(schedule, {
+      status: record.status || "idle",
+      currentRound: record.currentRound || 0,
+      totalRounds: record.totalRounds || schedule.totalRounds,
+      roleBlockRounds: record.roleBlockRounds || schedule.roleBlockRounds,
+      autoAdvance: Boolean(record.autoAdvance),
+      breakSeconds: record.breakSeconds ?? schedule.breakSeconds,
+      paused: false
+    });
+    if (schedule.status === "break") {
+      schedule.breakRemainingMs = schedule.breakSeconds * 1000;
+      this.startBreakTimer(schedule);
+    }
+    return this.snapshot(roomId);
+  }
+
+  reset(roomId) {
+    const schedule = this.schedules.get(roomId);
+    if (schedule) this.clearBreak(schedule);
+    this.schedules.delete(roomId);
+  }
+
+  stopAll() {
+    for (const schedule of this.schedules.values()) {
+      this.clearBreak(schedule);
+    }
+  }
+}
@@ -0,0 +1,216 @@
+// src/sessions.js
+
+/**
+ * Experimental sessions and their treatment conditions.
+ *
+ * A session is one run of the game (a pilot, a classroom run, a study),
+ * known by a short code, with the treatments its participants are split
+ * between:
+ *   { code: "SPRING-01", kind: "study", assignment: "block", roomIds: ["home"],
+ *     treatments: [
+ *       { id: "short", label: "5 minute deadline",
+ *         settings: { roundTimeLimitSeconds: 300, briefing: { A: "Only {{timeLimitMinutes}} minutes to close!" } } },
+ *       { id: "long", label: "15 minute deadline", settings: { roundTimeLimitSeconds: 900 } }
+ *     ] }
+ * Players get a treatment when they join a room the session covers (no
+ * roomIds = every room) and only negotiate with players of the same
+ * treatment. Pairs and messages carry the session and treatment ids.
+ *
+ * Assignment: "random" draws a treatment with equal chance; "block" gives
+ * the least-used treatment (ties drawn at random), i.e. permuted blocks of
+ * one player per treatment.
+ *
+ * Entry (`entry`): participants can come in through a join code, shared or
+ * single-use, usually in a study-panel link such as
+ *   /survey.html?code=K7WQ2MZD&pid=<panel participant id>&study=<study id>
+ * With `requireJoinCode` the session's rooms only admit players who entered
+ * with one of its codes. When the session ends every participant is shown a
+ * completion code (`completionCode`, or a personal one when unset) and, with
+ * `completionUrl`, a link back to the panel; the URL may use
+ * {{completionCode}}, {{participantId}}, {{studyId}} and {{sessionCode}}.
+ */
+
+import { randomInt } from "crypto";
+import { renderTemplate } from "./briefings.js";
+
+export const SESSION_KINDS = ["pilot", "classroom", "study"];
+export const ASSIGNMENT_METHODS = ["random", "block"];
+
+const DEFAULT_TREATMENTS = [{ id: "control", label: "Control", settings: {} }];
+const DEFAULT_ENTRY = { requireJoinCode: false, completionCode: null, completionUrl: null };
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I lookalikes
+
+/**
+ * Check a session definition; returns a list of problems (empty when valid)
+ */
+export function validateSession(fields) {
+  const problems = [];
+  if (!fields || typeof fields !== "object") return ["Session definition is missing"];
+
+  if (!/^[A-Za-z0-9_-]{2,50}$/.test(fields.code || "")) {
+    problems.push("code: 2-50 letters, digits, '-' or '_'");
+  }
+  if (fields.kind && !SESSION_KINDS.includes(fields.kind)) {
+    problems.push(`kind: must be one of ${SESSION_KINDS.join(", ")}`);
+  }
+  if (fields.assignment && !ASSIGNMENT_METHODS.includes(fields.assignment)) {
+    problems.push(`assignment: must be one of ${ASSIGNMENT_METHODS.join(", ")}`);
+  }
+  if (fields.roomIds !== undefined && !Array.isArray(fields.roomIds)) {
+    problems.push("roomIds: must be a list of room ids");
+  }
+  if (fields.entry?.completionCode !== undefined && fields.entry.completionCode !== null
+    && !/^[A-Za-z0-9_-]{2,50}$/.test(String(fields.entry.completionCode))) {
+    problems.push("entry.completionCode: 2-50 letters, digits, '-' or '_'");
+  }
+  if (fields.entry?.completionUrl && !/^https?:\/\//.test(fields.entry.completionUrl)) {
+    problems.push("entry.completionUrl: must be an http(s) URL");
+  }
+
+  if (fields.treatments !== undefined) {
+    if (!Array.isArray(fields.treatments) || fields.treatments.length === 0) {
+      problems.push("treatments: needs at least one treatment");
+      return problems;
+    }
+    const seen = new Set();
+    fields.treatments.forEach((treatment, i) => {
+      const name = treatment?.id || `treatment #${i + 1}`;
+      if (!treatment?.id) problems.push(`${name}: missing id`);
+      if (seen.has(treatment?.id)) problems.push(`${name}: duplicate id`);
+      seen.add(treatment?.id);
+
+      const limit = treatment?.settings?.roundTimeLimitSeconds;
+      if (limit !== undefined && (typeof limit !== "number" || limit < 0)) {
+        problems.push(`${name}: settings.roundTimeLimitSeconds must be a number of seconds (0 = no limit)`);
+      }
+      // Extra briefing paragraph per role, see src/briefings.js
+      Object.entries(treatment?.settings?.briefing || {}).forEach(([role, text]) => {
+        if (!["A", "B"].includes(role) || typeof text !== "string") {
+          problems.push(`${name}: settings.briefing must map role A and/or B to text`);
+        }
+      });
+    });
+  }
+
+  return problems;
+}
+
+export function createSessionRecord({
+  id,
+  code,
+  name = null,
+  kind = "study",
+  assignment = "random",
+  treatments = DEFAULT_TREATMENTS,
+  roomIds = [],
+  status = "open",
+  startedAt = new Date().toISOString(),
+  endedAt = null,
+  assignmentCounts = {},
+  entry = {}
+}) {
+  return {
+    id,
+    code,
+    name: name || code,
+    kind,
+    assignment,
+    treatments: treatments.map((treatment) => ({
+      id: treatment.id,
+      label: treatment.label || treatment.id,
+      settings: treatment.settings || {}
+    })),
+    roomIds,
+    status,
+    startedAt,
+    endedAt,
+    assignmentCounts: { ...assignmentCounts },
+    entry: { ...DEFAULT_ENTRY, ...entry }
+  };
+}
+
+/**
+ * Random code participants can type or carry in a link
+ */
+export function generateCode(length = 8) {
+  let code = "";
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+export function createJoinCodeRecord({ code, sessionId, singleUse = true, uses = 0, usedBy = null, createdAt = new Date().toISOString(), lastUsedAt = null }) {
+  return { code, sessionId, singleUse, uses, usedBy, createdAt, lastUsedAt };
+}
+
+/**
+ * What a participant is shown when their session ends
+ * @returns {Object} { sessionCode, completionCode, redirectUrl }
+ */
+export function completionFor(session, user) {
+  const values = {
+    completionCode: user.completionCode,
+    participantId: user.externalId,
+    studyId: user.studyId,
+    sessionCode: session.code
+  };
+  Object.keys(values).forEach((name) => {
+    if (values[name] !== null && values[name] !== undefined) values[name] = encodeURIComponent(values[name]);
+  });
+
+  return {
+    sessionCode: session.code,
+    completionCode: user.completionCode,
+    redirectUrl: session.entry.completionUrl ? renderTemplate(session.entry.completionUrl, values) : null
+  };
+}
+
+export function sessionCoversRoom(session, roomId) {
+  return session.status === "open" && (session.roomIds.length === 0 || session.roomIds.includes(roomId));
+}
+
+export function findTreatment(session, treatmentId) {
+  return session?.treatments.find((treatment) => treatment.id === treatmentId) || null;
+}
+
+/**
+ * Draw a treatment for the next participant and count it
+ * @returns {string} treatment id
+ */
+export function assignTreatment(session) {
+  const counts = session.assignmentCounts;
+  let candidates = session.treatments;
+
+  if (session.assignment === "block") {
+    const fewest = Math.min(...candidates.map((treatment) => counts[treatment.id] || 0));
+    candidates = candidates.filter((treatment) => (counts[treatment.id] || 0) === fewest);
+  }
+
+  const { id } = candidates[Math.floor(Math.random() * candidates.length)];
+  counts[id] = (counts[id] || 0) + 1;
+  return id;
+}
+
+// "" for players outside any session
+export function treatmentKey(player) {
+  return player.treatmentId ? `${player.sessionId}/${player.treatmentId}` : "";
+}
+
+/**
+ * Split players into the groups that may be paired with each other:
+ * one group per session treatment, plus one for players outside any session
+ */
+export function groupByTreatment(players) {
+  const groups = new Map();
+  players.forEach((player) => {
+    const key = treatmentKey(player);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(player);
+  });
+  return [...groups.values()];
+}
+
+export function sameTreatment(a, b) {
+  return treatmentKey(a) === treatmentKey(b);
+}
@@ -1,18 +1,281 @@
-import { state } from "./datastore.js";
+// src/surveys.js
 
-export function submitPreSurvey(userId, responses) {
-  const u = state.users.get(userId);
-  if (!u) return;
-  u.preSurvey = { completed: true, responses: responses || {} };
+/**
+ * Survey instruments: named questionnaires authored in `gameConfig.surveys`
+ * and shown at a fixed point of the game (`trigger`):
+ *   entry      - survey.html, before a player picks a room; creates the user
+ *   pairEnd    - after every negotiation, whether it ended in a deal or not
+ *   sessionEnd - once the room's rounds or the experimental session are over;
+ *                a completion code is only handed out after it is submitted
+ * e.g. { postNegotiation: { title: "About that negotiation", trigger: "pairEnd",
+ *        questions: [{ id: "fair", type: "likert", question: "The outcome was fair",
+ *                      scale: 7, labels: ["Strongly disagree", "Strongly agree"], required: true }] } }
+ *
+ * Question types and their answers:
+ *   text, textarea      - text (optional maxLength)
+ *   number              - a number in [min, max]
+ *   select              - one of `options`
+ *   multiselect         - a list of `options` (optional minSelections / maxSelections)
+ *   likert              - 1..scale (default 5), optional end `labels`
+ *   likertMatrix        - { itemId: 1..scale } for every statement in `items` [{ id, text }]
+ *   slider              - a number in [min, max] on the `step` grid
+ *   consent             - true; a consent item is required unless `required: false`
+ * Any question can be an attention check with a `correctAnswer`: a wrong
+ * answer is not reported to the participant but stored with the response.
+ * `showIf` shows a question only after a given answer to an earlier one:
+ *   { question: 3, equals: "None" } | { in: [...] } | { notEquals: ... }
+ *   | { includes: option } (multiselect) | { atLeast: n } / { atMost: n }
+ * Answers are checked on the server (validateResponses); answers to hidden
+ * or unknown questions are dropped. Responses are stored per user,
+ * instrument and pair in the survey_responses table.
+ */
+
+export const SURVEY_TRIGGERS = ["entry", "pairEnd", "sessionEnd"];
+export const QUESTION_TYPES = ["text", "number", "select", "textarea", "multiselect", "likert", "likertMatrix", "slider", "consent"];
+const CONDITIONS = ["equals", "notEquals", "in", "includes", "atLeast", "atMost"];
+
+/**
+ * Check the survey instruments of a config; returns a list of problems (empty when valid)
+ */
+export function validateInstruments(surveys) {
+  if (!surveys || typeof surveys !== "object" || Array.isArray(surveys)) {
+    return ["surveys: must map instrument names to instruments"];
+  }
+
+  const problems = [];
+  const triggers = {};
+  Object.entries(surveys).forEach(([name, instrument]) => {
+    if (!SURVEY_TRIGGERS.includes(instrument?.trigger)) {
+      problems.push(`${name}: trigger must be one of ${SURVEY_TRIGGERS.join(", ")}`);
+    } else if (triggers[instrument.trigger]) {
+      problems.push(`${name}: ${triggers[instrument.trigger]} is already the ${instrument.trigger} survey`);
+    } else {
+      triggers[instrument.trigger] = name;
+    }
+
+    if (!Array.isArray(instrument?.questions) || instrument.questions.length === 0) {
+      problems.push(`${name}: needs at least one question`);
+      return;
+    }
+    const seen = new Set();
+    instrument.questions.forEach((question, i) => {
+      const where = `${name}.questions[${question?.id ?? i}]`;
+      const problemsBefore = problems.length;
+      if (question?.id === undefined || question.id === null) problems.push(`${where}: missing id`);
+      if (seen.has(question?.id)) problems.push(`${where}: duplicate id`);
+
+      if (!QUESTION_TYPES.includes(question?.type)) {
+        problems.push(`${where}: type must be one of ${QUESTION_TYPES.join(", ")}`);
+      }
+      if (["select", "multiselect"].includes(question?.type) && (!Array.isArray(question.options) || question.options.length === 0)) {
+        problems.push(`${where}: needs options`);
+      }
+      if (["likert", "likertMatrix"].includes(question?.type) && question.scale !== undefined
+        && (!Number.isInteger(question.scale) || question.scale < 2 || question.scale > 11)) {
+        problems.push(`${where}: scale must be a whole number from 2 to 11`);
+      }
+      if (question?.type === "likertMatrix") {
+        const items = Array.isArray(question.items) ? question.items : [];
+        if (items.length === 0) problems.push(`${where}: needs items`);
+        if (new Set(items.map((item) => item?.id)).size !== items.length || items.some((item) => item?.id === undefined)) {
+          problems.push(`${where}: every item needs its own id`);
+        }
+      }
+      if (question?.type === "slider"
+        && !(typeof question.min === "number" && typeof question.max === "number" && question.min < question.max)) {
+        problems.push(`${where}: slider needs a numeric min below max`);
+      }
+      // Only a well-formed question can be checked against its correct answer
+      if (question?.correctAnswer !== undefined && problems.length === problemsBefore
+        && answerProblem(question, question.correctAnswer)) {
+        problems.push(`${where}: correctAnswer is not a possible answer`);
+      }
+      if (question?.showIf !== undefined) {
+        const condition = question.showIf;
+        if (!seen.has(condition?.question)) {
+          problems.push(`${where}: showIf must refer to an earlier question`);
+        } else if (!CONDITIONS.some((key) => condition[key] !== undefined)) {
+          problems.push(`${where}: showIf needs one of ${CONDITIONS.join(", ")}`);
+        }
+      }
+
+      seen.add(question?.id);
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * The instrument shown at a trigger, if the config has one
+ * @returns {Object|null} { name, title, trigger, questions, ... }
+ */
+export function instrumentFor(surveys, trigger) {
+  const entry = Object.entries(surveys || {}).find(([, instrument]) => instrument.trigger === trigger);
+  return entry ? { ...entry[1], name: entry[0] } : null;
+}
+
+/**
+ * What a client needs to show an instrument
+ * @param {Object} context - { pairId, roundNumber } the survey is about
+ */
+export function surveyRequest(instrument, { pairId = null, roundNumber = null } = {}) {
+  return {
+    instrument: instrument.name,
+    trigger: instrument.trigger,
+    title: instrument.title || null,
+    description: instrument.description || null,
+    questions: publicInstrument(instrument).questions,
+    pairId,
+    roundNumber
+  };
+}
+
+function isEmpty(answer) {
+  if (answer === undefined || answer === null || answer === "") return true;
+  if (Array.isArray(answer)) return answer.length === 0;
+  return typeof answer === "object" && Object.keys(answer).length === 0;
+}
+
+const onScale = (question, value) => Number.isInteger(value) && value >= 1 && value <= (question.scale || 5);
+
+// Why an answer is not valid for a question (null when it is)
+function answerProblem(question, answer) {
+  switch (question.type) {
+    case "text":
+    case "textarea":
+      if (typeof answer !== "string") return "Please enter text.";
+      if (question.maxLength && answer.length > question.maxLength) return `Please keep it under ${question.maxLength} characters.`;
+      return null;
+    case "number":
+      if (typeof answer !== "number" || !Number.isFinite(answer)) return "Please enter a number.";
+      if (question.min !== undefined && answer < question.min) return `Minimum value is ${question.min}.`;
+      if (question.max !== undefined && answer > question.max) return `Maximum value is ${question.max}.`;
+      return null;
+    case "select":
+      return question.options.includes(answer) ? null : "Please choose one of the options.";
+    case "multiselect":
+      if (!Array.isArray(answer) || answer.some((option) => !question.options.includes(option))) {
+        return "Please choose from the options.";
+      }
+      if (new Set(answer).size !== answer.length) return "Each option can only be chosen once.";
+      if (question.minSelections && answer.length < question.minSelections) return `Please choose at least ${question.minSelections}.`;
+      if (question.maxSelections && answer.length > question.maxSelections) return `Please choose at most ${question.maxSelections}.`;
+      return null;
+    case "likert":
+      return onScale(question, answer) ? null : `Please choose a point from 1 to ${question.scale || 5}.`;
+    case "likertMatrix": {
+      if (typeof answer !== "object" || Array.isArray(answer)) return "Please rate the statements.";
+      const itemIds = question.items.map((item) => String(item.id));
+      const unknown = Object.keys(answer).some((itemId) => !itemIds.includes(itemId));
+      if (unknown || Object.values(answer).some((value) => !onScale(question, value))) {
+        return `Please rate each statement from 1 to ${question.scale || 5}.`;
+      }
+      return null;
+    }
+    case "slider": {
+      if (typeof answer !== "number" || answer < question.min || answer > question.max) {
+        return `Please choose a value from ${question.min} to ${question.max}.`;
+      }
+      const steps = (answer - question.min) / (question.step || 1);
+      return Math.abs(steps - Math.round(steps)) < 1e-9 ? null : `Please choose a value in steps of ${question.step}.`;
+    }
+    case "consent":
+      return typeof answer === "boolean" ? null : "Please tick the box or leave it empty.";
+    default:
+      return "Unknown question type.";
+  }
+}
+
+function sameAnswer(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((value) => b.includes(value));
+  return a === b;
+}
+
+/**
+ * Whether a question is shown, given the answers to the questions before it
+ * @param {Map} answers - questionId (as text) -> answer
+ */
+export function isShown(question, answers) {
+  const condition = question.showIf;
+  if (!condition) return true;
+
+  const answer = answers.get(String(condition.question));
+  if (answer === undefined) return false;
+  if (condition.equals !== undefined) return sameAnswer(answer, condition.equals);
+  if (condition.notEquals !== undefined) return !sameAnswer(answer, condition.notEquals);
+  if (condition.in !== undefined) return condition.in.includes(answer);
+  if (condition.includes !== undefined) return Array.isArray(answer) && answer.includes(condition.includes);
+  if (condition.atLeast !== undefined && !(answer >= condition.atLeast)) return false;
+  if (condition.atMost !== undefined && !(answer <= condition.atMost)) return false;
+  return true;
 }
 
-export function submitPostSurvey(userId, responses) {
-  const u = state.users.get(userId);
-  if (!u) return;
-  u.postSurvey = { completed: true, responses: responses || {} };
+/**
+ * Check a participant's answers against an instrument
+ * @param {Array|Object} responses - [{ questionId, answer }] or a { questionId: answer } map
+ * @returns {Object} { errors: [{ questionId, message }], responses: [{ questionId, answer }]
+ *   (shown questions only), attentionChecksFailed: [questionId] }
+ */
+export function validateResponses(instrument, responses) {
+  const list = Array.isArray(responses)
+    ? responses
+    : Object.entries(responses || {}).map(([questionId, answer]) => ({ questionId, answer }));
+  const given = new Map(list.filter(Boolean).map(({ questionId, answer }) => [String(questionId), answer]));
+
+  const errors = [];
+  const accepted = new Map();
+  const attentionChecksFailed = [];
+  instrument.questions.forEach((question) => {
+    if (!isShown(question, accepted)) return;
+
+    const answer = given.get(String(question.id));
+    const required = question.type === "consent" ? question.required !== false : question.required;
+    if (isEmpty(answer) || (question.type === "consent" && answer === false)) {
+      if (required) {
+        const message = question.type === "consent" ? "Please give your consent to continue." : "This question is required.";
+        errors.push({ questionId: question.id, message });
+      }
+      return;
+    }
+    if (question.type === "likertMatrix" && required && Object.keys(answer).length < question.items.length) {
+      errors.push({ questionId: question.id, message: "Please rate every statement." });
+      return;
+    }
+
+    const problem = answerProblem(question, answer);
+    if (problem) {
+      errors.push({ questionId: question.id, message: problem });
+      return;
+    }
+    accepted.set(String(question.id), answer);
+    if (question.correctAnswer !== undefined && !sameAnswer(answer, question.correctAnswer)) {
+      attentionChecksFailed.push(question.id);
+    }
+  });
+
+  return {
+    errors,
+    responses: instrument.questions
+      .filter((question) => accepted.has(String(question.id)))
+      .map((question) => ({ questionId: question.id, answer: accepted.get(String(question.id)) })),
+    attentionChecksFailed
+  };
 }
 
-export const hasCompletedPreSurvey = (userId) => {
-  const u = state.users.get(userId);
-  return !!(u && u.preSurvey.completed);
-};
+/**
+ * An instrument as sent to participants: attention-check answers stay on the server
+ */
+export function publicInstrument(instrument) {
+  return {
+    ...instrument,
+    questions: instrument.questions.map(({ correctAnswer, ...question }) => question)
+  };
+}
+
+// Whether the user already answered an instrument about this pair (or at all, for pairless ones)
+export function hasSubmitted(user, instrumentName, pairId = null) {
+  return (user.surveysSubmitted || []).some((submitted) =>
+    submitted.instrument === instrumentName && submitted.pairId === pairId
+  );
+}
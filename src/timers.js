@@ -0,0 +1,122 @@
+// src/timers.js
+
+/**
+ * Server-side negotiation deadlines, one per pair.
+ * Remaining time is always derived from the stored deadline so ticks
+ * that fire late never drift the countdown.
+ */
+export class PairTimerManager {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onTick - (pairId, remainingSeconds, totalSeconds)
+   * @param {Function} handlers.onWarning - (pairId, remainingSeconds, thresholdSeconds)
+   * @param {Function} handlers.onExpire - (pairId)
+   */
+  constructor({ onTick, onWarning, onExpire }) {
+    this.onTick = onTick || (() => {});
+    this.onWarning = onWarning || (() => {});
+    this.onExpire = onExpire || (() => {});
+    this.timers = new Map(); // pairId -> timer state
+  }
+
+  /**
+   * Start (or restart) the countdown for a pair
+   * @param {string} pairId
+   * @param {Object} options
+   * @param {number} options.durationSeconds - total negotiation time
+   * @param {number[]} options.warningSeconds - remaining-time thresholds that trigger a warning
+   * @param {number} options.tickSeconds - how often to push the countdown
+   */
+  start(pairId, { durationSeconds, warningSeconds = [], tickSeconds = 1 }) {
+    this.stop(pairId);
+    if (!durationSeconds || durationSeconds <= 0) return null;
+
+    const timer = {
+      pairId,
+      totalSeconds: durationSeconds,
+      deadline: Date.now() + durationSeconds * 1000,
+      pendingWarnings: [...warningSeconds].filter(s => s < durationSeconds).sort((a, b) => b - a),
+      tickMs: Math.max(tickSeconds, 1) * 1000,
+      pausedRemainingMs: null,
+      interval: null
+    };
+
+    timer.interval = setInterval(() => this.tick(pairId), timer.tickMs);
+    this.timers.set(pairId, timer);
+    this.onTick(pairId, durationSeconds, durationSeconds);
+    return timer;
+  }
+
+  tick(pairId) {
+    const timer = this.timers.get(pairId);
+    if (!timer) return;
+
+    const remaining = this.getRemaining(pairId);
+
+    while (timer.pendingWarnings.length && remaining <= timer.pendingWarnings[0]) {
+      const threshold = timer.pendingWarnings.shift();
+      this.onWarning(pairId, remaining, threshold);
+    }
+
+    if (remaining <= 0) {
+      this.stop(pairId);
+      this.onExpire(pairId);
+      return;
+    }
+
+    this.onTick(pairId, remaining, timer.totalSeconds);
+  }
+
+  /**
+   * Seconds left for a pair, or null if it has no timer
+   */
+  getRemaining(pairId) {
+    const timer = this.timers.get(pairId);
+    if (!timer) return null;
+    if (timer.pausedRemainingMs !== null) return Math.max(0, Math.ceil(timer.pausedRemainingMs / 1000));
+    return Math.max(0, Math.ceil((timer.deadline - Date.now()) / 1000));
+  }
+
+  /**
+   * Freeze a countdown; the remaining time is kept until resume()
+   */
+  pause(pairId) {
+    const timer = this.timers.get(pairId);
+    if (!timer || timer.pausedRemainingMs !== null) return false;
+    clearInterval(timer.interval);
+    timer.interval = null;
+    timer.pausedRemainingMs = Math.max(0, timer.deadline - Date.now());
+    return true;
+  }
+
+  resume(pairId) {
+    const timer = this.timers.get(pairId);
+    if (!timer || timer.pausedRemainingMs === null) return false;
+    timer.deadline = Date.now() + timer.pausedRemainingMs;
+    timer.pausedRemainingMs = null;
+    timer.interval = setInterval(() => this.tick(pairId), timer.tickMs);
+    this.onTick(pairId, this.getRemaining(pairId), timer.totalSeconds);
+    return true;
+  }
+
+  isPaused(pairId) {
+    return this.timers.get(pairId)?.pausedRemainingMs != null;
+  }
+
+  has(pairId) {
+    return this.timers.has(pairId);
+  }
+
+  stop(pairId) {
+    const timer = this.timers.get(pairId);
+    if (!timer) return;
+    clearInterval(timer.interval);
+    this.timers.delete(pairId);
+  }
+
+  stopAll() {
+    for (const pairId of [...this.timers.keys()]) {
+      this.stop(pairId);
+    }
+  }
+}
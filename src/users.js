@@ -1,31 +1,26 @@
-import { state } from "./datastore.js";
-
-export function addUser(userId, roomId, name) {
-  const user = {
-    id: userId,
-    name,
+/**
+ * New participant (or bot) record in the shape every handler expects
+ * @param {Object} fields - at least { id, name }; anything else is kept as given
+ */
+export function createUserRecord({ id, name, roomId = null, ...extra }) {
+  return {
+    id,
+    name: name || "Anonymous",
+    socketId: null,
     roomId,
-    partnerId: null,
     role: null,                // "A" | "B"
-    roundsCompleted: 0,
-    previousPartners: new Set(),
-    status: "new",             // new | waiting | paired | disconnected
-    preSurvey: { completed: false, responses: {} },
-    postSurvey: { completed: false, responses: {} },
-    confirmPrice: null         // last price user confirmed this round (for locking)
+    roleGroup: null,           // session role block group, see src/scheduler.js
+    pairId: null,
+    currentRound: 0,
+    completedRounds: 0,
+    completedDeals: 0,
+    previousPartners: [],
+    roleHistory: [],
+    sessionId: null,           // experimental session and treatment, see src/sessions.js
+    treatmentId: null,
+    confirmPrice: null,        // price this user confirmed in the current pair (for locking)
+    surveysSubmitted: [],      // [{ instrument, trigger, pairId }], see src/surveys.js
+    pendingSurveys: [],        // survey requests not answered yet, re-sent after a reload
+    ...extra
   };
-  state.users.set(userId, user);
-  return user;
-}
-
-export const getUser = (id) => state.users.get(id);
-
-export function updateUser(id, updates) {
-  const u = state.users.get(id);
-  if (!u) return;
-  Object.assign(u, updates);
-}
-
-export function removeUser(id) {
-  state.users.delete(id);
 }
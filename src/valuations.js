@@ -0,0 +1,108 @@
+// src/valuations.js
+
+/**
+ * Private reservation values for distributive bargaining.
+ *
+ * A product may define `sellerCost` (seller's reservation price) and
+ * `buyerValue` (buyer's valuation). Each is either a fixed number or a
+ * distribution drawn once per pair:
+ *   { distribution: "uniform", min, max }
+ *   { distribution: "normal", mean, sd, min?, max? }
+ * An optional `step` (default 1) rounds the drawn value.
+ */
+
+// Value specs, plus the briefing anchors and variants some treatments hide
+const PRIVATE_FIELDS = ["sellerCost", "buyerValue", "sellerInfo", "buyerInfo", "briefingValues", "briefingVariants"];
+
+function roundToStep(value, step = 1) {
+  return Math.round(value / step) * step;
+}
+
+function clamp(value, min, max) {
+  if (typeof min === "number") value = Math.max(min, value);
+  if (typeof max === "number") value = Math.min(max, value);
+  return value;
+}
+
+// Box-Muller transform, good enough for experiment parameters
+function standardNormal() {
+  let u = 0;
+  let v = 0;
+  while (u === 0) u = Math.random();
+  while (v === 0) v = Math.random();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+/**
+ * Resolve a value spec into a number
+ * @param {number|Object} spec - fixed value or distribution config
+ * @returns {number|null}
+ */
+export function drawValue(spec) {
+  if (spec === null || spec === undefined) return null;
+  if (typeof spec === "number") return spec;
+
+  const step = spec.step || 1;
+  switch (spec.distribution) {
+    case "uniform": {
+      const value = spec.min + Math.random() * (spec.max - spec.min);
+      return roundToStep(value, step);
+    }
+    case "normal": {
+      const value = spec.mean + standardNormal() * (spec.sd || 0);
+      return clamp(roundToStep(value, step), spec.min, spec.max);
+    }
+    case "fixed":
+      return spec.value ?? null;
+    default:
+      console.warn(`⚠️ Unknown value distribution: ${spec.distribution}`);
+      return null;
+  }
+}
+
+/**
+ * Draw the reservation values for a new pair
+ * A = Seller (cost), B = Buyer (valuation)
+ * @param {Object} product - product config from gameConfig.rooms[].products
+ * @returns {Object|null} { A, B } or null if the product defines neither
+ */
+export function drawReservationValues(product) {
+  if (!product || (product.sellerCost === undefined && product.buyerValue === undefined)) {
+    return null;
+  }
+
+  return {
+    A: drawValue(product.sellerCost),
+    B: drawValue(product.buyerValue)
+  };
+}
+
+/**
+ * Surplus each side earns at an agreed price
+ * @param {number} price - agreed price
+ * @param {Object} reservationValues - { A, B } as drawn for the pair
+ * @returns {Object|null} { A, B } surplus per role
+ */
+export function computeSurplus(price, reservationValues) {
+  if (!reservationValues || typeof price !== "number") return null;
+
+  return {
+    A: typeof reservationValues.A === "number" ? price - reservationValues.A : null,
+    B: typeof reservationValues.B === "number" ? reservationValues.B - price : null
+  };
+}
+
+/**
+ * Product config without any role-private value specs, briefing templates
+ * and anchors or issue point schedules, safe to broadcast. Each participant
+ * reads their own role's rendered briefing instead (see src/briefings.js).
+ */
+export function publicProduct(product) {
+  if (!product) return product;
+  const copy = { ...product };
+  PRIVATE_FIELDS.forEach((field) => delete copy[field]);
+  if (Array.isArray(copy.issues)) {
+    copy.issues = copy.issues.map(({ points, ...issue }) => issue);
+  }
+  return copy;
+}
@@ -0,0 +1,47 @@
+// test/extractors.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_EXTRACTOR, getExtractor, listExtractors, runExtractor } from "../src/extractors/index.js";
+
+// The offline backends should agree on messages with one clear reading
+const CASES = [
+  { message: "150k", role: "A", offer: 150000 },
+  { message: "$5", role: "B", offer: 5 },
+  { message: "$900", role: "A", offer: 900 },
+  { message: "How about 800?", role: "B", offer: 800 },
+  { message: "How about 1.1k?", role: "B", offer: 1100 },
+  { message: "This iPhone 14 Pro is yours for $980", role: "A", offer: 980 },
+  { message: "It has 2 years of warranty left", role: "A", offer: null },
+  { message: "Give me 5 minutes to think", role: "B", offer: null },
+  { message: "Ok deal", role: "B", offer: null }
+];
+
+for (const backend of ["regex", "classifier"]) {
+  describe(`${backend} extractor`, () => {
+    for (const { message, role, offer } of CASES) {
+      it(`reads ${JSON.stringify(message)} as ${offer}`, async () => {
+        const result = await runExtractor(backend, message, role);
+        assert.equal(result.offer, offer);
+        assert.equal(result.extractor.name, backend);
+      });
+    }
+  });
+}
+
+describe("extractor registry", () => {
+  it("falls back to the default backend for unknown names", () => {
+    assert.equal(getExtractor("nonsense").name, DEFAULT_EXTRACTOR);
+    assert.equal(getExtractor().name, DEFAULT_EXTRACTOR);
+  });
+
+  it("lists every backend", () => {
+    assert.deepEqual(listExtractors().map((extractor) => extractor.name).sort(), ["classifier", "huggingface", "manual", "regex"]);
+  });
+
+  it("never reads offers with the manual backend", async () => {
+    const result = await runExtractor("manual", "I can offer $900", "B");
+    assert.equal(result.offer, null);
+    assert.equal(result.errorCause, "manual_only");
+  });
+});
@@ -0,0 +1,58 @@
+// test/issues.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeAgreement, paretoFrontier, scoreTerms } from "../src/issues.js";
+
+// Warranty matters more to the buyer, delivery more to the seller: trading them creates value
+const product = {
+  name: "Laptop",
+  issues: [
+    { id: "price", options: [900, 1000], points: { A: [0, 40], B: [40, 0] } },
+    { id: "warranty", options: [12, 36], points: { A: [20, 0], B: [0, 60] } },
+    { id: "delivery", options: [{ value: "now", label: "Right away" }, { value: "later", label: "Next month" }], points: { A: [0, 30], B: [10, 0] } }
+  ]
+};
+
+describe("scoreTerms", () => {
+  it("adds up each role's points", () => {
+    assert.deepEqual(scoreTerms(product.issues, { price: 1000, warranty: 12, delivery: "now" }), { A: 60, B: 10, joint: 70 });
+  });
+});
+
+describe("paretoFrontier", () => {
+  it("keeps only undominated outcomes", () => {
+    const frontier = paretoFrontier(product.issues);
+    const scores = frontier.map((outcome) => [outcome.scores.A, outcome.scores.B]).sort((x, y) => x[0] - y[0]);
+    assert.deepEqual(scores, [[0, 110], [30, 100], [40, 70], [70, 60], [90, 0]]);
+  });
+
+  it("gives up on issue sets too large to enumerate", () => {
+    const options = Array.from({ length: 20 }, (_, i) => i);
+    const issue = (id) => ({ id, options, points: { A: options, B: options } });
+    assert.equal(paretoFrontier(["a", "b", "c", "d"].map(issue)), null);
+  });
+});
+
+describe("analyzeAgreement", () => {
+  it("scores a Pareto-optimal agreement", () => {
+    const result = analyzeAgreement(product, { price: 1000, warranty: 36, delivery: "later" });
+    assert.deepEqual(result.scores, { A: 70, B: 60, joint: 130 });
+    assert.equal(result.maxJointGain, 130);
+    assert.equal(result.efficiency, 1);
+    assert.equal(result.paretoOptimal, true);
+    assert.equal(result.distanceToFrontier, 0);
+  });
+
+  it("measures how far a dominated agreement is from the frontier", () => {
+    const result = analyzeAgreement(product, { price: 1000, warranty: 12, delivery: "now" });
+    assert.deepEqual(result.scores, { A: 60, B: 10, joint: 70 });
+    assert.equal(result.paretoOptimal, false);
+    assert.equal(result.efficiency, 0.538);
+    assert.equal(result.distanceToFrontier, 60);
+  });
+
+  it("ignores single-issue products", () => {
+    assert.equal(analyzeAgreement({ name: "Chair" }, { price: 10 }), null);
+  });
+});
@@ -0,0 +1,108 @@
+// test/pairing.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createPairingState, pairRoleGroups, selectBenchedPlayers } from "../src/pairing.js";
+
+function players(prefix, count) {
+  return Array.from({ length: count }, (_, i) => ({ id: `${prefix}${i + 1}`, name: `${prefix}${i + 1}`, previousPartners: [] }));
+}
+
+// Play a session the way the server does: partners are remembered after every round
+function playRounds({ groupA, groupB, totalRounds, config }) {
+  const state = createPairingState();
+  const rounds = [];
+  for (let roundNumber = 1; roundNumber <= totalRounds; roundNumber++) {
+    const result = pairRoleGroups({ groupA, groupB, roundNumber, totalRounds, config, state });
+    result.pairs.forEach(([a, b]) => {
+      a.previousPartners.push(b.id);
+      b.previousPartners.push(a.id);
+    });
+    rounds.push(result);
+  }
+  return rounds;
+}
+
+const pairKey = ([a, b]) => `${a.id}-${b.id}`;
+
+describe("pairRoleGroups", () => {
+  it("never repeats a partner under perfect_stranger", () => {
+    const rounds = playRounds({ groupA: players("a", 5), groupB: players("b", 5), totalRounds: 5, config: { strategy: "perfect_stranger" } });
+
+    const seen = new Set();
+    rounds.forEach(({ pairs, unpaired, violations }) => {
+      assert.equal(pairs.length, 5);
+      assert.deepEqual(unpaired, []);
+      assert.deepEqual(violations, []);
+      pairs.forEach((pair) => {
+        assert.ok(!seen.has(pairKey(pair)), `${pairKey(pair)} met twice`);
+        seen.add(pairKey(pair));
+      });
+    });
+    assert.equal(seen.size, 25);
+  });
+
+  it("reports a perfect_stranger session longer than the rotation", () => {
+    const [first] = playRounds({ groupA: players("a", 3), groupB: players("b", 3), totalRounds: 4, config: { strategy: "perfect_stranger" } });
+    assert.equal(first.violations.length, 1);
+    assert.match(first.violations[0], /needs 4 players per role/);
+  });
+
+  it("restarts the round_robin cycle without reporting rematches", () => {
+    const rounds = playRounds({ groupA: players("a", 3), groupB: players("b", 3), totalRounds: 6, config: { strategy: "round_robin" } });
+
+    rounds.forEach(({ violations }) => assert.deepEqual(violations, []));
+    assert.deepEqual(rounds[3].pairs.map(pairKey), rounds[0].pairs.map(pairKey));
+  });
+
+  it("keeps fixed partners together", () => {
+    const rounds = playRounds({ groupA: players("a", 4), groupB: players("b", 4), totalRounds: 3, config: { strategy: "fixed" } });
+    const firstRound = rounds[0].pairs.map(pairKey).sort();
+    rounds.forEach(({ pairs, violations }) => {
+      assert.deepEqual(pairs.map(pairKey).sort(), firstRound);
+      assert.deepEqual(violations, []);
+    });
+  });
+});
+
+describe("selectBenchedPlayers", () => {
+  it("leaves even groups alone", () => {
+    const groupA = players("a", 3);
+    const groupB = players("b", 3);
+    assert.deepEqual(selectBenchedPlayers(groupA, groupB), { groupA, groupB, benched: [] });
+  });
+
+  it("benches the surplus of the larger group", () => {
+    const { groupA, groupB, benched } = selectBenchedPlayers(players("a", 5), players("b", 3));
+    assert.equal(benched.length, 2);
+    assert.equal(groupA.length, 3);
+    assert.equal(groupB.length, 3);
+    benched.forEach((player) => assert.ok(player.id.startsWith("a")));
+  });
+
+  it("benches nobody twice before everyone has sat out once", () => {
+    const groupA = players("a", 5);
+    const groupB = players("b", 3);
+
+    for (let roundNumber = 1; roundNumber <= 10; roundNumber++) {
+      const { benched } = selectBenchedPlayers(groupA, groupB);
+      benched.forEach((player) => {
+        player.benchHistory = [...(player.benchHistory || []), { roundNumber }];
+      });
+
+      const counts = groupA.map((player) => player.benchHistory?.length || 0);
+      assert.ok(Math.max(...counts) - Math.min(...counts) <= 1, `uneven benching after round ${roundNumber}: ${counts}`);
+    }
+    groupA.forEach((player) => assert.equal(player.benchHistory.length, 4));
+  });
+
+  it("benches whoever sat out longest ago among equals", () => {
+    const groupA = players("a", 3);
+    groupA[0].benchHistory = [{ roundNumber: 2 }];
+    groupA[1].benchHistory = [{ roundNumber: 1 }];
+    groupA[2].benchHistory = [{ roundNumber: 3 }];
+
+    const { benched } = selectBenchedPlayers(groupA, players("b", 2));
+    assert.deepEqual(benched.map((player) => player.id), ["a2"]);
+  });
+});
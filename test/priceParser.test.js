@@ -0,0 +1,64 @@
+// test/priceParser.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parsePriceMentions, wordsToNumber } from "../src/extractors/priceParser.js";
+
+const values = (text) => parsePriceMentions(text).map((mention) => mention.value);
+
+describe("parsePriceMentions", () => {
+  it("reads thousands separators and decimals", () => {
+    assert.deepEqual(values("I'm asking $1,250 for the laptop"), [1250]);
+    assert.deepEqual(values("I can do 1,250.50"), [1250.5]);
+    assert.deepEqual(values("I can do 499.99"), [499.99]);
+  });
+
+  it("expands k and scale suffixes", () => {
+    assert.deepEqual(values("150k"), [150000]);
+    assert.deepEqual(values("How about 1.1k?"), [1100]);
+    assert.deepEqual(values("2 grand"), [2000]);
+  });
+
+  it("records the currency from symbols, codes and words", () => {
+    const [euro] = parsePriceMentions("€300");
+    assert.equal(euro.currency, "EUR");
+    assert.equal(euro.hasCurrency, true);
+
+    assert.equal(parsePriceMentions("850 USD is what I can pay")[0].currency, "USD");
+    assert.equal(parsePriceMentions("a thousand bucks")[0].currency, "USD");
+    assert.equal(parsePriceMentions("£40 quid")[0].currency, "GBP");
+    assert.equal(parsePriceMentions("I can do 900")[0].hasCurrency, false);
+  });
+
+  it("reads number words", () => {
+    assert.deepEqual(values("I can offer twelve hundred"), [1200]);
+    assert.deepEqual(values("I'd sell for nine fifty"), [950]);
+    assert.deepEqual(values("a thousand bucks"), [1000]);
+  });
+
+  it("ignores lone small number words", () => {
+    assert.deepEqual(values("one or two questions"), []);
+  });
+
+  it("reports spans of the raw text in message order", () => {
+    const text = "iPhone 14 for 900 dollars";
+    const mentions = parsePriceMentions(text);
+    assert.deepEqual(mentions.map((mention) => mention.value), [14, 900]);
+    mentions.forEach((mention) => assert.equal(text.slice(mention.start, mention.end), mention.raw));
+    assert.equal(mentions[1].raw, "900 dollars");
+  });
+
+  it("returns nothing for empty input", () => {
+    assert.deepEqual(parsePriceMentions(""), []);
+    assert.deepEqual(parsePriceMentions(null), []);
+  });
+});
+
+describe("wordsToNumber", () => {
+  it("combines spoken prices", () => {
+    assert.equal(wordsToNumber(["two", "fifty"]), 250);
+    assert.equal(wordsToNumber(["twelve", "fifty"]), 1250);
+    assert.equal(wordsToNumber(["one", "thousand", "two", "hundred"]), 1200);
+    assert.equal(wordsToNumber(["seventy", "five"]), 75);
+  });
+});
@@ -0,0 +1,109 @@
+// test/resolver.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolveOfferExpressions } from "../src/extractors/resolver.js";
+
+const none = { offer: null, offerSpan: null, numbersFound: [] };
+const standing = { latestOffers: { A: 900, B: 800 }, chatOffers: { A: null, B: null } };
+
+describe("resolveOfferExpressions", () => {
+  describe("ranges", () => {
+    it("takes the midpoint of an explicit range", () => {
+      const result = resolveOfferExpressions("I'm looking for between $900 and $1,000", "A", none);
+      assert.equal(result.offer, 950);
+      assert.deepEqual(result.offerRange, { min: 900, max: 1000 });
+      assert.equal(result.resolution.type, "range");
+      assert.equal(result.confidence, 0.85);
+    });
+
+    it("trusts a bare dash range less", () => {
+      const result = resolveOfferExpressions("400-450 would work", "B", none);
+      assert.equal(result.offer, 425);
+      assert.equal(result.confidence, 0.7);
+    });
+
+    it("needs an opener before 'and' counts as a range", () => {
+      const result = resolveOfferExpressions("You said 950 and I said 700", "B", none);
+      assert.notEqual(result.resolution.type, "range");
+    });
+  });
+
+  describe("relative offers", () => {
+    it("resolves an explicit reference to the partner's offer", () => {
+      const result = resolveOfferExpressions("Knock 50 off your last price", "B", none, standing);
+      assert.equal(result.offer, 850);
+      assert.equal(result.resolution.referenceRole, "A");
+      assert.equal(result.resolution.delta, -50);
+      assert.equal(result.confidence, 0.8);
+    });
+
+    it("resolves an explicit reference to the sender's own offer", () => {
+      const result = resolveOfferExpressions("I can come down 20 from my offer", "A", none, standing);
+      assert.equal(result.offer, 880);
+      assert.equal(result.resolution.referenceRole, "A");
+    });
+
+    it("applies percentages to the reference", () => {
+      const result = resolveOfferExpressions("Could you do 10% less?", "B", none, standing);
+      assert.equal(result.offer, 810);
+      assert.equal(result.resolution.percent, true);
+      assert.equal(result.resolution.delta, -90);
+    });
+
+    it("asks the partner to move without a reference phrase", () => {
+      const result = resolveOfferExpressions("Add 30 more and we have a deal", "A", none, standing);
+      assert.equal(result.offer, 830);
+      assert.equal(result.resolution.referenceRole, "B");
+      assert.equal(result.confidence, 0.6);
+    });
+
+    it("moves from the sender's own offer on a concession", () => {
+      const seller = resolveOfferExpressions("I can do 50 less", "A", none, standing);
+      assert.equal(seller.offer, 850);
+      assert.equal(seller.resolution.referenceRole, "A");
+      assert.equal(seller.confidence, 0.6);
+
+      const buyer = resolveOfferExpressions("Fine, 50 more", "B", none, standing);
+      assert.equal(buyer.offer, 850);
+      assert.equal(buyer.resolution.referenceRole, "B");
+    });
+
+    it("applies a percentage concession to the sender's own offer", () => {
+      const result = resolveOfferExpressions("I'll take 10% off", "A", none, standing);
+      assert.equal(result.offer, 810);
+      assert.equal(result.resolution.referenceValue, 900);
+    });
+
+    it("lets an explicit reference override the concession default", () => {
+      const result = resolveOfferExpressions("I can do 50 more than your offer", "B", none, standing);
+      assert.equal(result.offer, 950);
+      assert.equal(result.resolution.referenceRole, "A");
+    });
+
+    it("falls back to the last chat offer", () => {
+      const context = { latestOffers: { A: null, B: null }, chatOffers: { A: 1000, B: null } };
+      const result = resolveOfferExpressions("Knock 50 off your price", "B", none, context);
+      assert.equal(result.offer, 950);
+      assert.equal(result.resolution.referenceSource, "chatOffers");
+    });
+
+    it("leaves the offer open when there is nothing to resolve against", () => {
+      const result = resolveOfferExpressions("Can you go 50 lower?", "B", none, {});
+      assert.equal(result.offer, null);
+      assert.equal(result.errorCause, "no_reference_offer");
+      assert.equal(result.resolution.type, "unresolved_relative");
+    });
+  });
+
+  it("keeps a backend's point offer and its confidence", () => {
+    const result = resolveOfferExpressions("I can pay 800", "B", {
+      offer: 800,
+      offerSpan: { start: 10, end: 13 },
+      numbersFound: [{ value: 800, span: { start: 10, end: 13 }, confidence: 0.9 }]
+    });
+    assert.equal(result.offer, 800);
+    assert.equal(result.resolution.type, "point");
+    assert.equal(result.confidence, 0.9);
+  });
+});
@@ -0,0 +1,45 @@
+// test/results.test.js
+
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { state } from "../src/datastore.js";
+import { compileRoundResults, participantResults } from "../src/results.js";
+
+const alice = { id: "alice", name: "Alice" };
+const bob = { id: "bob", name: "Bob" };
+const carol = { id: "carol", name: "Carol" };
+
+function addPair(id, userA, userB, startedAt, fields = {}) {
+  state.pairs[id] = { id, roomId: "home", roundNumber: 1, userA, userB, product: { name: "Lamp" }, startedAt, finalDeal: null, status: "active", ...fields };
+}
+
+describe("participantResults", () => {
+  afterEach(() => {
+    Object.keys(state.pairs).forEach((id) => delete state.pairs[id]);
+    delete state.rooms.home;
+  });
+
+  it("reports the pair a re-paired player finished, not the dissolved one", () => {
+    state.rooms.home = { id: "home", users: [alice, bob, carol] };
+    addPair("first", alice, bob, "2026-01-01T10:00:00.000Z", { status: "abandoned", endReason: "dissolved_by_moderator" });
+    addPair("second", alice, carol, "2026-01-01T10:05:00.000Z", {
+      status: "completed",
+      finalDeal: { price: 120, surplus: { A: 20, B: 30 } }
+    });
+
+    const debrief = participantResults(compileRoundResults("home", 1), "alice", "own");
+    assert.equal(debrief.outcome.success, true);
+    assert.equal(debrief.outcome.price, 120);
+    assert.equal(debrief.outcome.score, 20);
+  });
+
+  it("falls back to the latest pair without a deal", () => {
+    state.rooms.home = { id: "home", users: [alice, bob, carol] };
+    addPair("second", alice, carol, "2026-01-01T10:05:00.000Z", { status: "abandoned", endReason: "time_expired" });
+    addPair("first", alice, bob, "2026-01-01T10:00:00.000Z", { status: "abandoned", endReason: "dissolved_by_moderator" });
+
+    const debrief = participantResults(compileRoundResults("home", 1), "alice", "own");
+    assert.equal(debrief.outcome.success, false);
+    assert.equal(debrief.outcome.endReason, "time_expired");
+  });
+});
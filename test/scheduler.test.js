@@ -0,0 +1,48 @@
+// test/scheduler.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SessionScheduler, assignRoleGroups, productForRound, scheduledRole } from "../src/scheduler.js";
+
+describe("scheduledRole", () => {
+  it("flips roles after every block", () => {
+    const roles = [1, 2, 3, 4, 5, 6].map((round) => scheduledRole("A", round, 2));
+    assert.deepEqual(roles, ["A", "A", "B", "B", "A", "A"]);
+    assert.deepEqual([1, 3].map((round) => scheduledRole("B", round, 2)), ["B", "A"]);
+  });
+});
+
+describe("assignRoleGroups", () => {
+  it("fills the smaller group and keeps existing groups", () => {
+    const players = [{ id: 1, roleGroup: "A" }, { id: 2, roleGroup: "A" }, { id: 3 }, { id: 4 }, { id: 5 }];
+    assert.deepEqual(assignRoleGroups(players), { A: 3, B: 2 });
+    assert.equal(players[0].roleGroup, "A");
+    assert.equal(players[1].roleGroup, "A");
+  });
+});
+
+describe("productForRound", () => {
+  it("rotates products in config order", () => {
+    assert.deepEqual([1, 2, 3, 4].map((round) => productForRound(["x", "y", "z"], round)), ["x", "y", "z", "x"]);
+    assert.equal(productForRound([], 1), null);
+  });
+});
+
+describe("SessionScheduler", () => {
+  it("restores a stored schedule where it stopped", () => {
+    const before = new SessionScheduler({});
+    before.beginRound("room", { totalRounds: 4, roleBlockRounds: 2 });
+    before.finishRound("room");
+    before.beginRound("room");
+    const record = before.record("room");
+    assert.deepEqual(record, {
+      status: "running", currentRound: 2, totalRounds: 4, roleBlockRounds: 2, autoAdvance: false, breakSeconds: 60
+    });
+
+    const after = new SessionScheduler({});
+    after.restore("room", JSON.parse(JSON.stringify(record)));
+    assert.equal(after.snapshot("room").roundsRemaining, 2);
+    assert.equal(after.finishRound("room"), "waiting");
+    assert.deepEqual(after.canStartRound("room"), { ok: true, roundNumber: 3 });
+  });
+});
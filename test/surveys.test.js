@@ -0,0 +1,108 @@
+// test/surveys.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { publicInstrument, validateInstruments, validateResponses } from "../src/surveys.js";
+
+const instrument = {
+  name: "entry",
+  trigger: "entry",
+  questions: [
+    { id: "consent", type: "consent", question: "I agree to take part" },
+    { id: "employed", type: "select", question: "Are you employed?", options: ["Yes", "No"], required: true },
+    { id: "sector", type: "text", question: "Which sector?", required: true, showIf: { question: "employed", equals: "Yes" } },
+    { id: "attention", type: "select", question: "Please choose 'Blue'", options: ["Red", "Blue"], correctAnswer: "Blue" },
+    { id: "tools", type: "multiselect", question: "Tools you use", options: ["Email", "Chat", "Phone"] },
+    { id: "chat", type: "likert", question: "How often do you chat?", scale: 5, required: true, showIf: { question: "tools", includes: "Chat" } }
+  ]
+};
+
+const answer = (answers) => validateResponses(instrument, answers);
+const errorIds = (result) => result.errors.map((error) => error.questionId);
+
+describe("validateResponses", () => {
+  describe("consent", () => {
+    it("is required unless marked optional", () => {
+      const result = answer({ employed: "No" });
+      assert.deepEqual(errorIds(result), ["consent"]);
+      assert.equal(result.errors[0].message, "Please give your consent to continue.");
+    });
+
+    it("rejects a declined consent", () => {
+      assert.deepEqual(errorIds(answer({ consent: false, employed: "No" })), ["consent"]);
+    });
+
+    it("can be left empty when optional", () => {
+      const optional = { questions: [{ id: "photo", type: "consent", question: "You may use my photo", required: false }] };
+      assert.deepEqual(validateResponses(optional, { photo: false }).errors, []);
+    });
+  });
+
+  describe("conditional questions", () => {
+    it("requires a shown follow-up", () => {
+      assert.deepEqual(errorIds(answer({ consent: true, employed: "Yes" })), ["sector"]);
+    });
+
+    it("drops answers to hidden questions", () => {
+      const result = answer({ consent: true, employed: "No", sector: "Finance" });
+      assert.deepEqual(result.errors, []);
+      assert.deepEqual(result.responses.map((response) => response.questionId), ["consent", "employed"]);
+    });
+
+    it("follows multiselect answers", () => {
+      assert.deepEqual(errorIds(answer({ consent: true, employed: "No", tools: ["Chat"] })), ["chat"]);
+      assert.deepEqual(answer({ consent: true, employed: "No", tools: ["Email"] }).errors, []);
+    });
+
+    it("hides follow-ups of an invalid answer", () => {
+      const result = answer({ consent: true, employed: "Maybe", sector: "Finance" });
+      assert.deepEqual(errorIds(result), ["employed"]);
+    });
+  });
+
+  describe("attention checks", () => {
+    it("records a wrong answer without reporting it", () => {
+      const result = answer({ consent: true, employed: "No", attention: "Red" });
+      assert.deepEqual(result.errors, []);
+      assert.deepEqual(result.attentionChecksFailed, ["attention"]);
+      assert.deepEqual(result.responses.find((response) => response.questionId === "attention").answer, "Red");
+    });
+
+    it("passes a right answer", () => {
+      assert.deepEqual(answer({ consent: true, employed: "No", attention: "Blue" }).attentionChecksFailed, []);
+    });
+
+    it("keeps correct answers away from participants", () => {
+      const shown = publicInstrument(instrument).questions.find((question) => question.id === "attention");
+      assert.equal(shown.correctAnswer, undefined);
+    });
+  });
+
+  it("accepts a list of answers", () => {
+    const result = answer([{ questionId: "consent", answer: true }, { questionId: "employed", answer: "Yes" }, { questionId: "sector", answer: "Retail" }]);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.responses.length, 3);
+  });
+});
+
+describe("validateInstruments", () => {
+  it("accepts a well-formed instrument", () => {
+    assert.deepEqual(validateInstruments({ entry: instrument }), []);
+  });
+
+  it("rejects a showIf pointing at a later question and an impossible correct answer", () => {
+    const problems = validateInstruments({
+      entry: {
+        trigger: "entry",
+        questions: [
+          { id: 1, type: "text", question: "Name", showIf: { question: 2, equals: "x" } },
+          { id: 2, type: "select", question: "Pick", options: ["a", "b"], correctAnswer: "c" }
+        ]
+      }
+    });
+    assert.deepEqual(problems, [
+      "entry.questions[1]: showIf must refer to an earlier question",
+      "entry.questions[2]: correctAnswer is not a possible answer"
+    ]);
+  });
+});